@@ -24,10 +24,12 @@
  */
 
 import { CONFIG } from './config.js';
+import { ENVIRONMENTS_STORAGE_KEY, findEnvironmentForUrl, loadEnvironments } from './panel/environments.js';
 
 const TOKEN_STORAGE_KEY = 'gmail_access_token';
 const TOKEN_EXPIRY_KEY = 'gmail_token_expiry';
 const TOKEN_REFRESH_URL = 'https://oauth2.googleapis.com/token';
+const ENVIRONMENT_SCRIPT_ID = 'qa-environments';
 
 /**
  * Get a valid access token (from cache or by refreshing)
@@ -121,6 +123,40 @@ async function clearTokens() {
   console.log('[OAuth] Tokens cleared from storage');
 }
 
+/**
+ * Register content.js for environment host patterns outside the manifest's static matches
+ * Only patterns the user granted on the options page are registered
+ */
+async function syncEnvironmentContentScripts() {
+  const environments = await loadEnvironments();
+  const staticMatches = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+  const patterns = [...new Set(environments.flatMap(environment => environment.hostPatterns || []))]
+    .filter(pattern => !staticMatches.includes(pattern));
+
+  const granted = [];
+  for (const pattern of patterns) {
+    if (await chrome.permissions.contains({ origins: [pattern] })) {
+      granted.push(pattern);
+    }
+  }
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [ENVIRONMENT_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [ENVIRONMENT_SCRIPT_ID] });
+  }
+  if (granted.length > 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: ENVIRONMENT_SCRIPT_ID,
+      matches: granted,
+      js: ['content.js'],
+      runAt: 'document_idle'
+    }]);
+  }
+
+  const skipped = patterns.filter(pattern => !granted.includes(pattern));
+  console.log('[Environments] Content script registered for:', granted, skipped.length > 0 ? { notGranted: skipped } : '');
+}
+
 /**
  * Message handler for requests from content scripts and panel
  */
@@ -143,6 +179,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.type === 'DETECT_ENVIRONMENT') {
+    // Content scripts cannot import environments.js, so matching happens here
+    loadEnvironments()
+      .then(environments => {
+        const environment = findEnvironmentForUrl(request.url, environments);
+        sendResponse({ success: true, environment: environment && { name: environment.name, role: environment.role } });
+      })
+      .catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
   if (request.type === 'CLEAR_TOKENS') {
     // Debug command to clear tokens
     clearTokens()
@@ -166,6 +216,20 @@ chrome.runtime.onInstalled.addListener((details) => {
   } else if (details.reason === 'update') {
     console.log('[OAuth] Extension updated');
   }
+  syncEnvironmentContentScripts().catch(error => console.error('[Environments] Sync failed:', error));
+});
+
+// Re-register content scripts when profiles or granted hosts change
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[ENVIRONMENTS_STORAGE_KEY]) {
+    syncEnvironmentContentScripts().catch(error => console.error('[Environments] Sync failed:', error));
+  }
+});
+chrome.permissions.onAdded.addListener(() => {
+  syncEnvironmentContentScripts().catch(error => console.error('[Environments] Sync failed:', error));
+});
+chrome.permissions.onRemoved.addListener(() => {
+  syncEnvironmentContentScripts().catch(error => console.error('[Environments] Sync failed:', error));
 });
 
 // Log that the service worker is running
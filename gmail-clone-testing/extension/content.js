@@ -1,26 +1,37 @@
 /**
  * Content Script - Gmail API QA Tool
- * Injects floating panel on Gmail sites (real and clone)
+ * Injects floating panel on Gmail sites (real, clone, and any environment from the options page)
  */
 
 class GmailQAPanel {
   constructor() {
     this.iframe = null;
-    this.site = this.detectSite();
-    this.sessionId = this.extractSessionId();
+    this.site = null;
+    this.environment = null;
+    this.sessionId = null;
   }
 
   /**
-   * Detect which Gmail site we're on
-   * @returns {'real' | 'clone'} Site type
+   * Detect which environment this page belongs to
+   * Profiles live in extension storage, so the background worker matches them against the URL
+   * @returns {Promise<{name: string, role: 'real' | 'clone'}>} Environment name and role
    */
-  detectSite() {
-    const hostname = window.location.hostname;
-    if (hostname === 'mail.google.com') return 'real';
-    if (hostname === 'gmail.matrices.ai') return 'clone';
+  async detectSite() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'DETECT_ENVIRONMENT', url: window.location.href });
+      if (response && response.environment) {
+        return response.environment;
+      }
+      console.warn('[Gmail QA] No environment matches:', window.location.hostname, response && response.error);
+    } catch (error) {
+      console.warn('[Gmail QA] Environment detection failed:', error.message);
+    }
 
-    console.warn('[Gmail QA] Unknown hostname:', hostname);
-    return 'clone'; // Default to clone mode
+    // Fall back to the built-in hostnames
+    if (window.location.hostname === 'mail.google.com') {
+      return { name: 'real', role: 'real' };
+    }
+    return { name: 'clone', role: 'clone' }; // Default to clone mode
   }
 
   /**
@@ -74,9 +85,9 @@ class GmailQAPanel {
       return;
     }
 
+    // The panel works out the environment from this page's origin itself
     const message = {
       type: 'INIT',
-      site: this.site,
       sessionId: this.sessionId
     };
 
@@ -121,7 +132,7 @@ class GmailQAPanel {
       return;
     }
 
-    console.log(`[Gmail QA] Injecting panel on ${this.site} Gmail`);
+    console.log(`[Gmail QA] Injecting panel on ${this.environment} (${this.site})`);
 
     // Create and inject iframe
     this.iframe = this.createPanelIframe();
@@ -141,7 +152,12 @@ class GmailQAPanel {
   /**
    * Initialize the extension
    */
-  init() {
+  async init() {
+    const { name, role } = await this.detectSite();
+    this.environment = name;
+    this.site = role;
+    this.sessionId = this.extractSessionId();
+
     // Wait for page to be fully loaded
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.injectPanel());
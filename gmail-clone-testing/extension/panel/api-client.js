@@ -1,61 +1,249 @@
 /**
- * Dual-Mode API Client
- * Provides unified interface for calling both real Gmail API (OAuth) and clone API (sessionId)
+ * Gmail API Client
+ * One request pipeline for every target: a request object in, a normalized result out.
+ * Targets (base URLs) and their auth strategies are registered by name, so a local dev clone
+ * or a mock server plugs in next to the real Gmail API and the clone.
  */
 
+import { base64UrlEncode, bytesToBase64Url } from './encoding.js';
+import { composeMessage, splitComposeFields } from './mime-composer.js';
+import { DEFAULT_ENVIRONMENTS, DEFAULT_TIMEOUT_MS } from './environments.js';
+import { getRetryDecision, isRateLimitOrNetworkFailure, resolveRetryPolicy } from './retry-policy.js';
+import { encodeBatch, matchBatchResponses, parseBatchResponse } from './batch-request.js';
+import { getQuotaCost, quotaTracker, resolveQuotaBudget } from './quota-tracker.js';
+
+/**
+ * Encode a raw RFC 822 message (messages.insert / messages.import)
+ * @param {Object} params - Body params with rawFile (File) or rawMessage (text)
+ * @returns {Promise<Object>} Body with the message in { raw: base64url_string }
+ */
+async function encodeRawMessage(params) {
+  const { rawFile, rawMessage, ...rest } = params;
+
+  // Files are sent byte-for-byte; pasted text gets RFC 822 CRLF line endings
+  const raw = rawFile
+    ? bytesToBase64Url(new Uint8Array(await rawFile.arrayBuffer()))
+    : base64UrlEncode(rawMessage.replace(/\r?\n/g, '\r\n'));
+
+  return { ...rest, raw };
+}
+
+/**
+ * Convert form params into the JSON body Gmail expects for the endpoint
+ * @param {string} endpoint - API endpoint path
+ * @param {Object|null} body - Body params collected from the form
+ * @returns {Promise<Object|null>} Request body
+ */
+async function prepareRequestBody(endpoint, body) {
+  if (!body) {
+    return body;
+  }
+
+  // Raw RFC 822 upload from a textarea or file
+  if (body.rawFile || body.rawMessage) {
+    console.log('[ApiClient] Encoding raw RFC 822 message');
+    return encodeRawMessage(body);
+  }
+
+  // Send and draft endpoints take the compose fields as one base64url MIME message
+  const { fields, rest } = splitComposeFields(body);
+  if ((endpoint.includes('/messages/send') || endpoint.includes('/drafts')) && Object.keys(fields).length > 0) {
+    console.log('[ApiClient] Composing MIME message for', endpoint);
+    const raw = bytesToBase64Url(await composeMessage(fields));
+    // Drafts need the message wrapped in a message object
+    return endpoint.includes('/drafts') ? { ...rest, message: { raw } } : { ...rest, raw };
+  }
+
+  return body;
+}
+
+/**
+ * Split form params into the RFC 822 media and the JSON metadata of an upload
+ * @param {string} endpoint - API endpoint path
+ * @param {Object|null} body - Body params collected from the form
+ * @returns {Promise<Object>} {message: Uint8Array, metadata: Object}
+ */
+async function prepareUpload(endpoint, body) {
+  const { rawFile, rawMessage, ...params } = body || {};
+  const { fields, rest } = splitComposeFields(params);
+
+  let message;
+  if (rawFile) {
+    message = new Uint8Array(await rawFile.arrayBuffer());
+  } else if (rawMessage) {
+    message = new TextEncoder().encode(rawMessage.replace(/\r?\n/g, '\r\n'));
+  } else if (fields.to || fields.subject || fields.body || fields.htmlBody) {
+    message = await composeMessage(fields);
+  } else {
+    throw new Error('Upload needs a message: fill in the compose fields or choose a message file');
+  }
+
+  // Drafts take a Draft resource as metadata, messages a Message resource
+  const metadata = endpoint.includes('/drafts') ? { message: rest } : rest;
+  return { message, metadata };
+}
+
+/**
+ * Parse a fetch Response into the body shown in the panel
+ * @param {Response} response - fetch response
+ * @returns {Promise<*>} Parsed JSON, text, or a placeholder message
+ */
+async function parseResponseBody(response) {
+  const contentType = response.headers.get('content-type');
+
+  if (response.status === 204 || response.headers.get('content-length') === '0') {
+    return { message: 'Success - No content returned' };
+  } else if (contentType && contentType.includes('application/json')) {
+    const text = await response.text();
+    return text ? JSON.parse(text) : { message: 'Success - Empty response' };
+  } else {
+    const text = await response.text();
+    return text || { message: 'Success - No content' };
+  }
+}
+
+/**
+ * Copy response headers into a plain object for display and comparison
+ * @param {Headers} headers - fetch response headers
+ * @returns {Object} Header values keyed by lower-cased name, sorted by name
+ */
+function headersToObject(headers) {
+  return Object.fromEntries([...headers.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Chunk size for resumable uploads (Google requires multiples of 256 KiB)
+ */
+const RESUMABLE_CHUNK_SIZE = 256 * 1024 * 4;
+
+/**
+ * Safety cap for "fetch all pages" so a runaway mailbox cannot exhaust quota
+ */
+export const MAX_FETCH_ALL_PAGES = 10;
+
+/**
+ * Default mailbox for {userId} in paths (the authenticated user)
+ */
+export const DEFAULT_USER_ID = 'me';
+
+/**
+ * OAuth bearer auth (real Gmail API)
+ * Tokens come from the background service worker
+ */
+export class OAuthBearerAuth {
+  /**
+   * Authorization header for the current access token
+   * @returns {Promise<Object>} fetch options
+   */
+  async getFetchOptions() {
+    const token = await this.getAccessToken();
+    return { headers: { 'Authorization': `Bearer ${token}` } };
+  }
+
+  /**
+   * Get OAuth access token from background worker
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: 'GET_ACCESS_TOKEN' }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response.token);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Session cookie auth (clone)
+ * The browser attaches the sessionId cookie; the panel only needs to ask for credentials
+ */
+export class SessionCookieAuth {
+  /**
+   * @returns {Promise<Object>} fetch options
+   */
+  async getFetchOptions() {
+    return { headers: {}, credentials: 'include' };
+  }
+}
+
 /**
- * Helper function to encode email for Gmail API send
- * Converts email parameters to RFC 2822 format and base64url encodes
- * @param {Object} params - Email parameters (to, subject, body)
- * @returns {Object} Encoded email in format { raw: base64url_string }
+ * No auth (e.g., a local mock server)
  */
-function encodeEmailForSend(params) {
-  // Build RFC 2822 compliant email
-  const emailLines = [
-    `To: ${params.to}`,
-    `Subject: ${params.subject}`,
-    'Content-Type: text/plain; charset=utf-8',
-    '',  // Blank line separates headers from body
-    params.body
-  ];
-
-  const rawEmail = emailLines.join('\n');
-
-  // Base64URL encode (note: different from regular base64)
-  // - Replace + with -
-  // - Replace / with _
-  // - Remove padding (=)
-  const base64Email = btoa(unescape(encodeURIComponent(rawEmail)))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
-
-  return { raw: base64Email };
+export class NoAuth {
+  /**
+   * @returns {Promise<Object>} fetch options
+   */
+  async getFetchOptions() {
+    return { headers: {} };
+  }
 }
 
 /**
- * Base API client interface
+ * Gmail API client for one target
  */
-class BaseApiClient {
+export class GmailApiClient {
+  /**
+   * @param {Object} target - {name, baseUrl, uploadBaseUrl, batchUrl, auth, retry, timeoutMs, quotaBudget}
+   * @param {string|null} sessionId - Session ID the panel was opened with (clone targets)
+   */
+  constructor(target, sessionId = null) {
+    this.name = target.name;
+    this.baseUrl = target.baseUrl;
+    // Targets without an upload path reuse the base URL
+    this.uploadBaseUrl = target.uploadBaseUrl || target.baseUrl;
+    // Batch endpoint mirrors the base path under /batch (e.g., /batch/gmail/v1)
+    this.batchUrl = target.batchUrl || (() => {
+      const { origin, pathname } = new URL(target.baseUrl);
+      return `${origin}/batch${pathname}`;
+    })();
+    this.auth = target.auth || new NoAuth();
+    this.retryPolicy = resolveRetryPolicy(target.retry);
+    // Each attempt (and each upload chunk) is aborted after this long
+    this.timeoutMs = target.timeoutMs || DEFAULT_TIMEOUT_MS;
+    // AbortControllers of in-flight fetches and retry waits, aborted by cancel()
+    this.inFlight = new Set();
+    // Units spent are recorded in the shared quotaTracker under this.name
+    this.quotaBudget = resolveQuotaBudget(target.quotaBudget);
+    this.sessionId = sessionId;
+
+    // Session-wide mailbox; an email address tests delegated access
+    this.userId = DEFAULT_USER_ID;
+  }
+
   buildUrl(path, params) {
-    let url = this.baseUrl + path;
+    // Media uploads go to the /upload base path (e.g., /upload/gmail/v1/users/me/messages/send)
+    let url = (params && params.uploadType ? this.uploadBaseUrl : this.baseUrl) + path;
 
     // Create a copy to avoid mutating the original params object
-    const paramsCopy = { ...params };
+    // A userId param overrides the session default for one request
+    const paramsCopy = { ...params, userId: (params && params.userId) || this.userId };
 
     // Replace path variables (e.g., {id} -> Label_123)
     Object.keys(paramsCopy).forEach(key => {
       const placeholder = `{${key}}`;
       if (url.includes(placeholder)) {
-        url = url.replace(placeholder, paramsCopy[key]);
+        // userId may be an email address; encode it so invalid values reach the server intact
+        const value = key === 'userId' ? encodeURIComponent(paramsCopy[key]) : paramsCopy[key];
+        url = url.replace(placeholder, value);
         delete paramsCopy[key]; // Remove from copy so it doesn't go in query string
       }
     });
 
+    // userId never goes in the query string (paths without {userId} ignore it)
+    delete paramsCopy.userId;
+
     // Add remaining params as query string
+    // Array values become repeated keys (e.g., labelIds=INBOX&labelIds=UNREAD)
     const queryParams = Object.keys(paramsCopy)
-      .filter(key => paramsCopy[key]) // Only include non-empty values
-      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(paramsCopy[key])}`)
+      .filter(key => Array.isArray(paramsCopy[key]) ? paramsCopy[key].length > 0 : paramsCopy[key]) // Only include non-empty values
+      .flatMap(key => [].concat(paramsCopy[key])
+        .map(value => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`))
       .join('&');
 
     if (queryParams) {
@@ -64,250 +252,528 @@ class BaseApiClient {
 
     return url;
   }
-}
 
-/**
- * Real Gmail API Client
- * Uses OAuth access tokens from background service worker
- */
-class RealGmailClient extends BaseApiClient {
-  constructor() {
-    super();
-    this.baseUrl = 'https://gmail.googleapis.com/gmail/v1';
+  /**
+   * Report resumable upload progress to the panel (if it registered onUploadProgress)
+   * @param {number} loaded - Bytes uploaded so far
+   * @param {number} total - Total bytes
+   */
+  reportUploadProgress(loaded, total) {
+    if (this.onUploadProgress) {
+      this.onUploadProgress(loaded, total);
+    }
   }
 
   /**
-   * Get OAuth access token from background worker
+   * Execute an API request, retrying rate limits and transient errors per the target's retry policy
+   * @param {Object} request - {path, method, params, body}
+   * @param {string} request.path - API endpoint path (e.g., /users/{userId}/labels/{id})
+   * @param {string} request.method - HTTP method
+   * @param {Object} request.params - Path and query params (path placeholders are filled first)
+   * @param {Object|null} request.body - Body params collected from the form
+   * @param {string} request.url - Absolute URL to call instead of building one from path and params (optional)
+   * @param {string} request.rawBody - Body sent as-is with request.contentType, skipping JSON encoding (optional)
+   * @param {number} request.quotaCost - Units per attempt (optional; looked up from the endpoint catalog by method and path)
+   * @returns {Promise<Object>} Result {status, body, headers, error, responseTime, attempts} (plus upload for media uploads,
+   *   transient when the final attempt was rate limited or never reached the server, state 'timeout' or 'cancelled' when aborted)
    */
-  async getAccessToken() {
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ type: 'GET_ACCESS_TOKEN' }, response => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else if (response.error) {
-          reject(new Error(response.error));
-        } else {
-          resolve(response.token);
-        }
+  async execute(request) {
+    const attempts = [];
+    const quotaCost = request.quotaCost ?? getQuotaCost(request.method, request.path);
+
+    for (let attempt = 1; ; attempt++) {
+      const { result, retryAfter } = await this.send(request);
+      // Every attempt the server answered is charged, rejected ones included
+      if (result.status !== null) {
+        quotaTracker.record(this.name, quotaCost);
+      }
+      const decision = getRetryDecision(result, {
+        attempt,
+        method: request.method,
+        retryAfter,
+        policy: this.retryPolicy
+      });
+
+      attempts.push({
+        attempt,
+        status: result.status,
+        error: result.error,
+        responseTime: result.responseTime,
+        delayMs: decision.retry ? decision.delayMs : 0,
+        reason: decision.reason
+      });
+
+      if (!decision.retry) {
+        const { networkError, ...finalResult } = result;
+        // Only rate limits and network errors are transient; a 5xx left after the retries is the server's answer
+        return isRateLimitOrNetworkFailure(result) ? { ...finalResult, attempts, transient: true } : { ...finalResult, attempts };
+      }
+
+      console.log(`[ApiClient] ${this.name} ${decision.reason}; retrying in ${decision.delayMs}ms ` +
+        `(attempt ${attempt + 1}/${this.retryPolicy.maxAttempts})`);
+      if (!(await this.wait(decision.delayMs))) {
+        return { status: null, body: null, error: 'Cancelled', state: 'cancelled', responseTime: 0, attempts };
+      }
+    }
+  }
+
+  /**
+   * Check whether spending more units would take this target over its quota budget
+   * @param {number} units - Units the next action costs
+   * @returns {Array<string>} Warnings (empty if within budget)
+   */
+  checkQuotaBudget(units) {
+    return quotaTracker.checkBudget(this.name, units, this.quotaBudget);
+  }
+
+  /**
+   * Abort every in-flight request and retry wait on this client
+   * @returns {number} Number of requests and waits aborted
+   */
+  cancel() {
+    const count = this.inFlight.size;
+    this.inFlight.forEach(controller => controller.abort('cancelled'));
+    this.inFlight.clear();
+    if (count > 0) {
+      console.log(`[ApiClient] ${this.name} cancelled ${count} in-flight request(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * Wait before a retry; cancel() cuts the wait short
+   * @param {number} delayMs - Delay in ms
+   * @returns {Promise<boolean>} False if the wait was cancelled
+   */
+  async wait(delayMs) {
+    const controller = new AbortController();
+    this.inFlight.add(controller);
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, delayMs);
+      controller.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
       });
     });
+    this.inFlight.delete(controller);
+    return !controller.signal.aborted;
   }
 
   /**
-   * Execute API request with OAuth authentication
-   * Supports two calling patterns:
-   * 1. executeRequest(endpoint, method, params, body) - single mode
-   * 2. executeRequest(endpoint, method, pathParams, queryParams, bodyParams) - comparison mode
+   * fetch with the target's timeout, abortable by cancel()
+   * The timer also covers reading the body, so a response that stalls mid-stream times out too
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} {response, body (see parseResponseBody)}
+   * @throws {Error} error.state is 'timeout' or 'cancelled' when aborted; fetch's TypeError on network failure
    */
-  async executeRequest(endpoint, method, paramsOrPath, bodyOrQuery, maybeBody) {
+  async fetchWithTimeout(url, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort('timeout'), this.timeoutMs);
+    this.inFlight.add(controller);
+
     try {
-      // Detect calling pattern based on number of arguments
-      let params, body;
-
-      if (arguments.length === 5) {
-        // Comparison mode: (endpoint, method, pathParams, queryParams, bodyParams)
-        const pathParams = paramsOrPath;
-        const queryParams = bodyOrQuery;
-        const bodyParams = maybeBody;
-
-        // Merge path and query params for URL building
-        params = { ...pathParams, ...queryParams };
-        body = bodyParams;
-      } else {
-        // Single mode: (endpoint, method, params, body)
-        params = paramsOrPath;
-        body = bodyOrQuery;
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      return { response, body: await parseResponseBody(response) };
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        throw error;
       }
+      const timedOut = controller.signal.reason === 'timeout';
+      const aborted = new Error(timedOut ? `Timed out after ${this.timeoutMs}ms` : 'Cancelled');
+      aborted.state = timedOut ? 'timeout' : 'cancelled';
+      throw aborted;
+    } finally {
+      clearTimeout(timer);
+      this.inFlight.delete(controller);
+    }
+  }
+
+  /**
+   * Send one attempt of a request
+   * @param {Object} request - {path, method, params, body}
+   * @returns {Promise<Object>} {result: {status, body, headers, error, responseTime, networkError, state}, retryAfter: header value}
+   */
+  async send(request) {
+    const { path, method, params = {}, body = null } = request;
 
-      // Build URL
-      const url = this.buildUrl(endpoint, { ...params });
+    try {
+      // Media uploads (send/drafts/insert/import) take the /upload path
+      if (params.uploadType) {
+        return { result: await this.executeUpload({ path, method, params, body }), retryAfter: null };
+      }
 
-      // Get OAuth token
-      const token = await this.getAccessToken();
+      const url = request.url || this.buildUrl(path, params);
+      const auth = await this.auth.getFetchOptions();
 
-      // Prepare request options
       const options = {
-        method: method,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
+        ...auth,
+        method,
+        headers: { ...auth.headers, 'Content-Type': request.contentType || 'application/json' }
       };
 
-      // Special handling for send-message and draft endpoints that need email encoding
-      if (body && body.to && body.subject && body.body) {
-        if (endpoint.includes('/messages/send')) {
-          console.log('[RealGmailClient] Encoding email for send endpoint');
-          body = encodeEmailForSend(body);
-        } else if (endpoint.includes('/drafts')) {
-          console.log('[RealGmailClient] Encoding email for draft endpoint');
-          // Drafts need the message wrapped in a message object
-          body = { message: encodeEmailForSend(body) };
-        }
-      }
+      if (request.rawBody !== undefined) {
+        options.body = request.rawBody;
+      } else {
+        // Encode email/raw message params into the body Gmail expects
+        const requestBody = await prepareRequestBody(path, body);
 
-      // Add body for non-GET requests
-      if (body && Object.keys(body).length > 0 && method !== 'GET') {
-        options.body = JSON.stringify(body);
+        // Add body for non-GET requests
+        if (requestBody && Object.keys(requestBody).length > 0 && method !== 'GET') {
+          options.body = JSON.stringify(requestBody);
+        }
       }
 
-      // Make request
       const startTime = Date.now();
-      const response = await fetch(url, options);
-      const responseTime = Date.now() - startTime;
-
-      // Parse response
-      let data = null;
-      const contentType = response.headers.get('content-type');
-
-      if (response.status === 204 || response.headers.get('content-length') === '0') {
-        data = { message: 'Success - No content returned' };
-      } else if (contentType && contentType.includes('application/json')) {
-        const text = await response.text();
-        data = text ? JSON.parse(text) : { message: 'Success - Empty response' };
-      } else {
-        const text = await response.text();
-        data = text || { message: 'Success - No content' };
+      let response;
+      let responseBody;
+      try {
+        ({ response, body: responseBody } = await this.fetchWithTimeout(url, options));
+      } catch (error) {
+        // fetch only rejects with a TypeError when the request never got a response (offline, DNS, CORS)
+        if (!(error instanceof TypeError)) {
+          throw error;
+        }
+        console.error(`[ApiClient] ${this.name} network error:`, error);
+        return {
+          result: { status: null, body: null, error: error.message, responseTime: Date.now() - startTime, networkError: true },
+          retryAfter: null
+        };
       }
+      const responseTime = Date.now() - startTime;
 
       return {
-        status: response.status,
-        body: data,
-        error: null,
-        responseTime: responseTime
+        result: {
+          status: response.status,
+          body: responseBody,
+          headers: headersToObject(response.headers),
+          error: null,
+          responseTime
+        },
+        retryAfter: response.headers.get('retry-after')
       };
 
     } catch (error) {
-      console.error('RealGmailClient error:', error);
+      // Timeouts and cancellations are neither retried nor reported as network errors
+      if (error.state) {
+        console.warn(`[ApiClient] ${this.name} ${request.method} ${error.message.toLowerCase()}`);
+        return {
+          result: { status: null, body: null, error: error.message, state: error.state, responseTime: error.state === 'timeout' ? this.timeoutMs : 0 },
+          retryAfter: null
+        };
+      }
+      console.error(`[ApiClient] ${this.name} request failed:`, error);
       return {
-        status: null,
-        body: null,
-        error: error.message,
-        responseTime: 0
+        result: { status: null, body: null, error: error.message, responseTime: 0 },
+        retryAfter: null
       };
     }
   }
-}
 
-/**
- * Clone Gmail API Client
- * Uses sessionId cookie for authentication
- */
-class CloneGmailClient extends BaseApiClient {
-  constructor(sessionId) {
-    super();
-    this.sessionId = sessionId;
-    this.baseUrl = 'https://gmail.matrices.ai/gmail/v1';
+  /**
+   * Send several requests as one multipart/mixed batch (POST /batch/gmail/v1)
+   * @param {Array<Object>} requests - Requests as for execute ({path, method, params, body}); uploads cannot be batched
+   * @returns {Promise<Object>} Batch result {status, body, error, responseTime, attempts, items, batchError}
+   *   where items holds one {status, headers, body} per request (null if the batch dropped it)
+   *   and batchError explains a response that was not a multipart batch
+   */
+  async executeBatch(requests) {
+    let batchBody;
+    const boundary = `batch_qa_${Date.now().toString(16)}`;
+
+    try {
+      const parts = await Promise.all(requests.map(async request => {
+        const { path, method, params = {}, body = null } = request;
+        if (params.uploadType) {
+          throw new Error(`${method} ${path}: media uploads cannot be batched`);
+        }
+
+        // Sub-requests carry the path from the host root (e.g., /gmail/v1/users/me/labels)
+        const url = new URL(this.buildUrl(path, params));
+        const requestBody = await prepareRequestBody(path, body);
+        return {
+          method,
+          url: url.pathname + url.search,
+          body: requestBody && Object.keys(requestBody).length > 0 && method !== 'GET' ? requestBody : null
+        };
+      }));
+      batchBody = encodeBatch(parts, boundary);
+    } catch (error) {
+      console.error(`[ApiClient] ${this.name} batch could not be built:`, error);
+      return { status: null, body: null, error: error.message, responseTime: 0, items: [] };
+    }
+
+    console.log(`[ApiClient] ${this.name} sending batch of ${requests.length} requests to ${this.batchUrl}`);
+    const result = await this.execute({
+      url: this.batchUrl,
+      method: 'POST',
+      rawBody: batchBody,
+      contentType: `multipart/mixed; boundary=${boundary}`,
+      // Each sub-request is charged as if sent on its own
+      quotaCost: requests.reduce((sum, request) => sum + getQuotaCost(request.method, request.path), 0)
+    });
+
+    if (result.error || result.status < 200 || result.status >= 300) {
+      return { ...result, items: [] };
+    }
+
+    try {
+      return { ...result, items: matchBatchResponses(requests, parseBatchResponse(result.body)) };
+    } catch (error) {
+      console.warn(`[ApiClient] ${this.name} batch response could not be parsed:`, error.message);
+      return { ...result, items: [], batchError: error.message };
+    }
   }
 
   /**
-   * Execute API request with sessionId authentication
-   * Supports two calling patterns:
-   * 1. executeRequest(endpoint, method, params, body) - single mode
-   * 2. executeRequest(endpoint, method, pathParams, queryParams, bodyParams) - comparison mode
+   * Upload a message through the /upload base path
+   * @param {Object} request - {path, method, params, body}; params.uploadType is media, multipart or resumable
+   * @returns {Promise<Object>} Result {status, body, headers, error, responseTime, upload}
    */
-  async executeRequest(endpoint, method, paramsOrPath, bodyOrQuery, maybeBody) {
-    try {
-      // Detect calling pattern based on number of arguments
-      let params, body;
-
-      if (arguments.length === 5) {
-        // Comparison mode: (endpoint, method, pathParams, queryParams, bodyParams)
-        const pathParams = paramsOrPath;
-        const queryParams = bodyOrQuery;
-        const bodyParams = maybeBody;
-
-        // Merge path and query params for URL building
-        params = { ...pathParams, ...queryParams };
-        body = bodyParams;
-      } else {
-        // Single mode: (endpoint, method, params, body)
-        params = paramsOrPath;
-        body = bodyOrQuery;
-      }
+  async executeUpload(request) {
+    const { path, method, params, body } = request;
+    const { message, metadata } = await prepareUpload(path, body);
+    const url = this.buildUrl(path, params);
+    const auth = await this.auth.getFetchOptions();
+
+    console.log(`[ApiClient] Uploading ${message.length} bytes (uploadType=${params.uploadType})`);
+
+    const startTime = Date.now();
+    let response;
+    let responseBody;
+    let chunks = 1;
+
+    if (params.uploadType === 'media') {
+      ({ response, body: responseBody } = await this.fetchWithTimeout(url, {
+        ...auth,
+        method,
+        headers: { ...auth.headers, 'Content-Type': 'message/rfc822' },
+        body: message
+      }));
+    } else if (params.uploadType === 'multipart') {
+      const boundary = `qa_upload_${Date.now().toString(16)}`;
+      const multipartBody = new Blob([
+        `--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n`,
+        JSON.stringify(metadata),
+        `\r\n--${boundary}\r\nContent-Type: message/rfc822\r\n\r\n`,
+        message,
+        `\r\n--${boundary}--`
+      ]);
+      ({ response, body: responseBody } = await this.fetchWithTimeout(url, {
+        ...auth,
+        method,
+        headers: { ...auth.headers, 'Content-Type': `multipart/related; boundary=${boundary}` },
+        body: multipartBody
+      }));
+    } else if (params.uploadType === 'resumable') {
+      ({ response, body: responseBody, chunks } = await this.executeResumableUpload(url, method, auth, metadata, message));
+    } else {
+      throw new Error(`Unsupported uploadType: ${params.uploadType}`);
+    }
 
-      // Build URL
-      const url = this.buildUrl(endpoint, { ...params });
+    return {
+      status: response.status,
+      body: responseBody,
+      headers: headersToObject(response.headers),
+      error: null,
+      responseTime: Date.now() - startTime,
+      upload: { uploadType: params.uploadType, bytes: message.length, chunks }
+    };
+  }
+  /**
+   * Resumable upload: open a session with the metadata, then PUT the message in chunks
+   * @param {string} url - Upload URL (uploadType=resumable)
+   * @param {string} method - HTTP method that opens the session
+   * @param {Object} auth - Fetch options from the auth strategy
+   * @param {Object} metadata - JSON metadata
+   * @param {Uint8Array} message - Message bytes
+   * @returns {Promise<Object>} {response: final fetch response, body: its parsed body, chunks}
+   */
+  async executeResumableUpload(url, method, auth, metadata, message) {
+    const { response: session, body: sessionBody } = await this.fetchWithTimeout(url, {
+      ...auth,
+      method,
+      headers: {
+        ...auth.headers,
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': 'message/rfc822',
+        'X-Upload-Content-Length': String(message.length)
+      },
+      body: JSON.stringify(metadata)
+    });
 
-      // Prepare request options
-      const options = {
-        method: method,
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include' // Include cookies
-      };
+    // A failed session start is returned like any other error response
+    if (!session.ok) {
+      return { response: session, body: sessionBody, chunks: 0 };
+    }
 
-      // Special handling for send-message and draft endpoints that need email encoding
-      if (body && body.to && body.subject && body.body) {
-        if (endpoint.includes('/messages/send')) {
-          console.log('[CloneGmailClient] Encoding email for send endpoint');
-          body = encodeEmailForSend(body);
-        } else if (endpoint.includes('/drafts')) {
-          console.log('[CloneGmailClient] Encoding email for draft endpoint');
-          // Drafts need the message wrapped in a message object
-          body = { message: encodeEmailForSend(body) };
+    const sessionUrl = session.headers.get('location');
+    if (!sessionUrl) {
+      throw new Error('Resumable upload session returned no Location header');
+    }
+
+    let offset = 0;
+    let chunks = 0;
+    let response;
+    let body;
+    this.reportUploadProgress(0, message.length);
+
+    do {
+      const end = Math.min(offset + RESUMABLE_CHUNK_SIZE, message.length);
+      ({ response, body } = await this.fetchWithTimeout(sessionUrl, {
+        ...auth,
+        method: 'PUT',
+        headers: { ...auth.headers, 'Content-Range': `bytes ${offset}-${end - 1}/${message.length}` },
+        body: message.subarray(offset, end)
+      }));
+      chunks++;
+
+      // 308 Resume Incomplete: the Range header says how much the server has stored
+      const previousOffset = offset;
+      if (response.status === 308) {
+        const range = response.headers.get('range');
+        offset = range ? Number(range.split('-')[1]) + 1 : previousOffset;
+        if (offset <= previousOffset) {
+          throw new Error(`Resumable upload stalled at byte ${previousOffset}`);
         }
+      } else {
+        offset = end;
       }
+      this.reportUploadProgress(offset, message.length);
+    } while (response.status === 308);
+
+    return { response, body, chunks };
+  }
 
-      // Add body for non-GET requests
-      if (body && Object.keys(body).length > 0 && method !== 'GET') {
-        options.body = JSON.stringify(body);
+  /**
+   * Follow nextPageToken through a list endpoint and merge the pages
+   * @param {Object} request - {path, method, params}; params.pageToken, if set, is the first page
+   * @param {string} listKey - Response key holding the items (e.g., 'messages')
+   * @param {number} maxPages - Stop after this many pages
+   * @returns {Promise<Object>} Result with merged body and pagesFetched
+   */
+  async executePaged(request, listKey, maxPages = MAX_FETCH_ALL_PAGES) {
+    const { path, method, params = {} } = request;
+    const items = [];
+    let firstResult = null;
+    let lastBody = null;
+    let pageToken = params.pageToken;
+    let pagesFetched = 0;
+    let totalTime = 0;
+
+    do {
+      const result = await this.execute({ path, method, params: { ...params, pageToken }, body: null });
+      totalTime += result.responseTime;
+
+      // Return a failing page as-is so the error is visible
+      if (result.error || result.status < 200 || result.status >= 300) {
+        return { ...result, responseTime: totalTime, pagesFetched };
       }
 
-      // Make request
-      const startTime = Date.now();
-      const response = await fetch(url, options);
-      const responseTime = Date.now() - startTime;
+      firstResult = firstResult || result;
+      lastBody = result.body;
+      items.push(...(result.body[listKey] || []));
+      pageToken = result.body.nextPageToken;
+      pagesFetched++;
+    } while (pageToken && pagesFetched < maxPages);
+
+    // resultSizeEstimate comes from the first page; historyId from the newest (last) page
+    const body = { ...firstResult.body, [listKey]: items };
+    delete body.nextPageToken;
+    if (lastBody.historyId) {
+      body.historyId = lastBody.historyId;
+    }
+    if (pageToken) {
+      // Cap reached: keep the token so the user can continue from here
+      body.nextPageToken = pageToken;
+    }
 
-      // Parse response
-      let data = null;
-      const contentType = response.headers.get('content-type');
+    return {
+      status: firstResult.status,
+      body,
+      headers: firstResult.headers,
+      error: null,
+      responseTime: totalTime,
+      pagesFetched
+    };
+  }
+}
 
-      if (response.status === 204 || response.headers.get('content-length') === '0') {
-        data = { message: 'Success - No content returned' };
-      } else if (contentType && contentType.includes('application/json')) {
-        const text = await response.text();
-        data = text ? JSON.parse(text) : { message: 'Success - Empty response' };
-      } else {
-        const text = await response.text();
-        data = text || { message: 'Success - No content' };
-      }
+/**
+ * Registered targets: name -> factory({sessionId}) returning {baseUrl, uploadBaseUrl, batchUrl, auth, retry, timeoutMs}
+ */
+const targets = new Map();
 
-      return {
-        status: response.status,
-        body: data,
-        error: null,
-        responseTime: responseTime
-      };
+/**
+ * Register a target so getApiClient can build clients for it
+ * Environment profiles go through registerEnvironment; tests can register ad-hoc targets,
+ * e.g. registerTarget('mock', () => ({ baseUrl: 'http://localhost:8080/gmail/v1', auth: new NoAuth() }))
+ * @param {string} name - Target name (an environment name)
+ * @param {Function} factory - ({sessionId}) => {baseUrl, uploadBaseUrl, batchUrl, auth, retry, timeoutMs, quotaBudget}; may throw if options are missing
+ */
+export function registerTarget(name, factory) {
+  if (targets.has(name)) {
+    console.log(`[ApiClient] Replacing registered target: ${name}`);
+  }
+  targets.set(name, factory);
+}
 
-    } catch (error) {
-      console.error('CloneGmailClient error:', error);
-      return {
-        status: null,
-        body: null,
-        error: error.message,
-        responseTime: 0
-      };
-    }
+/**
+ * Names of the registered targets
+ * @returns {Array<string>} Target names in registration order
+ */
+export function getRegisteredTargets() {
+  return Array.from(targets.keys());
+}
+
+/**
+ * Auth strategy per environment auth mode
+ */
+const AUTH_STRATEGIES = {
+  'oauth': OAuthBearerAuth,
+  'session-cookie': SessionCookieAuth,
+  'none': NoAuth
+};
+
+/**
+ * Register an environment profile (see environments.js) as a target
+ * Session cookie targets need the sessionId the panel was opened with
+ * @param {Object} environment - {name, baseUrl, uploadBaseUrl, batchUrl, auth, retry, timeoutMs, quotaBudget}
+ */
+export function registerEnvironment(environment) {
+  const Auth = AUTH_STRATEGIES[environment.auth];
+  if (!Auth) {
+    throw new Error(`Unknown auth mode for ${environment.name}: ${environment.auth}`);
   }
+
+  registerTarget(environment.name, ({ sessionId }) => {
+    if (Auth === SessionCookieAuth && !sessionId) {
+      throw new Error(`sessionId required for ${environment.name} API client`);
+    }
+    return {
+      baseUrl: environment.baseUrl,
+      uploadBaseUrl: environment.uploadBaseUrl,
+      batchUrl: environment.batchUrl,
+      auth: new Auth(),
+      retry: environment.retry,
+      timeoutMs: environment.timeoutMs,
+      quotaBudget: environment.quotaBudget
+    };
+  });
 }
 
+DEFAULT_ENVIRONMENTS.forEach(registerEnvironment);
+
 /**
- * Factory function to get appropriate API client
- * @param {string} site - 'real' or 'clone'
- * @param {string} sessionId - Session ID for clone (optional)
- * @returns {BaseApiClient} API client instance
+ * Get an API client for a registered target
+ * @param {string} site - Target name ('real', 'clone', or any registered environment)
+ * @param {string} sessionId - Session ID for session cookie targets (optional)
+ * @returns {GmailApiClient} API client instance
  */
 export function getApiClient(site, sessionId = null) {
-  if (site === 'real') {
-    return new RealGmailClient();
-  } else if (site === 'clone') {
-    if (!sessionId) {
-      throw new Error('sessionId required for clone API client');
-    }
-    return new CloneGmailClient(sessionId);
-  } else {
+  const factory = targets.get(site);
+  if (!factory) {
     throw new Error(`Unknown site: ${site}`);
   }
+  return new GmailApiClient({ name: site, ...factory({ sessionId }) }, sessionId);
 }
@@ -0,0 +1,137 @@
+/**
+ * Batch Request - Encode and parse Gmail batch HTTP bodies (POST /batch/gmail/v1)
+ * A batch is one multipart/mixed request; each part is an application/http sub-request,
+ * and the response carries one application/http sub-response per part, matched by Content-ID.
+ */
+
+/**
+ * Gmail rejects batches with more than 100 calls (50 or fewer is recommended)
+ */
+export const MAX_BATCH_SIZE = 100;
+
+/**
+ * Split a raw HTTP message into its start line, headers and body
+ * @param {string} text - HTTP message (CRLF or LF line endings)
+ * @returns {Object} {startLine, headers (lower-cased names), body}
+ */
+function parseHttpMessage(text) {
+  const normalized = text.replace(/\r\n/g, '\n');
+  const headerEnd = normalized.indexOf('\n\n');
+  const head = headerEnd === -1 ? normalized : normalized.slice(0, headerEnd);
+  const body = headerEnd === -1 ? '' : normalized.slice(headerEnd + 2);
+
+  const [startLine, ...headerLines] = head.split('\n');
+  const headers = {};
+  headerLines.forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+
+  return { startLine: startLine.trim(), headers, body };
+}
+
+/**
+ * Encode sub-requests as a multipart/mixed batch body
+ * @param {Array<Object>} parts - [{method, url (path and query, e.g. /gmail/v1/users/me/labels), body}]
+ * @param {string} boundary - Multipart boundary
+ * @returns {string} Batch body (CRLF line endings)
+ * @throws {Error} If there are no parts or more than MAX_BATCH_SIZE
+ */
+export function encodeBatch(parts, boundary) {
+  if (parts.length === 0) {
+    throw new Error('Batch has no requests');
+  }
+  if (parts.length > MAX_BATCH_SIZE) {
+    throw new Error(`Batch has ${parts.length} requests; Gmail accepts at most ${MAX_BATCH_SIZE}`);
+  }
+
+  const encoded = parts.map((part, index) => {
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index + 1}>`,
+      '',
+      `${part.method} ${part.url} HTTP/1.1`
+    ];
+    if (part.body !== undefined && part.body !== null) {
+      const json = JSON.stringify(part.body);
+      lines.push('Content-Type: application/json; charset=UTF-8', '', json);
+    } else {
+      lines.push('');
+    }
+    return lines.join('\r\n');
+  });
+
+  return `${encoded.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Parse a multipart/mixed batch response into sub-responses
+ * The boundary is read from the body itself (the first "--" line), so no headers are needed
+ * @param {string} text - Batch response body
+ * @returns {Array<Object>} [{contentId, index (0-based, from Content-ID), status, headers, body}]
+ * @throws {Error} If the body is not a multipart batch response
+ */
+export function parseBatchResponse(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Batch response is not multipart (got JSON)');
+  }
+
+  const firstLine = text.replace(/\r\n/g, '\n').split('\n').find(line => line.trim());
+  if (!firstLine || !firstLine.startsWith('--')) {
+    throw new Error('Batch response is not multipart/mixed');
+  }
+  const boundary = firstLine.trim().slice(2);
+
+  return text.replace(/\r\n/g, '\n')
+    .split(`--${boundary}`)
+    .slice(1)
+    .filter(chunk => !chunk.startsWith('--'))
+    .map(chunk => {
+      const outer = parseHttpMessage(chunk.replace(/^\n/, ''));
+      const inner = parseHttpMessage(outer.body);
+      const statusMatch = /^HTTP\/[\d.]+\s+(\d{3})/.exec(inner.startLine);
+
+      // Content-ID echoes the request's with a "response-" prefix: <response-item3>
+      const contentId = (outer.headers['content-id'] || '').replace(/^<|>$/g, '');
+      const itemMatch = /item(\d+)$/.exec(contentId);
+
+      const rawBody = inner.body.trim();
+      let body = rawBody;
+      if ((inner.headers['content-type'] || '').includes('application/json') && rawBody) {
+        try {
+          body = JSON.parse(rawBody);
+        } catch (error) {
+          console.warn('[Batch] Sub-response JSON did not parse:', error.message);
+        }
+      }
+
+      return {
+        contentId,
+        index: itemMatch ? Number(itemMatch[1]) - 1 : null,
+        status: statusMatch ? Number(statusMatch[1]) : null,
+        headers: inner.headers,
+        body: body === '' ? { message: 'Success - No content returned' } : body
+      };
+    });
+}
+
+/**
+ * Line sub-responses up with the requests that produced them
+ * Parts without a usable Content-ID fall back to their position
+ * @param {Array<Object>} requests - Batch requests
+ * @param {Array<Object>} responses - Result of parseBatchResponse
+ * @returns {Array<Object|null>} Sub-response per request (null if the batch dropped it)
+ */
+export function matchBatchResponses(requests, responses) {
+  const matched = requests.map(() => null);
+  responses.forEach((response, position) => {
+    const index = response.index !== null && response.index < requests.length ? response.index : position;
+    if (index < requests.length && !matched[index]) {
+      matched[index] = response;
+    }
+  });
+  return matched;
+}
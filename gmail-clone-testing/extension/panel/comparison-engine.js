@@ -3,6 +3,11 @@
  * Executes same API call on both Real and Clone Gmail, then compares responses
  */
 
+import { base64UrlDecode } from './encoding.js';
+import { findFieldsOutsideMask } from './field-mask.js';
+import { findFirstDifference } from './mime-decoder.js';
+import { isRateLimitOrNetworkFailure } from './retry-policy.js';
+
 /**
  * Default fields to ignore during comparison (auto-generated IDs)
  */
@@ -16,6 +21,97 @@ const DEFAULT_IGNORE_FIELDS = [
   'sizeEstimate'
 ];
 
+/**
+ * Fields whose values are opaque and server-specific; only their presence is compared
+ * A page token on one side only means that side has more (or fewer) pages than the other
+ */
+const PRESENCE_ONLY_FIELDS = ['nextPageToken'];
+
+/**
+ * Default response headers to ignore during comparison (per-response, per-server or transport-level)
+ */
+const DEFAULT_IGNORE_HEADERS = [
+  'date',
+  'server',
+  'alt-svc',
+  'age',
+  'via',
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'server-timing',
+  'report-to',
+  'nel',
+  'set-cookie',
+  'x-guploader-uploadid',
+  'x-request-id'
+];
+
+/**
+ * Headers whose values always differ between implementations; only their presence is compared
+ */
+const PRESENCE_ONLY_HEADERS = ['etag', 'last-modified', 'content-length'];
+
+/**
+ * Severity of a header difference: content type and CORS break clients, caching changes behavior
+ * @param {string} name - Lower-cased header name
+ * @returns {string} 'high', 'medium' or 'low'
+ */
+function getHeaderSeverity(name) {
+  if (name === 'content-type' || name.startsWith('access-control-')) return 'high';
+  if (['cache-control', 'expires', 'pragma', 'vary', 'etag', 'last-modified'].includes(name)) return 'medium';
+  return 'low';
+}
+
+/**
+ * Max messages re-read when verifying label state after a batch call
+ */
+export const MAX_LABEL_VERIFY_IDS = 50;
+
+/**
+ * Messages re-read at once when verifying label state (each read hits both sides)
+ * Keeps the re-reads from bursting into rate limits (messages.get costs 5 quota units)
+ */
+const LABEL_VERIFY_CONCURRENCY = 5;
+
+/**
+ * Per-resource diff profiles
+ * Settings resources are proto-backed: Gmail omits fields that hold their default
+ * value (false, 0, ""), so a missing key and a default value are not a mismatch.
+ * The primary send-as entry carries each account's own address and name.
+ * Message bodies are compared decoded: base64url padding or alphabet alone is not a mismatch.
+ */
+const RESOURCE_DIFF_PROFILES = {
+  sendAs: {
+    ignoreFields: [
+      ...DEFAULT_IGNORE_FIELDS,
+      'sendAs[0].sendAsEmail',
+      'sendAs[0].displayName'
+    ],
+    options: { missingEqualsDefault: true }
+  },
+  settings: {
+    ignoreFields: DEFAULT_IGNORE_FIELDS,
+    options: { missingEqualsDefault: true }
+  },
+  filters: {
+    ignoreFields: DEFAULT_IGNORE_FIELDS,
+    options: { missingEqualsDefault: true }
+  },
+  messages: {
+    ignoreFields: DEFAULT_IGNORE_FIELDS,
+    options: { decodeBodies: true }
+  },
+  threads: {
+    ignoreFields: DEFAULT_IGNORE_FIELDS,
+    options: { decodeBodies: true }
+  },
+  drafts: {
+    ignoreFields: DEFAULT_IGNORE_FIELDS,
+    options: { decodeBodies: true }
+  }
+};
+
 /**
  * Comparison Engine Class
  * Orchestrates dual API execution and response comparison
@@ -39,12 +135,13 @@ export class ComparisonEngine {
     console.log('[Comparison] Executing dual API call:', { endpoint, method });
 
     const startTime = Date.now();
+    const request = { path: endpoint, method, params: { ...pathParams, ...queryParams }, body: bodyParams };
 
     try {
       // Execute both API calls in parallel using Promise.all
       const [realResult, cloneResult] = await Promise.all([
-        this.realApiClient.executeRequest(endpoint, method, pathParams, queryParams, bodyParams),
-        this.cloneApiClient.executeRequest(endpoint, method, pathParams, queryParams, bodyParams)
+        this.realApiClient.execute(request),
+        this.cloneApiClient.execute(request)
       ]);
 
       const dualDuration = Date.now() - startTime;
@@ -67,16 +164,259 @@ export class ComparisonEngine {
     }
   }
 
+  /**
+   * Re-read messages on both sides and compare their labels
+   * Used after batchModify/batchDelete, whose responses are empty
+   * @param {string} getPath - Get Message path (e.g., /users/{userId}/messages/{id})
+   * @param {Array<string>} messageIds - Message IDs sent in the batch call
+   * @returns {Promise<Object>} {ids, skipped, real, clone, diff} where real/clone map ID -> sorted labels or a status string
+   */
+  async verifyLabelState(getPath, messageIds) {
+    const ids = messageIds.slice(0, MAX_LABEL_VERIFY_IDS);
+    console.log(`[Comparison] Verifying label state of ${ids.length} messages`);
+
+    const results = [];
+    for (let start = 0; start < ids.length; start += LABEL_VERIFY_CONCURRENCY) {
+      const chunk = ids.slice(start, start + LABEL_VERIFY_CONCURRENCY);
+      results.push(...await Promise.all(
+        chunk.map(id => this.executeDual(getPath, 'GET', { id }, { format: 'minimal' }, {}))
+      ));
+    }
+
+    // Sorted labels so ordering differences are not reported; deleted messages show their status
+    const labelState = (result) => {
+      if (result.error) return `error: ${result.error}`;
+      if (result.status === 404) return 'not found';
+      if (result.status < 200 || result.status >= 300) return `HTTP ${result.status}`;
+      return [...(result.body.labelIds || [])].sort();
+    };
+
+    const real = {};
+    const clone = {};
+    ids.forEach((id, index) => {
+      real[id] = labelState(results[index].real);
+      clone[id] = labelState(results[index].clone);
+    });
+
+    return {
+      ids,
+      skipped: messageIds.length - ids.length,
+      real,
+      clone,
+      diff: this.generateDiff(real, clone, [])
+    };
+  }
+
+  /**
+   * Run trash → get → untrash → get on both sides and compare labels at each step
+   * @param {Object} paths - Endpoint paths {trash, get, untrash} for a message or thread
+   * @param {string} id - Message or thread ID
+   * @returns {Promise<Array<Object>>} Steps {name, method, real, clone, labels: {real, clone}, diff}
+   */
+  async runTrashLifecycle(paths, id) {
+    const plan = [
+      { name: 'Trash', method: 'POST', path: paths.trash, query: {} },
+      { name: 'Get after trash', method: 'GET', path: paths.get, query: { format: 'minimal' } },
+      { name: 'Untrash', method: 'POST', path: paths.untrash, query: {} },
+      { name: 'Get after untrash', method: 'GET', path: paths.get, query: { format: 'minimal' } }
+    ];
+
+    console.log('[Comparison] Running trash lifecycle for', id);
+
+    // Steps run in order: each one depends on the state left by the previous one
+    const steps = [];
+    for (const step of plan) {
+      const result = await this.executeDual(step.path, step.method, { id }, step.query, {});
+      const labels = {
+        real: this.extractLabelIds(result.real),
+        clone: this.extractLabelIds(result.clone)
+      };
+
+      steps.push({
+        name: step.name,
+        method: step.method,
+        real: result.real,
+        clone: result.clone,
+        labels,
+        diff: this.generateDiff({ labelIds: labels.real }, { labelIds: labels.clone }, [])
+      });
+    }
+
+    return steps;
+  }
+
+  /**
+   * Get the sorted labels of a message or thread result
+   * Threads carry labels per message, so their union is used
+   * @param {Object} result - API result {status, body, error}
+   * @returns {Array<string>|null} Sorted label IDs, or null if the call failed
+   */
+  extractLabelIds(result) {
+    if (result.error || result.status < 200 || result.status >= 300 || !result.body) {
+      return null;
+    }
+
+    const labels = new Set(result.body.labelIds || []);
+    (result.body.messages || []).forEach(message => {
+      (message.labelIds || []).forEach(label => labels.add(label));
+    });
+    return [...labels].sort();
+  }
+
+  /**
+   * Get the ignore list and diff options for a resource type
+   * @param {string} resource - Endpoint resource (e.g., 'sendAs', 'settings')
+   * @returns {Object} {ignoreFields, options}
+   */
+  getDiffProfile(resource) {
+    return RESOURCE_DIFF_PROFILES[resource] || { ignoreFields: DEFAULT_IGNORE_FIELDS, options: {} };
+  }
+
+  /**
+   * Normalize a response body so both sides can be compared index by index
+   * Send-as lists have no guaranteed order: primary first, then by address
+   * @param {*} body - Response body
+   * @param {string} resource - Endpoint resource
+   * @returns {*} Normalized copy (or the body unchanged)
+   */
+  normalizeResponse(body, resource) {
+    if (resource === 'sendAs' && body && Array.isArray(body.sendAs)) {
+      const sorted = [...body.sendAs].sort((a, b) => {
+        if (a.isPrimary !== b.isPrimary) return a.isPrimary ? -1 : 1;
+        return String(a.sendAsEmail).localeCompare(String(b.sendAsEmail));
+      });
+      return { ...body, sendAs: sorted };
+    }
+    return body;
+  }
+
+  /**
+   * Fetch every page of a list endpoint on both sides
+   * @param {string} endpoint - API endpoint path
+   * @param {string} method - HTTP method
+   * @param {Object} pathParams - Path parameters
+   * @param {Object} queryParams - Query string parameters
+   * @param {string} listKey - Response key holding the items (e.g., 'messages')
+   * @returns {Promise<Object>} Merged results from both APIs
+   */
+  async executeDualPaged(endpoint, method, pathParams, queryParams, listKey) {
+    console.log('[Comparison] Executing dual paged API call:', { endpoint, listKey });
+
+    const startTime = Date.now();
+    const request = { path: endpoint, method, params: { ...pathParams, ...queryParams } };
+
+    // Page tokens are per-side, so each side pages independently
+    const [realResult, cloneResult] = await Promise.all([
+      this.realApiClient.executePaged(request, listKey),
+      this.cloneApiClient.executePaged(request, listKey)
+    ]);
+
+    return {
+      real: realResult,
+      clone: cloneResult,
+      dualDuration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Send the same batch to both sides
+   * @param {Array<Object>} requests - Batch requests ({path, method, params, body, resource})
+   * @returns {Promise<Object>} {real, clone, dualDuration} batch results (see executeBatch)
+   */
+  async executeDualBatch(requests) {
+    console.log('[Comparison] Executing dual batch:', { count: requests.length });
+
+    const startTime = Date.now();
+    const [realResult, cloneResult] = await Promise.all([
+      this.realApiClient.executeBatch(requests),
+      this.cloneApiClient.executeBatch(requests)
+    ]);
+
+    return {
+      real: realResult,
+      clone: cloneResult,
+      dualDuration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Diff every sub-response of a dual batch on its own
+   * A side whose whole batch failed has no items, so each of its sub-responses is reported missing
+   * @param {Array<Object>} requests - Batch requests ({path, method, params, body, resource})
+   * @param {Object} realBatch - Real batch result
+   * @param {Object} cloneBatch - Clone batch result
+   * @returns {Array<Object>} [{request, real, clone, diff, headerDiff}] with normalized per-item results (null if missing)
+   */
+  compareBatchItems(requests, realBatch, cloneBatch) {
+    return requests.map((request, index) => {
+      const profile = this.getDiffProfile(request.resource);
+      const options = { ...profile.options, resultStates: { real: realBatch.state, clone: cloneBatch.state } };
+      if (request.params && request.params.fields) {
+        options.fieldMask = request.params.fields;
+        options.resultStatuses = {
+          real: ((realBatch.items || [])[index] || {}).status,
+          clone: ((cloneBatch.items || [])[index] || {}).status
+        };
+      }
+
+      // Sub-responses carry no attempts of their own; a rate-limited or unreachable batch is transient for every item
+      const toSide = (batch, item) => (item ? {
+        ...item,
+        body: this.normalizeResponse(item.body, request.resource),
+        transient: !!batch.transient || isRateLimitOrNetworkFailure(item)
+      } : null);
+      const real = toSide(realBatch, (realBatch.items || [])[index]);
+      const clone = toSide(cloneBatch, (cloneBatch.items || [])[index]);
+
+      const diff = this.classifyTransientFailure(
+        this.generateDiff(real ? real.body : null, clone ? clone.body : null, profile.ignoreFields, options),
+        real || { transient: !!realBatch.transient, status: realBatch.status, error: realBatch.error, attempts: realBatch.attempts },
+        clone || { transient: !!cloneBatch.transient, status: cloneBatch.status, error: cloneBatch.error, attempts: cloneBatch.attempts }
+      );
+
+      const headerDiff = this.compareHeaders(real && real.headers, clone && clone.headers);
+
+      return { request, real, clone, diff, headerDiff };
+    });
+  }
+
   /**
    * Generate intelligent diff between Real and Clone responses
    * @param {Object} realResponse - Response body from Real Gmail
    * @param {Object} cloneResponse - Response body from Clone Gmail
    * @param {Array<string>} ignoreFields - Field names to ignore (optional)
-   * @returns {Object} Diff analysis result
+   * @param {Object} options - Diff options (optional)
+   * @param {boolean} options.missingEqualsDefault - Treat a missing key as equal to false/0/""/[]
+   * @param {string} options.fieldMask - `fields=` mask that was sent; fields outside it are reported
+   * @param {Object} options.resultStatuses - {real, clone} HTTP statuses; the mask is only checked on 2xx bodies
+   * @param {Object} options.resultStates - {real, clone} result states; a 'timeout' or 'cancelled' side has no body to compare
+   * @param {boolean} options.decodeBodies - Compare message part body.data by decoded bytes
+   * @returns {Object} Diff analysis result (with interrupted: [{side, state}] when a side timed out or was cancelled)
    */
-  generateDiff(realResponse, cloneResponse, ignoreFields = DEFAULT_IGNORE_FIELDS) {
+  generateDiff(realResponse, cloneResponse, ignoreFields = DEFAULT_IGNORE_FIELDS, options = {}) {
     console.log('[Comparison] Generating diff...');
 
+    // A timed-out or cancelled side is reported as such, not as a missing response
+    const states = options.resultStates || {};
+    const interrupted = ['real', 'clone']
+      .filter(side => states[side] === 'timeout' || states[side] === 'cancelled')
+      .map(side => ({ side, state: states[side] }));
+    if (interrupted.length > 0) {
+      return {
+        hasDifferences: true,
+        interrupted,
+        summary: { count: interrupted.length, paths: ['<root>'] },
+        details: interrupted.map(({ side, state }) => ({
+          path: '<root>',
+          type: state,
+          side,
+          real: realResponse,
+          clone: cloneResponse,
+          severity: 'high'
+        }))
+      };
+    }
+
     // Handle null/undefined responses
     if (!realResponse && !cloneResponse) {
       return {
@@ -101,7 +441,12 @@ export class ComparisonEngine {
     }
 
     // Compare objects
-    const differences = this.compareObjects(realResponse, cloneResponse, '', ignoreFields);
+    const differences = this.compareObjects(realResponse, cloneResponse, '', ignoreFields, options);
+
+    // Partial response: either side returning unrequested fields is a difference in itself
+    if (options.fieldMask) {
+      differences.push(...this.compareFieldMask(realResponse, cloneResponse, options.fieldMask, options.resultStatuses));
+    }
 
     console.log('[Comparison] Diff analysis complete:', {
       differencesFound: differences.length,
@@ -118,15 +463,130 @@ export class ComparisonEngine {
     };
   }
 
+  /**
+   * Compare response headers from both sides
+   * Values are compared case-insensitively with whitespace around ; and , ignored
+   * (so "application/json; charset=UTF-8" equals "application/json;charset=utf-8")
+   * @param {Object|null} realHeaders - Real response headers (lower-cased names), null if the request failed
+   * @param {Object|null} cloneHeaders - Clone response headers
+   * @param {Array<string>} ignoreHeaders - Lower-cased header names to skip (optional)
+   * @returns {Object} Diff analysis result (same shape as generateDiff, paths are header names)
+   */
+  compareHeaders(realHeaders, cloneHeaders, ignoreHeaders = DEFAULT_IGNORE_HEADERS) {
+    const differences = [];
+
+    // Without headers on both sides (network error, timeout) there is nothing to compare
+    if (realHeaders && cloneHeaders) {
+      const normalize = value => value.toLowerCase().replace(/\s*([;,])\s*/g, '$1').trim();
+      const names = [...new Set([...Object.keys(realHeaders), ...Object.keys(cloneHeaders)])]
+        .filter(name => !ignoreHeaders.includes(name))
+        .sort();
+
+      names.forEach(name => {
+        const real = realHeaders[name];
+        const clone = cloneHeaders[name];
+        const severity = getHeaderSeverity(name);
+
+        if (real === undefined) {
+          differences.push({ path: name, type: 'missing_in_real', real, clone, severity });
+        } else if (clone === undefined) {
+          differences.push({ path: name, type: 'missing_in_clone', real, clone, severity });
+        } else if (!PRESENCE_ONLY_HEADERS.includes(name) && normalize(real) !== normalize(clone)) {
+          differences.push({ path: name, type: 'value_mismatch', real, clone, severity });
+        }
+      });
+    }
+
+    if (differences.length > 0) {
+      console.log('[Comparison] Header differences:', differences.map(d => d.path));
+    }
+
+    return {
+      hasDifferences: differences.length > 0,
+      summary: {
+        count: differences.length,
+        paths: differences.map(d => d.path)
+      },
+      details: differences
+    };
+  }
+
+  /**
+   * Label a diff caused by a transient failure (rate limit or network error) on either side
+   * Such differences say nothing about the clone, so they are reported apart from real mismatches
+   * @param {Object} diff - Result of generateDiff
+   * @param {Object} realResult - Real API result (transient and attempts set by the client)
+   * @param {Object} cloneResult - Clone API result
+   * @returns {Object} The diff, with transient: [{side, status, error, attempts}] and each detail marked transient
+   */
+  classifyTransientFailure(diff, realResult, cloneResult) {
+    const failures = [['real', realResult], ['clone', cloneResult]]
+      .filter(([, result]) => result.transient)
+      .map(([side, result]) => ({
+        side,
+        status: result.status,
+        error: result.error,
+        attempts: (result.attempts || []).length || 1
+      }));
+
+    if (failures.length === 0 || !diff.hasDifferences) {
+      return diff;
+    }
+
+    console.log('[Comparison] Differences caused by transient failure:', failures);
+    return {
+      ...diff,
+      transient: failures,
+      details: diff.details.map(detail => ({ ...detail, transient: true }))
+    };
+  }
+
+  /**
+   * Report fields either side returned outside a `fields=` mask
+   * @param {Object} realResponse - Response body from Real Gmail
+   * @param {Object} cloneResponse - Response body from Clone Gmail
+   * @param {string} fieldMask - Mask that was sent
+   * @param {Object} statuses - {real, clone} HTTP statuses (optional); error bodies ({error: ...}) are not checked
+   * @returns {Array<Object>} Array of difference objects (one per path, "[]" for any index)
+   */
+  compareFieldMask(realResponse, cloneResponse, fieldMask, statuses = {}) {
+    const isSuccess = status => status === undefined || (status >= 200 && status < 300);
+    let realOutside;
+    let cloneOutside;
+    try {
+      realOutside = isSuccess(statuses.real) ? findFieldsOutsideMask(realResponse, fieldMask) : [];
+      cloneOutside = isSuccess(statuses.clone) ? findFieldsOutsideMask(cloneResponse, fieldMask) : [];
+    } catch (error) {
+      console.warn('[Comparison] Could not parse field mask:', error.message);
+      return [];
+    }
+
+    const paths = [...new Set([...realOutside, ...cloneOutside])];
+    return paths.map(path => {
+      const inReal = realOutside.includes(path);
+      const inClone = cloneOutside.includes(path);
+      const side = inReal && inClone ? 'Real and Clone' : (inReal ? 'Real' : 'Clone');
+      return {
+        path,
+        type: 'outside_field_mask',
+        real: inReal,
+        clone: inClone,
+        severity: 'medium',
+        message: `${side} returned a field outside the mask "${fieldMask}"`
+      };
+    });
+  }
+
   /**
    * Recursively compare two objects
    * @param {*} realObj - Real Gmail object
    * @param {*} cloneObj - Clone Gmail object
    * @param {string} path - Current JSON path (e.g., "labels[0].name")
    * @param {Array<string>} ignoreFields - Fields to ignore
+   * @param {Object} options - Diff options (see generateDiff)
    * @returns {Array<Object>} Array of difference objects
    */
-  compareObjects(realObj, cloneObj, path = '', ignoreFields = []) {
+  compareObjects(realObj, cloneObj, path = '', ignoreFields = [], options = {}) {
     const differences = [];
 
     // Type mismatch
@@ -147,7 +607,7 @@ export class ComparisonEngine {
 
     // Handle arrays
     if (Array.isArray(realObj)) {
-      return this.compareArrays(realObj, cloneObj, path, ignoreFields);
+      return this.compareArrays(realObj, cloneObj, path, ignoreFields, options);
     }
 
     // Handle objects
@@ -168,6 +628,13 @@ export class ComparisonEngine {
         const realValue = realObj[key];
         const cloneValue = cloneObj[key];
 
+        // Omitted default values (proto3 JSON) are equivalent to a missing key
+        if (options.missingEqualsDefault &&
+            (!(key in realObj) && this.isDefaultValue(cloneValue) ||
+             !(key in cloneObj) && this.isDefaultValue(realValue))) {
+          continue;
+        }
+
         // Missing key
         if (!(key in realObj)) {
           differences.push({
@@ -193,10 +660,16 @@ export class ComparisonEngine {
           continue;
         }
 
+        if (PRESENCE_ONLY_FIELDS.includes(key)) {
+          continue;
+        }
+
         // Recursively compare nested values
-        const nestedDiffs = this.compareObjects(realValue, cloneValue, currentPath, ignoreFields);
+        const nestedDiffs = this.compareObjects(realValue, cloneValue, currentPath, ignoreFields, options);
         differences.push(...nestedDiffs);
       }
+    } else if (options.decodeBodies && /(^|\.)body\.data$/.test(path) && realType === 'string') {
+      differences.push(...this.compareBodyData(realObj, cloneObj, path));
     } else {
       // Primitive value comparison
       if (realObj !== cloneObj) {
@@ -214,15 +687,64 @@ export class ComparisonEngine {
     return differences;
   }
 
+  /**
+   * Compare a message part's body.data by its decoded bytes
+   * @param {string} realData - Real base64url body
+   * @param {string} cloneData - Clone base64url body
+   * @param {string} path - JSON path (e.g., "payload.parts[0].body.data")
+   * @returns {Array<Object>} Array of difference objects (empty if the content is identical)
+   */
+  compareBodyData(realData, cloneData, path) {
+    if (realData === cloneData) {
+      return [];
+    }
+
+    const decode = data => {
+      try {
+        return base64UrlDecode(data);
+      } catch (error) {
+        return null;
+      }
+    };
+    const realBytes = decode(realData);
+    const cloneBytes = decode(cloneData);
+
+    if (!realBytes || !cloneBytes) {
+      const side = !realBytes && !cloneBytes ? 'Real and Clone' : (!realBytes ? 'Real' : 'Clone');
+      return [{
+        path,
+        type: 'value_mismatch',
+        real: realData,
+        clone: cloneData,
+        severity: 'high',
+        message: `${side} body is not valid base64url`
+      }];
+    }
+
+    const offset = findFirstDifference(realBytes, cloneBytes);
+    if (offset === -1) {
+      return [];
+    }
+    return [{
+      path,
+      type: 'decoded_mismatch',
+      real: realData,
+      clone: cloneData,
+      severity: 'high',
+      message: `Decoded content differs at byte ${offset} (Real ${realBytes.length} bytes, Clone ${cloneBytes.length} bytes)`
+    }];
+  }
+
   /**
    * Compare two arrays element by element
    * @param {Array} realArr - Real Gmail array
    * @param {Array} cloneArr - Clone Gmail array
    * @param {string} path - Current JSON path
    * @param {Array<string>} ignoreFields - Fields to ignore
+   * @param {Object} options - Diff options (see generateDiff)
    * @returns {Array<Object>} Array of difference objects
    */
-  compareArrays(realArr, cloneArr, path, ignoreFields) {
+  compareArrays(realArr, cloneArr, path, ignoreFields, options = {}) {
     const differences = [];
 
     // Length mismatch
@@ -269,7 +791,7 @@ export class ComparisonEngine {
       }
 
       // Recursively compare array elements
-      const elementDiffs = this.compareObjects(realElement, cloneElement, elementPath, ignoreFields);
+      const elementDiffs = this.compareObjects(realElement, cloneElement, elementPath, ignoreFields, options);
       differences.push(...elementDiffs);
     }
 
@@ -307,6 +829,18 @@ export class ComparisonEngine {
     return false;
   }
 
+  /**
+   * Check if a value is a proto3 default (omitted from Gmail's JSON output)
+   * @param {*} value - Value to check
+   * @returns {boolean} True for false, 0, "", [] and {}
+   */
+  isDefaultValue(value) {
+    if (value === false || value === 0 || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (this.getType(value) === 'object') return Object.keys(value).length === 0;
+    return false;
+  }
+
   /**
    * Get type of value (handles null and arrays correctly)
    * @param {*} value - Value to check
@@ -3,20 +3,56 @@
  * Generates HTML for side-by-side (vertical) comparison of API responses
  */
 
+import {
+  describeBatchOutcome,
+  renderAttemptHistory,
+  renderHistoryRecords,
+  renderResponseHeaders
+} from './response-views.js';
+import { escapeHtml, stringifyForDisplay } from './ui-components.js';
+
 /**
  * Render complete comparison view with diff highlighting
  * @param {Object} realResult - Real Gmail API result
  * @param {Object} cloneResult - Clone Gmail API result
  * @param {Object} diff - Diff analysis from ComparisonEngine
+ * @param {Object} headerDiff - Header diff from ComparisonEngine.compareHeaders (optional)
  * @returns {string} HTML string for comparison view
  */
-export function renderComparisonView(realResult, cloneResult, diff) {
+export function renderComparisonView(realResult, cloneResult, diff, headerDiff = null) {
   return `
     <div class="comparison-container">
       ${renderDiffSummary(diff)}
-      ${renderApiSection(realResult, 'real', diff)}
+      ${headerDiff ? renderHeaderDiffSummary(headerDiff) : ''}
+      ${renderApiSection(realResult, 'real', diff, headerDiff)}
       <div class="comparison-divider">⚖️ vs</div>
-      ${renderApiSection(cloneResult, 'clone', diff)}
+      ${renderApiSection(cloneResult, 'clone', diff, headerDiff)}
+    </div>
+  `;
+}
+
+/**
+ * Render the header differences under the body diff summary
+ * @param {Object} headerDiff - Result of ComparisonEngine.compareHeaders
+ * @returns {string} HTML string (empty when the headers match)
+ */
+function renderHeaderDiffSummary(headerDiff) {
+  if (!headerDiff.hasDifferences) {
+    return '';
+  }
+
+  return `
+    <div class="diff-summary headers">
+      <div>
+        <span class="diff-status warning">
+          📋 ${headerDiff.summary.count} Header Difference${headerDiff.summary.count !== 1 ? 's' : ''}
+        </span>
+      </div>
+      <div class="diff-details">
+        <ul>
+          ${formatDiffDetails(headerDiff.details)}
+        </ul>
+      </div>
     </div>
   `;
 }
@@ -27,6 +63,13 @@ export function renderComparisonView(realResult, cloneResult, diff) {
  * @returns {string} HTML string for diff summary
  */
 export function renderDiffSummary(diff) {
+  if (diff.interrupted) {
+    return renderInterruptedSummary(diff);
+  }
+  if (diff.transient) {
+    return renderTransientSummary(diff);
+  }
+
   const isMatch = !diff.hasDifferences;
   const statusClass = isMatch ? 'match' : 'mismatch';
   const statusIcon = isMatch ? '✓' : '⚠️';
@@ -58,29 +101,85 @@ export function renderDiffSummary(diff) {
   `;
 }
 
+/**
+ * Render the summary of a diff caused by a rate limit or network failure
+ * @param {Object} diff - Diff analysis result with transient failures (see classifyTransientFailure)
+ * @returns {string} HTML string for diff summary
+ */
+function renderTransientSummary(diff) {
+  const failures = diff.transient.map(failure => {
+    const side = failure.side === 'real' ? 'Real' : 'Clone';
+    const cause = failure.status ? `HTTP ${failure.status}` : escapeHtml(failure.error || 'network error');
+    return `${side}: ${cause} after ${failure.attempts} attempt${failure.attempts !== 1 ? 's' : ''}`;
+  });
+
+  return `
+    <div class="diff-summary transient">
+      <div>
+        <span class="diff-status transient">
+          ⏳ Transient Failure (${failures.join('; ')}) - not a clone mismatch, retry later
+        </span>
+      </div>
+      <div class="diff-details">
+        <strong>${diff.summary.count} difference${diff.summary.count !== 1 ? 's' : ''} caused by the failure:</strong>
+        <ul>
+          ${formatDiffDetails(diff.details)}
+        </ul>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the summary of a diff where a side timed out or was cancelled
+ * @param {Object} diff - Diff analysis result with interrupted sides (see generateDiff resultStates)
+ * @returns {string} HTML string for diff summary
+ */
+function renderInterruptedSummary(diff) {
+  const sides = diff.interrupted.map(({ side, state }) =>
+    `${side === 'real' ? 'Real' : 'Clone'} ${state === 'timeout' ? 'timed out' : 'was cancelled'}`);
+  const icon = diff.interrupted.some(({ state }) => state === 'timeout') ? '⏱️' : '⛔';
+
+  return `
+    <div class="diff-summary interrupted">
+      <div>
+        <span class="diff-status interrupted">
+          ${icon} ${sides.join('; ')} - no response to compare
+        </span>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Render single API section (Real or Clone)
  * @param {Object} result - API call result
  * @param {string} mode - 'real' or 'clone'
  * @param {Object} diff - Diff analysis result
+ * @param {Object} headerDiff - Header diff (optional); differing headers are highlighted
  * @returns {string} HTML string for API section
  */
-export function renderApiSection(result, mode, diff) {
+export function renderApiSection(result, mode, diff, headerDiff = null) {
   const modeName = mode === 'real' ? 'Real Gmail' : 'Clone';
   const badgeClass = mode === 'real' ? 'real' : 'clone';
 
   // Status color coding
   let statusClass = 'status-success';
-  if (result.status >= 500) statusClass = 'status-error';
+  if (result.state) statusClass = 'status-interrupted';
+  else if (result.status >= 500) statusClass = 'status-error';
   else if (result.status >= 400) statusClass = 'status-warning';
 
+  let statusText = `${result.status || 'Error'} ${getStatusText(result.status)}`;
+  if (result.state === 'timeout') statusText = '⏱️ Timed out';
+  else if (result.state === 'cancelled') statusText = '⛔ Cancelled';
+
   // Request display
   const requestHtml = result.url ? `
     <div class="comparison-request">
       <strong>Request:</strong>
       <div class="code-block">
         <div><strong>${result.method || 'GET'}</strong> ${result.url}</div>
-        ${result.requestBody && Object.keys(result.requestBody).length > 0 ? `<div style="margin-top: 8px;">Body: ${JSON.stringify(result.requestBody, null, 2)}</div>` : ''}
+        ${result.requestBody && Object.keys(result.requestBody).length > 0 ? `<div style="margin-top: 8px;">Body: ${stringifyForDisplay(result.requestBody)}</div>` : ''}
       </div>
     </div>
   ` : '';
@@ -92,6 +191,7 @@ export function renderApiSection(result, mode, diff) {
       <div class="code-block">
         ${highlightJsonWithDiff(result.body, diff, mode, '')}
       </div>
+      ${renderHistoryRecords(result.body)}
     </div>
   `;
 
@@ -99,11 +199,13 @@ export function renderApiSection(result, mode, diff) {
     <div class="comparison-section ${mode}">
       <div class="comparison-header">
         <span class="mode-badge ${badgeClass}">${modeName}</span>
-        <span class="${statusClass}">${result.status || 'Error'} ${getStatusText(result.status)}</span>
+        <span class="${statusClass}">${statusText}</span>
         <span style="color: #5f6368;">| ${result.responseTime || 0}ms</span>
       </div>
       ${requestHtml}
+      ${renderResponseHeaders(result.headers, headerDiff ? headerDiff.summary.paths : [])}
       ${responseHtml}
+      ${renderAttemptHistory(result.attempts)}
       ${result.error ? `<div class="error-message">Error: ${result.error}</div>` : ''}
     </div>
   `;
@@ -253,6 +355,174 @@ function isIgnoredField(path, diff) {
   return ignoredPatterns.includes(fieldName);
 }
 
+/**
+ * Render per-message label state from both sides after a batch call
+ * @param {Object} verification - Result of ComparisonEngine.verifyLabelState
+ * @returns {string} HTML string
+ */
+export function renderLabelStateVerification(verification) {
+  const mismatched = new Set(verification.diff.details.map(d => d.path.split(/[.[]/)[0]));
+  const formatState = (state) => Array.isArray(state)
+    ? (state.length > 0 ? state.join(', ') : '(no labels)')
+    : `<em>${state}</em>`;
+
+  const rows = verification.ids.map(id => `
+    <tr class="${mismatched.has(id) ? 'mismatch' : ''}">
+      <td><code>${id}</code></td>
+      <td>${formatState(verification.real[id])}</td>
+      <td>${formatState(verification.clone[id])}</td>
+      <td>${mismatched.has(id) ? '⚠️' : '✓'}</td>
+    </tr>
+  `).join('');
+
+  return `
+    ${renderDiffSummary(verification.diff)}
+    <div class="label-verification">
+      <strong>🏷️ Label State After Batch Call</strong>
+      <table>
+        <thead>
+          <tr><th>Message</th><th>Real labels</th><th>Clone labels</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${verification.skipped > 0 ? `<div class="param-help">${verification.skipped} more message(s) not checked</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the trash lifecycle steps with label changes per side
+ * @param {Array<Object>} steps - Result of ComparisonEngine.runTrashLifecycle
+ * @returns {string} HTML string
+ */
+export function renderTrashLifecycle(steps) {
+  const mismatchCount = steps.filter(step => step.diff.hasDifferences).length;
+  const previous = { real: null, clone: null };
+
+  const renderSide = (step, mode) => {
+    const result = step[mode];
+    const labels = step.labels[mode];
+
+    let statusClass = 'status-success';
+    if (!result.status || result.status >= 500) statusClass = 'status-error';
+    else if (result.status >= 400) statusClass = 'status-warning';
+
+    // Show what changed compared to the previous step on the same side
+    let changesHtml = '';
+    if (labels && previous[mode]) {
+      const added = labels.filter(l => !previous[mode].includes(l));
+      const removed = previous[mode].filter(l => !labels.includes(l));
+      changesHtml = [
+        ...added.map(l => `<span class="lifecycle-added">+${l}</span>`),
+        ...removed.map(l => `<span class="lifecycle-removed">−${l}</span>`)
+      ].join(' ');
+    }
+    if (labels) {
+      previous[mode] = labels;
+    }
+
+    return `
+      <td>
+        <span class="${statusClass}">${result.status || 'Error'}</span>
+        ${result.error ? `<div class="error-message">${result.error}</div>` : ''}
+        ${labels ? `
+          <div class="lifecycle-labels">
+            ${labels.map(l => `<span class="${l === 'TRASH' ? 'lifecycle-trash' : ''}">${l}</span>`).join(', ') || '(no labels)'}
+          </div>
+          ${changesHtml ? `<div>${changesHtml}</div>` : ''}
+        ` : ''}
+      </td>
+    `;
+  };
+
+  const rows = steps.map((step, index) => `
+    <tr class="${step.diff.hasDifferences ? 'mismatch' : ''}">
+      <td><strong>${index + 1}. ${step.name}</strong><div class="method-${step.method.toLowerCase()}">${step.method}</div></td>
+      ${renderSide(step, 'real')}
+      ${renderSide(step, 'clone')}
+      <td>${step.diff.hasDifferences ? '⚠️' : '✓'}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="comparison-container">
+      <div class="diff-summary ${mismatchCount === 0 ? 'match' : 'mismatch'}">
+        <span class="diff-status ${mismatchCount === 0 ? 'success' : 'warning'}">
+          ${mismatchCount === 0
+            ? '✓ Labels match at every step'
+            : `⚠️ Labels diverge at ${mismatchCount} of ${steps.length} steps`}
+        </span>
+      </div>
+      <div class="label-verification">
+        <strong>♻️ Trash Lifecycle</strong>
+        <table>
+          <thead>
+            <tr><th>Step</th><th>Real</th><th>Clone</th><th></th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render a dual batch: whether each side accepted the batch, then every sub-response diffed on its own
+ * @param {Object} dualResult - Result of ComparisonEngine.executeDualBatch
+ * @param {Array<Object>} comparisons - Result of ComparisonEngine.compareBatchItems
+ * @returns {string} HTML string
+ */
+export function renderBatchComparison(dualResult, comparisons) {
+  const realOutcome = describeBatchOutcome(dualResult.real, comparisons.length);
+  const cloneOutcome = describeBatchOutcome(dualResult.clone, comparisons.length);
+  const mismatchCount = comparisons.filter(item => item.diff.hasDifferences).length;
+
+  let statusHtml;
+  if (dualResult.real.state || dualResult.clone.state) {
+    statusHtml = '<span class="diff-status interrupted">⏱️ Batch timed out or was cancelled - no responses to compare</span>';
+  } else if (realOutcome.supported && !cloneOutcome.supported) {
+    statusHtml = '<span class="diff-status warning">❌ Clone does not support batch requests</span>';
+  } else if (mismatchCount === 0) {
+    statusHtml = `<span class="diff-status success">✓ All ${comparisons.length} sub-responses match</span>`;
+  } else {
+    statusHtml = `<span class="diff-status warning">⚠️ ${mismatchCount} of ${comparisons.length} sub-responses differ</span>`;
+  }
+
+  // A side that returned no sub-response falls back to its batch-level status and error
+  const toResult = (item, batch, request) => ({
+    ...(item || { status: batch.status, body: null, error: batch.error || batch.batchError || 'No sub-response' }),
+    url: request.display,
+    method: request.method,
+    requestBody: request.body
+  });
+
+  const items = comparisons.map((item, index) => `
+    <details class="batch-item ${item.diff.hasDifferences ? 'mismatch' : 'match'}" ${item.diff.hasDifferences ? 'open' : ''}>
+      <summary>
+        #${index + 1} <strong>${item.request.method}</strong> ${item.request.display}
+        — Real ${item.real ? item.real.status : '✗'} / Clone ${item.clone ? item.clone.status : '✗'}
+        ${item.diff.hasDifferences ? '⚠️' : '✓'}
+      </summary>
+      ${renderComparisonView(toResult(item.real, dualResult.real, item.request), toResult(item.clone, dualResult.clone, item.request), item.diff, item.headerDiff)}
+    </details>
+  `).join('');
+
+  return `
+    <div class="comparison-container">
+      <div class="diff-summary ${!cloneOutcome.supported || mismatchCount > 0 ? 'mismatch' : 'match'}">
+        ${statusHtml}
+        <div class="diff-details">
+          <ul>
+            <li>Real batch: ${realOutcome.text} | ${dualResult.real.responseTime || 0}ms</li>
+            <li>Clone batch: ${cloneOutcome.text} | ${dualResult.clone.responseTime || 0}ms</li>
+          </ul>
+        </div>
+      </div>
+      <div class="batch-results">${items}</div>
+    </div>
+  `;
+}
+
 /**
  * Format diff details as HTML list items
  * @param {Array<Object>} details - Array of difference objects
@@ -266,19 +536,20 @@ export function formatDiffDetails(details) {
 
   const items = [];
 
+  // Paths and values come from the responses (e.g., keys outside a field mask), so both are escaped
   // High severity first
   high.forEach(d => {
-    items.push(`<li><strong>${d.path}</strong>: ${formatDiffMessage(d)}</li>`);
+    items.push(`<li><strong>${escapeHtml(d.path)}</strong>: ${escapeHtml(formatDiffMessage(d))}</li>`);
   });
 
   // Then medium
   medium.forEach(d => {
-    items.push(`<li>${d.path}: ${formatDiffMessage(d)}</li>`);
+    items.push(`<li>${escapeHtml(d.path)}: ${escapeHtml(formatDiffMessage(d))}</li>`);
   });
 
   // Then low
   low.forEach(d => {
-    items.push(`<li style="color: #5f6368;">${d.path}: ${formatDiffMessage(d)}</li>`);
+    items.push(`<li style="color: #5f6368;">${escapeHtml(d.path)}: ${escapeHtml(formatDiffMessage(d))}</li>`);
   });
 
   return items.join('');
@@ -306,6 +577,12 @@ function formatDiffMessage(diff) {
     case 'array_length_mismatch':
       return `Array length: Real[${diff.real}] vs Clone[${diff.clone}]`;
 
+    case 'timeout':
+      return `${diff.side === 'real' ? 'Real' : 'Clone'} timed out (no response to compare)`;
+
+    case 'cancelled':
+      return `${diff.side === 'real' ? 'Real' : 'Clone'} was cancelled (no response to compare)`;
+
     default:
       return diff.message || 'Unknown difference';
   }
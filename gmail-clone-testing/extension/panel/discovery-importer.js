@@ -0,0 +1,324 @@
+/**
+ * Discovery Importer - Build endpoint definitions from the Gmail REST discovery document
+ * Hand-written endpoints in endpoints.js stay as UX overrides (matched by discoveryId);
+ * every other discovery method is added with generated params.
+ *
+ * SETUP: the discovery document is not part of the repository. Without it the panel
+ * only offers the hand-written endpoints. To add the rest of the Gmail API:
+ *
+ * 1. Download the document (public, no auth needed) next to this file, from gmail-clone-testing/:
+ *      curl -o extension/panel/gmail-discovery.json 'https://gmail.googleapis.com/$discovery/rest?version=v1'
+ *
+ * 2. Reload the extension in chrome://extensions and reopen the panel.
+ *    The console shows "[Discovery] Added N endpoints" once it is picked up.
+ *
+ * Download it again to pick up new Gmail API methods.
+ */
+
+import { parameterMetadata } from './endpoints.js';
+import { escapeHtml } from './ui-components.js';
+
+/**
+ * Settings sub-resources that have their own resource in the panel dropdown
+ */
+const SETTINGS_SUB_RESOURCES = ['filters', 'sendAs'];
+
+/**
+ * Turn a camelCase name into words (e.g., 'sendAsEmail' → 'Send As Email')
+ * @param {string} name - camelCase name
+ * @returns {string} Title-cased words
+ */
+function humanize(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Turn a camelCase name into kebab-case (e.g., 'forwardingAddresses' → 'forwarding-addresses')
+ * @param {string} name - camelCase name
+ * @returns {string} kebab-case name
+ */
+function kebab(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Singular form of a resource name (e.g., 'forwardingAddresses' → 'forwardingAddress')
+ * @param {string} name - Plural resource name
+ * @returns {string} Singular name
+ */
+function singularize(name) {
+  if (name.endsWith('ies')) return `${name.slice(0, -3)}y`;
+  if (name.endsWith('sses')) return name.slice(0, -2);
+  if (name.endsWith('s') && !name.endsWith('ss')) return name.slice(0, -1);
+  return name;
+}
+
+/**
+ * Map a discovery parameter or schema property to a panel param config
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Discovery parameter/property schema
+ * @param {Object} context - {resource, location, group, required}
+ * @returns {Object} Param config for renderParam
+ */
+function toParamConfig(name, schema, context) {
+  const param = {
+    name,
+    label: humanize(name),
+    placeholder: '',
+    helpText: schema.description ? escapeHtml(schema.description) : '',
+    required: !!(context.required || schema.required)
+  };
+
+  if (context.location === 'query') {
+    param.location = 'query';
+  }
+  if (context.group) {
+    param.group = context.group;
+  }
+
+  if (context.location === 'path') {
+    // Path IDs get autocomplete from the matching list cache
+    param.type = 'id';
+    param.resource = name === 'id' ? context.resource : (name.endsWith('Id') ? `${name.slice(0, -2)}s` : context.resource);
+  } else if (schema.enum) {
+    param.type = 'enum';
+    param.options = schema.enum.map((value, index) => ({
+      value,
+      label: value,
+      description: escapeHtml((schema.enumDescriptions || [])[index] || '')
+    }));
+  } else if (schema.repeated || schema.type === 'array') {
+    // Arrays of objects cannot be typed as a comma list
+    const items = schema.items || {};
+    param.type = items.$ref || items.type === 'object' ? 'json' : 'array';
+    if (param.type === 'array') {
+      param.placeholder = 'Comma-separated values';
+    }
+  } else if (schema.type === 'boolean') {
+    param.type = 'boolean';
+    param.checkboxLabel = humanize(name);
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    param.type = 'number';
+  } else if (schema.$ref || schema.type === 'object') {
+    param.type = 'json';
+  } else {
+    param.type = 'string';
+  }
+
+  if (schema.default !== undefined && context.location === 'query') {
+    param.defaultValue = schema.default;
+  }
+  if (param.type === 'json') {
+    param.placeholder = 'JSON value';
+  }
+
+  return param;
+}
+
+/**
+ * Check whether a schema property is set by the server only
+ * @param {Object} property - Discovery schema property
+ * @returns {boolean} True for read-only properties
+ */
+function isOutputOnly(property) {
+  return !!property.readOnly || /^output only/i.test(property.description || '');
+}
+
+/**
+ * Flatten a request body schema into params
+ * Top-level object properties become a param group; anything deeper is a JSON field
+ * @param {Object} doc - Discovery document
+ * @param {string} ref - Schema name of the request body
+ * @param {string} resource - Endpoint resource
+ * @returns {Object} {params, paramGroups}
+ */
+function bodyParamsFromSchema(doc, ref, resource) {
+  const schema = (doc.schemas || {})[ref];
+  const params = [];
+  const paramGroups = {};
+
+  if (!schema || !schema.properties) {
+    return { params, paramGroups };
+  }
+
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (isOutputOnly(property)) {
+      return;
+    }
+
+    const nested = property.$ref ? (doc.schemas || {})[property.$ref] : null;
+    if (nested && nested.properties) {
+      paramGroups[name] = {
+        label: humanize(name),
+        helpText: property.description ? escapeHtml(property.description) : ''
+      };
+      Object.entries(nested.properties).forEach(([childName, childProperty]) => {
+        if (!isOutputOnly(childProperty)) {
+          params.push(toParamConfig(childName, childProperty, { resource, group: name }));
+        }
+      });
+      return;
+    }
+
+    params.push(toParamConfig(name, property, { resource }));
+  });
+
+  return { params, paramGroups };
+}
+
+/**
+ * Build a panel endpoint definition from a discovery method
+ * @param {Object} doc - Discovery document
+ * @param {Object} method - Discovery method
+ * @param {Array<string>} resourcePath - Resource names below users (e.g., ['settings', 'delegates'])
+ * @param {string} methodName - Method name within its resource (e.g., 'list')
+ * @returns {Object} Endpoint definition
+ */
+function toEndpoint(doc, method, resourcePath, methodName) {
+  // Panel resources: first level below users, except filters/sendAs which have their own
+  let resource = resourcePath[0] || 'profile';
+  if (resource === 'settings' && SETTINGS_SUB_RESOURCES.includes(resourcePath[1])) {
+    resource = resourcePath[1];
+  }
+
+  // Discovery paths include the service prefix (gmail/v1/...) which the clients' base URL already has
+  const servicePrefix = `${doc.name}/${doc.version}/`;
+  let path = method.path.startsWith(servicePrefix) ? method.path.slice(servicePrefix.length) : method.path;
+  path = `/${path}`.replace(/\{\+(\w+)\}/g, '{$1}');
+
+  const paramsConfig = [];
+  Object.entries(method.parameters || {}).forEach(([name, parameter]) => {
+    // userId comes from the session default in the panel header
+    if (name === 'userId') {
+      return;
+    }
+    paramsConfig.push(toParamConfig(name, parameter, { resource, location: parameter.location }));
+  });
+
+  // Path params first so the form reads like the URL
+  paramsConfig.sort((a, b) => (b.type === 'id') - (a.type === 'id'));
+
+  let paramGroups = {};
+  if (method.request && method.request.$ref) {
+    // A body property named like a path param (e.g., Label.id on labels.update) is already in the URL
+    const pathNames = Object.keys(method.parameters || {}).filter(name => method.parameters[name].location === 'path');
+    const body = bodyParamsFromSchema(doc, method.request.$ref, resource);
+    paramsConfig.push(...body.params.filter(p => p.group || !pathNames.includes(p.name)));
+    paramGroups = body.paramGroups;
+  }
+
+  if (method.supportsMediaUpload) {
+    paramsConfig.push({ ...parameterMetadata.uploadType, name: 'uploadType' });
+  }
+
+  const leaf = resourcePath.length > 0 ? resourcePath[resourcePath.length - 1] : '';
+  const name = /^(list|get|create|update|patch|delete|insert|import|send|trash|untrash|modify|verify)$/.test(methodName) && leaf
+    ? `${humanize(methodName)} ${humanize(methodName === 'list' ? leaf : singularize(leaf))}`
+    : humanize(methodName);
+
+  return {
+    id: [...resourcePath, methodName].map(kebab).join('-'),
+    discoveryId: method.id,
+    name,
+    resource,
+    method: method.httpMethod,
+    path,
+    paramsConfig,
+    ...(Object.keys(paramGroups).length > 0 ? { paramGroups } : {}),
+    docs: method.description ? escapeHtml(method.description) : `${method.httpMethod} ${path}`,
+    imported: true
+  };
+}
+
+/**
+ * Import every method of a discovery document as endpoint definitions
+ * @param {Object} doc - Gmail REST discovery document (https://gmail.googleapis.com/$discovery/rest?version=v1)
+ * @returns {Array<Object>} Endpoint definitions in discovery order
+ */
+export function importDiscovery(doc) {
+  const imported = [];
+
+  const walk = (resources, resourcePath) => {
+    Object.entries(resources || {}).forEach(([resourceName, resource]) => {
+      // The users resource is implicit (all paths are /users/{userId}/...)
+      const currentPath = resourceName === 'users' ? resourcePath : [...resourcePath, resourceName];
+      Object.entries(resource.methods || {}).forEach(([methodName, method]) => {
+        imported.push(toEndpoint(doc, method, currentPath, methodName));
+      });
+      walk(resource.resources, currentPath);
+    });
+  };
+
+  walk(doc.resources, []);
+  return imported;
+}
+
+/**
+ * Layer a discovery document under the hand-written catalog (in place)
+ * Hand-written endpoints keep their ID, forms and UX metadata and gain any path/query params they lack;
+ * body params stay hand-written because those forms compose the body (e.g., to/subject/body → raw)
+ * @param {Object} endpoints - Endpoint catalog from endpoints.js
+ * @param {Object} doc - Gmail REST discovery document
+ * @returns {Object} {added, extended} endpoint IDs
+ */
+export function extendEndpoints(endpoints, doc) {
+  const byDiscoveryId = {};
+  Object.values(endpoints).forEach(endpoint => {
+    if (endpoint.discoveryId) {
+      byDiscoveryId[endpoint.discoveryId] = endpoint;
+    }
+  });
+
+  const added = [];
+  const extended = [];
+
+  importDiscovery(doc).forEach(importedEndpoint => {
+    const override = byDiscoveryId[importedEndpoint.discoveryId];
+
+    if (!override) {
+      importedEndpoint.paramsConfig.push({ ...parameterMetadata.fields, name: 'fields' });
+      endpoints[importedEndpoint.id] = importedEndpoint;
+      added.push(importedEndpoint.id);
+      return;
+    }
+
+    const known = new Set(override.paramsConfig.map(p => p.name));
+    const missing = importedEndpoint.paramsConfig
+      .filter(p => (p.location === 'query' || p.type === 'id') && !p.group && !known.has(p.name));
+    if (missing.length > 0) {
+      // Keep fields last, where the hand-written catalog puts it
+      const fieldsIndex = override.paramsConfig.findIndex(p => p.name === 'fields');
+      override.paramsConfig.splice(fieldsIndex === -1 ? override.paramsConfig.length : fieldsIndex, 0, ...missing);
+      extended.push(override.id);
+    }
+  });
+
+  console.log(`[Discovery] Added ${added.length} endpoints, extended ${extended.length} hand-written endpoints`);
+  return { added, extended };
+}
+
+/**
+ * Discovery document download URL (see SETUP above)
+ */
+export const DISCOVERY_DOCUMENT_URL = 'https://gmail.googleapis.com/$discovery/rest?version=v1';
+
+/**
+ * Load the local discovery document saved next to the panel, if present
+ * @param {string} url - URL of the discovery JSON (relative to the panel)
+ * @returns {Promise<Object|null>} Discovery document, or null to keep the hand-written catalog
+ */
+export async function loadDiscoveryDocument(url = 'gmail-discovery.json') {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.log(`[Discovery] No discovery document at ${url} (${response.status}); using hand-written endpoints. ` +
+        `Save ${DISCOVERY_DOCUMENT_URL} as panel/${url} to add every Gmail API method.`);
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    console.log(`[Discovery] Could not load ${url}: ${error.message}; using hand-written endpoints`);
+    return null;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Encoding Helpers - base64url and byte utilities shared by the panel
+ * Gmail returns message and attachment bodies as base64url (RFC 4648 §5)
+ */
+
+/**
+ * Decode a base64url (or regular base64) string to bytes
+ * @param {string} data - base64url encoded string, padding optional
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64UrlDecode(data) {
+  // Convert base64url alphabet back to base64 and restore padding
+  let base64 = data.replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, '');
+  while (base64.length % 4 !== 0) {
+    base64 += '=';
+  }
+
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as standard base64 (with padding)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64 string
+ */
+export function bytesToBase64(bytes) {
+  // Build the binary string in chunks to avoid call stack limits on large files
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Encode bytes as base64url (URL-safe alphabet, no padding)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+export function bytesToBase64Url(bytes) {
+  // Base64URL differs from regular base64:
+  // - Replace + with -
+  // - Replace / with _
+  // - Remove padding (=)
+  return bytesToBase64(bytes)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Encode a text string as UTF-8 base64url
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+export function base64UrlEncode(text) {
+  return bytesToBase64Url(new TextEncoder().encode(text));
+}
+
+/**
+ * Compute SHA-256 digest of bytes
+ * @param {Uint8Array} bytes - Bytes to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Guess MIME type from magic bytes
+ * @param {Uint8Array} bytes - File content
+ * @returns {string|null} MIME type, or null if unknown
+ */
+export function sniffMimeType(bytes) {
+  const startsWith = (...signature) => signature.every((b, i) => bytes[i] === b);
+
+  if (startsWith(0x89, 0x50, 0x4E, 0x47)) return 'image/png';
+  if (startsWith(0xFF, 0xD8, 0xFF)) return 'image/jpeg';
+  if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+  if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image/webp';
+  if (startsWith(0x25, 0x50, 0x44, 0x46)) return 'application/pdf';
+  if (startsWith(0x50, 0x4B, 0x03, 0x04)) return 'application/zip';
+
+  // No NUL bytes and valid UTF-8 in the first 4KB - treat as text
+  const head = bytes.subarray(0, 4096);
+  if (!head.includes(0)) {
+    try {
+      // stream: true tolerates a multi-byte sequence cut at the 4KB boundary
+      new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+      return 'text/plain';
+    } catch (error) {
+      // Invalid UTF-8 - binary content
+    }
+  }
+
+  return null;
+}
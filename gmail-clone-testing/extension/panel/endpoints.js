@@ -62,6 +62,35 @@ export const parameterMetadata = {
     required: true
   },
 
+  'messageId': {
+    type: 'id',
+    label: 'Message ID',
+    placeholder: 'e.g., 18c5f8a9b2d3e4f5',
+    helpText: 'ID of the message that contains the attachment',
+    resource: 'messages',
+    required: true
+  },
+
+  'attachmentId': {
+    type: 'id',
+    label: 'Attachment ID',
+    placeholder: 'e.g., ANGjdJ8...',
+    helpText: 'Attachment IDs come from payload.parts[].body.attachmentId of a message',
+    resource: 'attachments',
+    relatedParam: 'messageId',
+    cacheHint: 'Run "Get Message" on a message with attachments first to see available attachment IDs',
+    required: true
+  },
+
+  'ids': {
+    type: 'multi-id',
+    label: 'Message IDs',
+    placeholder: 'Paste message IDs separated by commas, spaces or new lines',
+    helpText: 'Click cached messages to toggle them, or paste IDs (up to 1000)',
+    resource: 'messages',
+    required: true
+  },
+
   'labelIds': {
     type: 'array',
     label: 'Label IDs',
@@ -118,7 +147,7 @@ export const parameterMetadata = {
     type: 'email',
     label: 'Recipient',
     placeholder: 'e.g., recipient@example.com',
-    helpText: 'Email address of the person you\'re sending to',
+    helpText: 'Email address of the person you\'re sending to. For Bcc-only mail use undisclosed-recipients:;',
     required: true
   },
 
@@ -137,28 +166,608 @@ export const parameterMetadata = {
     helpText: 'The content of your email',
     rows: 5,
     required: true
+  },
+
+  'from': {
+    type: 'email',
+    label: 'From',
+    placeholder: 'e.g., Me <me@example.com>',
+    helpText: 'Must be the account or one of its send-as aliases. Leave empty to use the default address',
+    required: false
+  },
+
+  'cc': {
+    type: 'email',
+    label: 'Cc',
+    placeholder: 'e.g., alice@example.com, Bob <bob@example.com>',
+    helpText: 'Comma-separated addresses',
+    required: false
+  },
+
+  'bcc': {
+    type: 'email',
+    label: 'Bcc',
+    placeholder: 'e.g., archive@example.com',
+    helpText: 'Comma-separated addresses. Gmail delivers to them and removes the header from the sent copy',
+    required: false
+  },
+
+  'replyTo': {
+    type: 'email',
+    label: 'Reply-To',
+    placeholder: 'e.g., support@example.com',
+    helpText: 'Where replies should go, if not the sender',
+    required: false
+  },
+
+  'htmlBody': {
+    type: 'textarea',
+    label: 'HTML Body',
+    placeholder: '<p>Hello <b>there</b></p>\n<img src="cid:logo.png">',
+    helpText: 'Sent with the message body as multipart/alternative. Reference inline images as cid:<file name>',
+    rows: 5,
+    required: false
+  },
+
+  'customHeaders': {
+    type: 'textarea',
+    label: 'Custom Headers',
+    placeholder: 'X-Campaign: spring\nIn-Reply-To: <abc@example.com>\nReferences: <abc@example.com>',
+    helpText: 'One "Name: value" per line. Content-* and MIME-Version are set by the composer',
+    rows: 3,
+    required: false
+  },
+
+  'inlineImages': {
+    type: 'file',
+    label: 'Inline Images',
+    multiple: true,
+    accept: 'image/*',
+    helpText: 'Sent as multipart/related with Content-ID set to the file name (other characters than letters, digits, . _ - become _)',
+    required: false
+  },
+
+  'startHistoryId': {
+    type: 'string',
+    label: 'Start History ID',
+    placeholder: 'e.g., 1234567',
+    helpText: 'Returns changes after this point. Copy the historyId from a message, thread or your profile',
+    required: true
+  },
+
+  'historyTypes': {
+    type: 'array',
+    label: 'History Types',
+    placeholder: 'e.g., messageAdded,labelAdded',
+    helpText: 'Only return these kinds of changes (comma-separated). Leave empty for all types',
+    examplesTitle: 'History Types',
+    examples: [
+      { value: 'messageAdded', description: 'New messages in the mailbox' },
+      { value: 'messageDeleted', description: 'Messages permanently deleted' },
+      { value: 'labelAdded', description: 'Labels added to messages' },
+      { value: 'labelRemoved', description: 'Labels removed from messages' }
+    ],
+    required: false
+  },
+
+  'labelId': {
+    type: 'string',
+    label: 'Label ID',
+    placeholder: 'e.g., INBOX or Label_123',
+    helpText: 'Only return changes for messages with this label',
+    required: false
+  },
+
+  'filterFrom': {
+    type: 'string',
+    label: 'From',
+    placeholder: 'e.g., newsletter@example.com',
+    helpText: 'Sender\'s display name or email address',
+    required: false
+  },
+
+  'filterTo': {
+    type: 'string',
+    label: 'To',
+    placeholder: 'e.g., me@example.com',
+    helpText: 'Recipient\'s display name or email address (includes To, Cc and Bcc)',
+    required: false
+  },
+
+  'filterSubject': {
+    type: 'string',
+    label: 'Subject',
+    placeholder: 'e.g., Invoice',
+    helpText: 'Case-insensitive phrase in the subject. Leading and trailing whitespace is trimmed',
+    required: false
+  },
+
+  'filterQuery': {
+    type: 'search',
+    label: 'Has the Words',
+    placeholder: 'e.g., unsubscribe OR "weekly digest"',
+    helpText: 'Only match messages matching this Gmail search query',
+    examples: [
+      { query: 'unsubscribe', description: 'Mailing lists' },
+      { query: 'category:promotions', description: 'Promotions tab' },
+      { query: 'filename:pdf', description: 'PDF attachments' }
+    ],
+    required: false
+  },
+
+  'negatedQuery': {
+    type: 'string',
+    label: 'Doesn\'t Have',
+    placeholder: 'e.g., urgent',
+    helpText: 'Only match messages NOT matching this Gmail search query',
+    required: false
+  },
+
+  'hasAttachment': {
+    type: 'boolean',
+    label: 'Has Attachment',
+    checkboxLabel: 'Only match messages with attachments',
+    required: false
+  },
+
+  'excludeChats': {
+    type: 'boolean',
+    label: 'Exclude Chats',
+    checkboxLabel: 'Do not match chat messages',
+    required: false
+  },
+
+  'size': {
+    type: 'number',
+    label: 'Size (bytes)',
+    placeholder: 'e.g., 5000000',
+    helpText: 'Message size in bytes, used together with Size Comparison',
+    min: 1,
+    required: false
+  },
+
+  'sizeComparison': {
+    type: 'enum',
+    label: 'Size Comparison',
+    helpText: 'How the message size is compared with Size',
+    options: [
+      { value: 'larger', label: 'Larger Than', description: 'Message is larger than Size' },
+      { value: 'smaller', label: 'Smaller Than', description: 'Message is smaller than Size' }
+    ],
+    required: false
+  },
+
+  'forward': {
+    type: 'email',
+    label: 'Forward To',
+    placeholder: 'e.g., archive@example.com',
+    helpText: 'Forward matching messages to this address. It must be a verified forwarding address',
+    required: false
+  },
+
+  'sendAsEmail': {
+    type: 'id',
+    label: 'Send-As Email',
+    placeholder: 'e.g., alias@example.com',
+    helpText: 'The send-as alias address (use "List Send-As" to see your aliases)',
+    required: true
+  },
+
+  'displayName': {
+    type: 'string',
+    label: 'Display Name',
+    placeholder: 'e.g., Jane Doe (Support)',
+    helpText: 'Name shown in the From header. Leave empty to use the account name',
+    required: false
+  },
+
+  'replyToAddress': {
+    type: 'email',
+    label: 'Reply-To Address',
+    placeholder: 'e.g., support@example.com',
+    helpText: 'Replies go to this address instead of the send-as address',
+    required: false
+  },
+
+  'signature': {
+    type: 'textarea',
+    label: 'Signature',
+    placeholder: '<b>Jane Doe</b><br>Support Team',
+    helpText: 'HTML signature appended to new mail sent from this alias',
+    rows: 3,
+    required: false
+  },
+
+  'isDefault': {
+    type: 'boolean',
+    label: 'Default Alias',
+    checkboxLabel: 'Use as the default From address',
+    required: false
+  },
+
+  'treatAsAlias': {
+    type: 'boolean',
+    label: 'Treat as Alias',
+    checkboxLabel: 'Treat this address as an alias of the account',
+    required: false
+  },
+
+  'smtpHost': {
+    type: 'string',
+    label: 'SMTP Host',
+    placeholder: 'e.g., smtp.example.com',
+    helpText: 'Hostname of the SMTP relay for this alias',
+    required: false
+  },
+
+  'smtpPort': {
+    type: 'number',
+    label: 'SMTP Port',
+    placeholder: 'e.g., 587',
+    min: 1,
+    max: 65535,
+    required: false
+  },
+
+  'smtpUsername': {
+    type: 'string',
+    label: 'SMTP Username',
+    placeholder: 'e.g., alias@example.com',
+    helpText: 'Write-only: Gmail never returns it in responses',
+    required: false
+  },
+
+  'smtpPassword': {
+    type: 'string',
+    label: 'SMTP Password',
+    placeholder: 'SMTP password',
+    helpText: 'Write-only: Gmail never returns it in responses',
+    required: false
+  },
+
+  'securityMode': {
+    type: 'enum',
+    label: 'Security Mode',
+    helpText: 'Protocol used to secure the SMTP connection',
+    options: [
+      { value: 'none', label: 'None', description: 'Unencrypted connection' },
+      { value: 'ssl', label: 'SSL', description: 'Connect over SSL/TLS' },
+      { value: 'starttls', label: 'STARTTLS', description: 'Upgrade to TLS with STARTTLS' }
+    ],
+    required: false
+  },
+
+  'enableAutoReply': {
+    type: 'boolean',
+    label: 'Auto-Reply',
+    checkboxLabel: 'Send automatic replies to incoming messages',
+    required: false
+  },
+
+  'responseSubject': {
+    type: 'string',
+    label: 'Response Subject',
+    placeholder: 'e.g., Out of office',
+    helpText: 'Subject of the auto-reply. Leave empty to reply with "Re: " plus the original subject',
+    required: false
+  },
+
+  'responseBodyPlainText': {
+    type: 'textarea',
+    label: 'Response Body (Plain Text)',
+    placeholder: 'I am out of the office until Monday.',
+    rows: 3,
+    required: false
+  },
+
+  'responseBodyHtml': {
+    type: 'textarea',
+    label: 'Response Body (HTML)',
+    placeholder: '<p>I am out of the office until <b>Monday</b>.</p>',
+    helpText: 'Takes precedence over the plain-text body when both are set',
+    rows: 3,
+    required: false
+  },
+
+  'restrictToContacts': {
+    type: 'boolean',
+    label: 'Contacts Only',
+    checkboxLabel: 'Only reply to people in my contacts',
+    required: false
+  },
+
+  'restrictToDomain': {
+    type: 'boolean',
+    label: 'Domain Only',
+    checkboxLabel: 'Only reply to people in my domain (Workspace accounts)',
+    required: false
+  },
+
+  'startTime': {
+    type: 'datetime',
+    label: 'Start Time',
+    helpText: 'Auto-replies start at this time (sent as epoch milliseconds)',
+    required: false
+  },
+
+  'endTime': {
+    type: 'datetime',
+    label: 'End Time',
+    helpText: 'Auto-replies stop at this time (sent as epoch milliseconds)',
+    required: false
+  },
+
+  'enabled': {
+    type: 'boolean',
+    label: 'Enabled',
+    checkboxLabel: 'Enable this setting',
+    required: false
+  },
+
+  'autoExpunge': {
+    type: 'boolean',
+    label: 'Auto-Expunge',
+    checkboxLabel: 'Expunge immediately when a message is marked deleted in IMAP',
+    required: false
+  },
+
+  'expungeBehavior': {
+    type: 'enum',
+    label: 'Expunge Behavior',
+    helpText: 'What happens to a message deleted and expunged from the last visible IMAP folder',
+    options: [
+      { value: 'archive', label: 'Archive', description: 'Archive the message' },
+      { value: 'trash', label: 'Trash', description: 'Move the message to trash' },
+      { value: 'deleteForever', label: 'Delete Forever', description: 'Permanently delete the message' }
+    ],
+    required: false
+  },
+
+  'maxFolderSize': {
+    type: 'number',
+    label: 'Max Folder Size',
+    placeholder: 'e.g., 1000',
+    helpText: 'Max messages per IMAP folder: 0 (no limit), 1000, 2000, 5000 or 10000',
+    min: 0,
+    required: false
+  },
+
+  'accessWindow': {
+    type: 'enum',
+    label: 'Access Window',
+    helpText: 'Which messages are available over POP',
+    options: [
+      { value: 'disabled', label: 'Disabled', description: 'POP access is off' },
+      { value: 'fromNowOn', label: 'From Now On', description: 'Messages arriving from now on' },
+      { value: 'allMail', label: 'All Mail', description: 'All messages, including those already downloaded' }
+    ],
+    required: false
+  },
+
+  'disposition': {
+    type: 'enum',
+    label: 'Disposition',
+    helpText: 'What happens to a message after it has been fetched or forwarded',
+    options: [
+      { value: 'leaveInInbox', label: 'Leave in Inbox', description: 'Keep the message in the inbox' },
+      { value: 'archive', label: 'Archive', description: 'Archive the message' },
+      { value: 'trash', label: 'Trash', description: 'Move the message to trash' },
+      { value: 'markRead', label: 'Mark Read', description: 'Leave in inbox, marked as read' }
+    ],
+    required: false
+  },
+
+  'emailAddress': {
+    type: 'email',
+    label: 'Forwarding Address',
+    placeholder: 'e.g., backup@example.com',
+    helpText: 'Must be a verified forwarding address of the account',
+    required: false
+  },
+
+  'rawMessage': {
+    type: 'textarea',
+    label: 'Raw RFC 822 Message',
+    placeholder: 'From: sender@example.com\nTo: me@example.com\nSubject: Seeded message\nDate: Mon, 1 Jan 2024 10:00:00 +0000\nMessage-ID: <seed-001@example.com>\n\nHello from the seed script.',
+    helpText: 'Full message source with headers. Line endings are converted to CRLF before base64url encoding',
+    rows: 8,
+    required: false
+  },
+
+  'rawFile': {
+    type: 'file',
+    label: 'Message File (.eml)',
+    accept: '.eml,message/rfc822,text/plain',
+    helpText: 'Upload an .eml file instead of pasting. Sent byte-for-byte, so both mailboxes get identical content',
+    required: false
+  },
+
+  'threadId': {
+    type: 'string',
+    label: 'Thread ID',
+    placeholder: 'e.g., 18c5f8a9b2d3e4f5',
+    helpText: 'Add the message to this existing thread. Subject and References headers must also match',
+    required: false
+  },
+
+  'internalDateSource': {
+    type: 'enum',
+    label: 'Internal Date Source',
+    helpText: 'Where Gmail takes the message\'s internal date from',
+    location: 'query',
+    options: [
+      { value: 'receivedTime', label: 'Received Time', description: 'Time the message is inserted' },
+      { value: 'dateHeader', label: 'Date Header', description: 'The message\'s Date header, if valid' }
+    ],
+    defaultValue: 'receivedTime',
+    required: false
+  },
+
+  'neverMarkSpam': {
+    type: 'boolean',
+    label: 'Never Mark Spam',
+    checkboxLabel: 'Skip spam classification and never put the message in SPAM',
+    location: 'query',
+    required: false
+  },
+
+  'processForCalendar': {
+    type: 'boolean',
+    label: 'Process for Calendar',
+    checkboxLabel: 'Process calendar invites in the message and add them to Calendar',
+    location: 'query',
+    required: false
+  },
+
+  'deleted': {
+    type: 'boolean',
+    label: 'Deleted',
+    checkboxLabel: 'Mark as permanently deleted (only visible in Google Vault)',
+    location: 'query',
+    required: false
+  },
+
+  'format': {
+    type: 'enum',
+    label: 'Format',
+    helpText: 'How much of the message to return',
+    options: [
+      { value: 'full', label: 'Full', description: 'Parsed payload with headers and body parts (default)' },
+      { value: 'metadata', label: 'Metadata', description: 'IDs, labels and headers only; combine with Metadata Headers' },
+      { value: 'minimal', label: 'Minimal', description: 'IDs and labels only, no headers or body' },
+      { value: 'raw', label: 'Raw', description: 'Entire RFC 822 message as a base64url string in "raw"' }
+    ],
+    defaultValue: 'full',
+    required: false
+  },
+
+  'metadataHeaders': {
+    type: 'array',
+    label: 'Metadata Headers',
+    placeholder: 'e.g., From,Subject,Date',
+    helpText: 'With format "metadata", only return these headers (comma-separated, sent as repeated params)',
+    examplesTitle: 'Headers',
+    examples: [
+      { value: 'From', description: 'Sender' },
+      { value: 'To', description: 'Recipients' },
+      { value: 'Subject', description: 'Subject line' },
+      { value: 'Date', description: 'Date header' },
+      { value: 'Message-ID', description: 'Message-ID header' }
+    ],
+    required: false
+  },
+
+  'pageToken': {
+    type: 'string',
+    label: 'Page Token',
+    placeholder: 'e.g., 09876543210',
+    helpText: 'Token from a previous response\'s nextPageToken to fetch the next page',
+    required: false
+  },
+
+  'includeSpamTrash': {
+    type: 'boolean',
+    label: 'Include Spam & Trash',
+    checkboxLabel: 'Include results from SPAM and TRASH',
+    required: false
+  },
+
+  'labelType': {
+    type: 'enum',
+    label: 'Label Type',
+    helpText: 'Owner type of the label; Gmail only lets you create user labels',
+    options: [
+      { value: 'user', label: 'User', description: 'Created by the user, can be renamed and deleted' },
+      { value: 'system', label: 'System', description: 'Internal label like INBOX (use to check the clone rejects it)' }
+    ],
+    required: false
+  },
+
+  'backgroundColor': {
+    type: 'color',
+    label: 'Background Color',
+    placeholder: 'e.g., #16a766',
+    helpText: 'Must be one of Gmail\'s palette colors and set together with Text Color',
+    pairedWith: 'textColor',
+    required: false
+  },
+
+  'textColor': {
+    type: 'color',
+    label: 'Text Color',
+    placeholder: 'e.g., #ffffff',
+    helpText: 'Must be one of Gmail\'s palette colors and set together with Background Color',
+    pairedWith: 'backgroundColor',
+    required: false
+  },
+
+  'attachments': {
+    type: 'file',
+    label: 'Attachments',
+    multiple: true,
+    helpText: 'Files are attached as a multipart/mixed message. Use an upload type for files above the JSON size limit',
+    required: false
+  },
+
+  'uploadType': {
+    type: 'enum',
+    label: 'Upload Type',
+    helpText: 'Leave empty to send JSON to /gmail/v1; any upload type posts the message to /upload/gmail/v1',
+    options: [
+      { value: 'media', label: 'Media', description: 'Message bytes only (message/rfc822), no metadata' },
+      { value: 'multipart', label: 'Multipart', description: 'JSON metadata and message in one multipart/related request' },
+      { value: 'resumable', label: 'Resumable', description: 'Opens an upload session, then sends the message in 1 MB chunks with progress' }
+    ],
+    location: 'query',
+    required: false
+  },
+
+  'fields': {
+    type: 'fields',
+    label: 'Fields (partial response)',
+    placeholder: 'e.g., messages(id,threadId),nextPageToken',
+    helpText: 'Only return these fields; use a/b for sub-fields and a(b,c) for several',
+    location: 'query',
+    required: false
   }
 };
 
 // ===== ENDPOINTS CONFIGURATION =====
 export const endpoints = {
+  // PROFILE
+  'get-profile': {
+    id: 'get-profile',
+    discoveryId: 'gmail.users.getProfile',
+    name: 'Get Profile',
+    resource: 'profile',
+    method: 'GET',
+    path: '/users/{userId}/profile',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Gets the mailbox address, message and thread totals, and the current historyId. Use the historyId as the start point for List History.'
+  },
+
   // LABELS
   'list-labels': {
     id: 'list-labels',
+    discoveryId: 'gmail.users.labels.list',
     name: 'List Labels',
     resource: 'labels',
     method: 'GET',
-    path: '/users/me/labels',
+    path: '/users/{userId}/labels',
+    quotaCost: 1,
     paramsConfig: [],
     docs: 'Lists all labels in your mailbox. Use this to find label IDs for other operations.'
   },
 
   'get-label': {
     id: 'get-label',
+    discoveryId: 'gmail.users.labels.get',
     name: 'Get Label',
     resource: 'labels',
     method: 'GET',
-    path: '/users/me/labels/{id}',
+    path: '/users/{userId}/labels/{id}',
+    quotaCost: 1,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
@@ -167,37 +776,61 @@ export const endpoints = {
 
   'create-label': {
     id: 'create-label',
+    discoveryId: 'gmail.users.labels.create',
     name: 'Create Label',
     resource: 'labels',
     method: 'POST',
-    path: '/users/me/labels',
+    path: '/users/{userId}/labels',
+    quotaCost: 5,
+    paramGroups: {
+      color: {
+        label: 'Color',
+        helpText: 'Pick both colors from the palette; leave both empty for no color'
+      }
+    },
     paramsConfig: [
       { ...parameterMetadata.name, name: 'name' },
       { ...parameterMetadata.labelListVisibility, name: 'labelListVisibility' },
-      { ...parameterMetadata.messageListVisibility, name: 'messageListVisibility' }
+      { ...parameterMetadata.messageListVisibility, name: 'messageListVisibility' },
+      { ...parameterMetadata.labelType, name: 'type' },
+      { ...parameterMetadata.backgroundColor, name: 'backgroundColor', group: 'color' },
+      { ...parameterMetadata.textColor, name: 'textColor', group: 'color' }
     ],
-    docs: 'Creates a new label with the specified name and visibility settings.'
+    docs: 'Creates a new label with the specified name, visibility settings and color.'
   },
 
   'update-label': {
     id: 'update-label',
+    discoveryId: 'gmail.users.labels.patch',
     name: 'Update Label',
     resource: 'labels',
     method: 'PATCH',
-    path: '/users/me/labels/{id}',
+    path: '/users/{userId}/labels/{id}',
+    quotaCost: 5,
+    paramGroups: {
+      color: {
+        label: 'Color',
+        helpText: 'Pick both colors from the palette; leave both empty for no color'
+      }
+    },
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' },
-      { ...parameterMetadata.name, name: 'name', required: false, helpText: 'New name for the label (leave empty to keep current name)' }
+      { ...parameterMetadata.name, name: 'name', required: false, helpText: 'New name for the label (leave empty to keep current name)' },
+      { ...parameterMetadata.labelType, name: 'type' },
+      { ...parameterMetadata.backgroundColor, name: 'backgroundColor', group: 'color' },
+      { ...parameterMetadata.textColor, name: 'textColor', group: 'color' }
     ],
-    docs: 'Updates the name or properties of an existing label.'
+    docs: 'Updates the name, color or properties of an existing label.'
   },
 
   'delete-label': {
     id: 'delete-label',
+    discoveryId: 'gmail.users.labels.delete',
     name: 'Delete Label',
     resource: 'labels',
     method: 'DELETE',
-    path: '/users/me/labels/{id}',
+    path: '/users/{userId}/labels/{id}',
+    quotaCost: 5,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
@@ -207,36 +840,52 @@ export const endpoints = {
   // THREADS
   'list-threads': {
     id: 'list-threads',
+    discoveryId: 'gmail.users.threads.list',
     name: 'List Threads',
     resource: 'threads',
     method: 'GET',
-    path: '/users/me/threads',
+    path: '/users/{userId}/threads',
+    quotaCost: 10,
+    listKey: 'threads',
     paramsConfig: [
       { ...parameterMetadata.q, name: 'q' },
       { ...parameterMetadata.labelIds, name: 'labelIds' },
-      { ...parameterMetadata.maxResults, name: 'maxResults' }
+      { ...parameterMetadata.maxResults, name: 'maxResults' },
+      { ...parameterMetadata.pageToken, name: 'pageToken' },
+      { ...parameterMetadata.includeSpamTrash, name: 'includeSpamTrash' }
     ],
     docs: 'Lists conversation threads in your mailbox.'
   },
 
   'get-thread': {
     id: 'get-thread',
+    discoveryId: 'gmail.users.threads.get',
     name: 'Get Thread',
     resource: 'threads',
     method: 'GET',
-    path: '/users/me/threads/{id}',
+    path: '/users/{userId}/threads/{id}',
+    quotaCost: 10,
     paramsConfig: [
-      { ...parameterMetadata.id, name: 'id' }
+      { ...parameterMetadata.id, name: 'id' },
+      {
+        ...parameterMetadata.format,
+        name: 'format',
+        helpText: 'How much of each message in the thread to return',
+        options: parameterMetadata.format.options.filter(o => o.value !== 'raw')
+      },
+      { ...parameterMetadata.metadataHeaders, name: 'metadataHeaders' }
     ],
-    docs: 'Gets the specified thread with all its messages and details.'
+    docs: 'Gets the specified thread with all its messages and details. Threads support the full, metadata and minimal formats.'
   },
 
   'modify-thread': {
     id: 'modify-thread',
+    discoveryId: 'gmail.users.threads.modify',
     name: 'Modify Thread',
     resource: 'threads',
     method: 'POST',
-    path: '/users/me/threads/{id}/modify',
+    path: '/users/{userId}/threads/{id}/modify',
+    quotaCost: 10,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' },
       { ...parameterMetadata.addLabelIds, name: 'addLabelIds' },
@@ -247,22 +896,42 @@ export const endpoints = {
 
   'trash-thread': {
     id: 'trash-thread',
+    discoveryId: 'gmail.users.threads.trash',
     name: 'Trash Thread',
     resource: 'threads',
     method: 'POST',
-    path: '/users/me/threads/{id}/trash',
+    path: '/users/{userId}/threads/{id}/trash',
+    quotaCost: 10,
+    lifecycle: { trash: 'trash-thread', get: 'get-thread', untrash: 'untrash-thread' },
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
     docs: 'Moves the specified thread to trash.'
   },
 
+  'untrash-thread': {
+    id: 'untrash-thread',
+    discoveryId: 'gmail.users.threads.untrash',
+    name: 'Untrash Thread',
+    resource: 'threads',
+    method: 'POST',
+    path: '/users/{userId}/threads/{id}/untrash',
+    quotaCost: 10,
+    lifecycle: { trash: 'trash-thread', get: 'get-thread', untrash: 'untrash-thread' },
+    paramsConfig: [
+      { ...parameterMetadata.id, name: 'id' }
+    ],
+    docs: 'Removes the specified thread from trash and restores the labels it had before.'
+  },
+
   'delete-thread': {
     id: 'delete-thread',
+    discoveryId: 'gmail.users.threads.delete',
     name: 'Delete Thread',
     resource: 'threads',
     method: 'DELETE',
-    path: '/users/me/threads/{id}',
+    path: '/users/{userId}/threads/{id}',
+    quotaCost: 20,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
@@ -272,36 +941,47 @@ export const endpoints = {
   // MESSAGES
   'list-messages': {
     id: 'list-messages',
+    discoveryId: 'gmail.users.messages.list',
     name: 'List Messages',
     resource: 'messages',
     method: 'GET',
-    path: '/users/me/messages',
+    path: '/users/{userId}/messages',
+    quotaCost: 5,
+    listKey: 'messages',
     paramsConfig: [
       { ...parameterMetadata.q, name: 'q' },
       { ...parameterMetadata.labelIds, name: 'labelIds' },
-      { ...parameterMetadata.maxResults, name: 'maxResults' }
+      { ...parameterMetadata.maxResults, name: 'maxResults' },
+      { ...parameterMetadata.pageToken, name: 'pageToken' },
+      { ...parameterMetadata.includeSpamTrash, name: 'includeSpamTrash' }
     ],
     docs: 'Lists individual messages in your mailbox.'
   },
 
   'get-message': {
     id: 'get-message',
+    discoveryId: 'gmail.users.messages.get',
     name: 'Get Message',
     resource: 'messages',
     method: 'GET',
-    path: '/users/me/messages/{id}',
+    path: '/users/{userId}/messages/{id}',
+    quotaCost: 5,
     paramsConfig: [
-      { ...parameterMetadata.id, name: 'id' }
+      { ...parameterMetadata.id, name: 'id' },
+      { ...parameterMetadata.format, name: 'format' },
+      { ...parameterMetadata.metadataHeaders, name: 'metadataHeaders' }
     ],
-    docs: 'Gets the specified message with full details.'
+    docs: 'Gets the specified message. Use format to choose between the parsed payload, headers only, labels only or the raw RFC 822 source.'
   },
 
   'modify-message': {
     id: 'modify-message',
+    discoveryId: 'gmail.users.messages.modify',
     name: 'Modify Message',
     resource: 'messages',
     method: 'POST',
-    path: '/users/me/messages/{id}/modify',
+    path: '/users/{userId}/messages/{id}/modify',
+    quotaCost: 5,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' },
       { ...parameterMetadata.addLabelIds, name: 'addLabelIds' },
@@ -310,63 +990,192 @@ export const endpoints = {
     docs: 'Modifies the labels on the specified message.'
   },
 
+  'batch-modify-messages': {
+    id: 'batch-modify-messages',
+    discoveryId: 'gmail.users.messages.batchModify',
+    name: 'Batch Modify Messages',
+    resource: 'messages',
+    method: 'POST',
+    path: '/users/{userId}/messages/batchModify',
+    quotaCost: 50,
+    verifyLabelState: true,
+    paramsConfig: [
+      { ...parameterMetadata.ids, name: 'ids' },
+      { ...parameterMetadata.addLabelIds, name: 'addLabelIds', helpText: 'Label IDs to add to every selected message (comma-separated)' },
+      { ...parameterMetadata.removeLabelIds, name: 'removeLabelIds', helpText: 'Label IDs to remove from every selected message (comma-separated)' }
+    ],
+    docs: 'Modifies the labels on many messages at once. Returns an empty body on success; in comparison mode the panel re-reads each message on both sides to verify the resulting labels.'
+  },
+
+  'batch-delete-messages': {
+    id: 'batch-delete-messages',
+    discoveryId: 'gmail.users.messages.batchDelete',
+    name: 'Batch Delete Messages',
+    resource: 'messages',
+    method: 'POST',
+    path: '/users/{userId}/messages/batchDelete',
+    quotaCost: 50,
+    verifyLabelState: true,
+    paramsConfig: [
+      { ...parameterMetadata.ids, name: 'ids' }
+    ],
+    docs: 'Permanently deletes many messages at once. This cannot be undone. In comparison mode the panel checks that every message is gone on both sides.'
+  },
+
   'trash-message': {
     id: 'trash-message',
+    discoveryId: 'gmail.users.messages.trash',
     name: 'Trash Message',
     resource: 'messages',
     method: 'POST',
-    path: '/users/me/messages/{id}/trash',
+    path: '/users/{userId}/messages/{id}/trash',
+    quotaCost: 5,
+    lifecycle: { trash: 'trash-message', get: 'get-message', untrash: 'untrash-message' },
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
     docs: 'Moves the specified message to trash.'
   },
 
+  'untrash-message': {
+    id: 'untrash-message',
+    discoveryId: 'gmail.users.messages.untrash',
+    name: 'Untrash Message',
+    resource: 'messages',
+    method: 'POST',
+    path: '/users/{userId}/messages/{id}/untrash',
+    quotaCost: 5,
+    lifecycle: { trash: 'trash-message', get: 'get-message', untrash: 'untrash-message' },
+    paramsConfig: [
+      { ...parameterMetadata.id, name: 'id' }
+    ],
+    docs: 'Removes the specified message from trash and restores the labels it had before.'
+  },
+
   'delete-message': {
     id: 'delete-message',
+    discoveryId: 'gmail.users.messages.delete',
     name: 'Delete Message',
     resource: 'messages',
     method: 'DELETE',
-    path: '/users/me/messages/{id}',
+    path: '/users/{userId}/messages/{id}',
+    quotaCost: 10,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
     docs: 'Permanently deletes the specified message.'
   },
 
+  'get-attachment': {
+    id: 'get-attachment',
+    discoveryId: 'gmail.users.messages.attachments.get',
+    name: 'Get Attachment',
+    resource: 'messages',
+    method: 'GET',
+    path: '/users/{userId}/messages/{messageId}/attachments/{id}',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.messageId, name: 'messageId' },
+      { ...parameterMetadata.attachmentId, name: 'id' }
+    ],
+    docs: 'Gets the body of a message attachment as base64url data. The panel decodes it and shows size, type and SHA-256 hash so you can check both sides return byte-identical content.'
+  },
+
+  'insert-message': {
+    id: 'insert-message',
+    discoveryId: 'gmail.users.messages.insert',
+    name: 'Insert Message',
+    resource: 'messages',
+    method: 'POST',
+    path: '/users/{userId}/messages',
+    quotaCost: 25,
+    requireOneOf: ['rawMessage', 'rawFile'],
+    paramsConfig: [
+      { ...parameterMetadata.rawMessage, name: 'rawMessage' },
+      { ...parameterMetadata.rawFile, name: 'rawFile' },
+      { ...parameterMetadata.labelIds, name: 'labelIds', helpText: 'Labels to apply, e.g., INBOX,UNREAD. Without labels the message is only in All Mail' },
+      { ...parameterMetadata.threadId, name: 'threadId' },
+      { ...parameterMetadata.internalDateSource, name: 'internalDateSource' },
+      { ...parameterMetadata.deleted, name: 'deleted' },
+      { ...parameterMetadata.uploadType, name: 'uploadType' }
+    ],
+    docs: 'Inserts a message directly into the mailbox, like IMAP APPEND. No scanning or classification and nothing is sent, so it is the quickest way to seed both mailboxes identically.'
+  },
+
+  'import-message': {
+    id: 'import-message',
+    discoveryId: 'gmail.users.messages.import',
+    name: 'Import Message',
+    resource: 'messages',
+    method: 'POST',
+    path: '/users/{userId}/messages/import',
+    quotaCost: 25,
+    requireOneOf: ['rawMessage', 'rawFile'],
+    paramsConfig: [
+      { ...parameterMetadata.rawMessage, name: 'rawMessage' },
+      { ...parameterMetadata.rawFile, name: 'rawFile' },
+      { ...parameterMetadata.labelIds, name: 'labelIds', helpText: 'Labels to apply, e.g., INBOX,UNREAD' },
+      { ...parameterMetadata.threadId, name: 'threadId' },
+      { ...parameterMetadata.internalDateSource, name: 'internalDateSource', defaultValue: 'dateHeader' },
+      { ...parameterMetadata.neverMarkSpam, name: 'neverMarkSpam' },
+      { ...parameterMetadata.processForCalendar, name: 'processForCalendar' },
+      { ...parameterMetadata.deleted, name: 'deleted' },
+      { ...parameterMetadata.uploadType, name: 'uploadType' }
+    ],
+    docs: 'Imports a message with standard delivery scanning and classification, like receiving it over SMTP, but without sending anything.'
+  },
+
   'send-message': {
     id: 'send-message',
+    discoveryId: 'gmail.users.messages.send',
     name: 'Send Message',
     resource: 'messages',
     method: 'POST',
-    path: '/users/me/messages/send',
+    path: '/users/{userId}/messages/send',
+    quotaCost: 100,
     paramsConfig: [
+      { ...parameterMetadata.from, name: 'from' },
       { ...parameterMetadata.to, name: 'to' },
+      { ...parameterMetadata.cc, name: 'cc' },
+      { ...parameterMetadata.bcc, name: 'bcc' },
+      { ...parameterMetadata.replyTo, name: 'replyTo' },
       { ...parameterMetadata.subject, name: 'subject' },
-      { ...parameterMetadata.body, name: 'body' }
+      { ...parameterMetadata.body, name: 'body' },
+      { ...parameterMetadata.htmlBody, name: 'htmlBody' },
+      { ...parameterMetadata.customHeaders, name: 'customHeaders' },
+      { ...parameterMetadata.inlineImages, name: 'inlineImages' },
+      { ...parameterMetadata.attachments, name: 'attachments' },
+      { ...parameterMetadata.uploadType, name: 'uploadType' }
     ],
-    docs: 'Sends an email message. The message will be automatically encoded in RFC 2822 format and base64url encoded before sending.'
+    docs: 'Sends an email message. The fields are composed into a MIME message (multipart/alternative for text + HTML, multipart/related for inline images, multipart/mixed for attachments) and base64url encoded before sending.'
   },
 
   // DRAFTS
   'list-drafts': {
     id: 'list-drafts',
+    discoveryId: 'gmail.users.drafts.list',
     name: 'List Drafts',
     resource: 'drafts',
     method: 'GET',
-    path: '/users/me/drafts',
+    path: '/users/{userId}/drafts',
+    quotaCost: 5,
+    listKey: 'drafts',
     paramsConfig: [
-      { ...parameterMetadata.maxResults, name: 'maxResults' }
+      { ...parameterMetadata.maxResults, name: 'maxResults' },
+      { ...parameterMetadata.pageToken, name: 'pageToken' },
+      { ...parameterMetadata.includeSpamTrash, name: 'includeSpamTrash' }
     ],
     docs: 'Lists all draft messages in your mailbox.'
   },
 
   'get-draft': {
     id: 'get-draft',
+    discoveryId: 'gmail.users.drafts.get',
     name: 'Get Draft',
     resource: 'drafts',
     method: 'GET',
-    path: '/users/me/drafts/{id}',
+    path: '/users/{userId}/drafts/{id}',
+    quotaCost: 5,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
@@ -375,42 +1184,389 @@ export const endpoints = {
 
   'create-draft': {
     id: 'create-draft',
+    discoveryId: 'gmail.users.drafts.create',
     name: 'Create Draft',
     resource: 'drafts',
     method: 'POST',
-    path: '/users/me/drafts',
+    path: '/users/{userId}/drafts',
+    quotaCost: 10,
     paramsConfig: [
+      { ...parameterMetadata.from, name: 'from' },
       { ...parameterMetadata.to, name: 'to' },
+      { ...parameterMetadata.cc, name: 'cc' },
+      { ...parameterMetadata.bcc, name: 'bcc' },
+      { ...parameterMetadata.replyTo, name: 'replyTo' },
       { ...parameterMetadata.subject, name: 'subject' },
-      { ...parameterMetadata.body, name: 'body' }
+      { ...parameterMetadata.body, name: 'body' },
+      { ...parameterMetadata.htmlBody, name: 'htmlBody' },
+      { ...parameterMetadata.customHeaders, name: 'customHeaders' },
+      { ...parameterMetadata.inlineImages, name: 'inlineImages' },
+      { ...parameterMetadata.attachments, name: 'attachments' },
+      { ...parameterMetadata.uploadType, name: 'uploadType' }
     ],
     docs: 'Creates a new draft email with the specified content.'
   },
 
   'update-draft': {
     id: 'update-draft',
+    discoveryId: 'gmail.users.drafts.update',
     name: 'Update Draft',
     resource: 'drafts',
     method: 'PUT',
-    path: '/users/me/drafts/{id}',
+    path: '/users/{userId}/drafts/{id}',
+    quotaCost: 15,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' },
+      { ...parameterMetadata.from, name: 'from' },
       { ...parameterMetadata.to, name: 'to' },
+      { ...parameterMetadata.cc, name: 'cc' },
+      { ...parameterMetadata.bcc, name: 'bcc' },
+      { ...parameterMetadata.replyTo, name: 'replyTo' },
       { ...parameterMetadata.subject, name: 'subject' },
-      { ...parameterMetadata.body, name: 'body' }
+      { ...parameterMetadata.body, name: 'body' },
+      { ...parameterMetadata.htmlBody, name: 'htmlBody' },
+      { ...parameterMetadata.customHeaders, name: 'customHeaders' },
+      { ...parameterMetadata.inlineImages, name: 'inlineImages' },
+      { ...parameterMetadata.attachments, name: 'attachments' },
+      { ...parameterMetadata.uploadType, name: 'uploadType' }
     ],
     docs: 'Updates an existing draft with new content.'
   },
 
   'send-draft': {
     id: 'send-draft',
+    discoveryId: 'gmail.users.drafts.send',
     name: 'Send Draft',
     resource: 'drafts',
     method: 'POST',
-    path: '/users/me/drafts/send',
+    path: '/users/{userId}/drafts/send',
+    quotaCost: 100,
     paramsConfig: [
       { ...parameterMetadata.id, name: 'id' }
     ],
     docs: 'Sends the specified draft to its recipients.'
+  },
+
+  // FILTERS
+  'list-filters': {
+    id: 'list-filters',
+    discoveryId: 'gmail.users.settings.filters.list',
+    name: 'List Filters',
+    resource: 'filters',
+    method: 'GET',
+    path: '/users/{userId}/settings/filters',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Lists the message filters of the user. The response uses the "filter" key.'
+  },
+
+  'get-filter': {
+    id: 'get-filter',
+    discoveryId: 'gmail.users.settings.filters.get',
+    name: 'Get Filter',
+    resource: 'filters',
+    method: 'GET',
+    path: '/users/{userId}/settings/filters/{id}',
+    quotaCost: 1,
+    paramsConfig: [
+      { ...parameterMetadata.id, name: 'id' }
+    ],
+    docs: 'Gets a filter with its criteria and actions.'
+  },
+
+  'create-filter': {
+    id: 'create-filter',
+    discoveryId: 'gmail.users.settings.filters.create',
+    name: 'Create Filter',
+    resource: 'filters',
+    method: 'POST',
+    path: '/users/{userId}/settings/filters',
+    quotaCost: 5,
+    paramGroups: {
+      criteria: {
+        label: 'Criteria',
+        helpText: 'Messages must match ALL of the criteria you fill in'
+      },
+      action: {
+        label: 'Action',
+        helpText: 'What happens to matching messages (e.g., remove INBOX to skip the inbox)'
+      }
+    },
+    paramsConfig: [
+      { ...parameterMetadata.filterFrom, name: 'from', group: 'criteria' },
+      { ...parameterMetadata.filterTo, name: 'to', group: 'criteria' },
+      { ...parameterMetadata.filterSubject, name: 'subject', group: 'criteria' },
+      { ...parameterMetadata.filterQuery, name: 'query', group: 'criteria' },
+      { ...parameterMetadata.negatedQuery, name: 'negatedQuery', group: 'criteria' },
+      { ...parameterMetadata.hasAttachment, name: 'hasAttachment', group: 'criteria' },
+      { ...parameterMetadata.excludeChats, name: 'excludeChats', group: 'criteria' },
+      { ...parameterMetadata.size, name: 'size', group: 'criteria' },
+      { ...parameterMetadata.sizeComparison, name: 'sizeComparison', group: 'criteria' },
+      { ...parameterMetadata.addLabelIds, name: 'addLabelIds', group: 'action', helpText: 'Label IDs to apply to matching messages (comma-separated)' },
+      { ...parameterMetadata.removeLabelIds, name: 'removeLabelIds', group: 'action', helpText: 'Label IDs to remove from matching messages (comma-separated)' },
+      { ...parameterMetadata.forward, name: 'forward', group: 'action' }
+    ],
+    docs: 'Creates a filter. Gmail requires at least one criterion and one action; filters cannot be updated, so delete and recreate to change one.'
+  },
+
+  'delete-filter': {
+    id: 'delete-filter',
+    discoveryId: 'gmail.users.settings.filters.delete',
+    name: 'Delete Filter',
+    resource: 'filters',
+    method: 'DELETE',
+    path: '/users/{userId}/settings/filters/{id}',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.id, name: 'id' }
+    ],
+    docs: 'Immediately and permanently deletes the specified filter.'
+  },
+
+  // SEND-AS ALIASES
+  'list-send-as': {
+    id: 'list-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.list',
+    name: 'List Send-As Aliases',
+    resource: 'sendAs',
+    method: 'GET',
+    path: '/users/{userId}/settings/sendAs',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Lists the send-as aliases of the account, including the primary address.'
+  },
+
+  'get-send-as': {
+    id: 'get-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.get',
+    name: 'Get Send-As Alias',
+    resource: 'sendAs',
+    method: 'GET',
+    path: '/users/{userId}/settings/sendAs/{sendAsEmail}',
+    quotaCost: 1,
+    paramsConfig: [
+      { ...parameterMetadata.sendAsEmail, name: 'sendAsEmail' }
+    ],
+    docs: 'Gets a send-as alias with its display name, signature and verification status.'
+  },
+
+  'create-send-as': {
+    id: 'create-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.create',
+    name: 'Create Send-As Alias',
+    resource: 'sendAs',
+    method: 'POST',
+    path: '/users/{userId}/settings/sendAs',
+    quotaCost: 100,
+    paramGroups: {
+      smtpMsa: {
+        label: 'SMTP Relay (smtpMsa)',
+        helpText: 'Only needed for external addresses; leave empty to send through Gmail'
+      }
+    },
+    paramsConfig: [
+      { ...parameterMetadata.sendAsEmail, name: 'sendAsEmail', type: 'email', helpText: 'The address to send mail as' },
+      { ...parameterMetadata.displayName, name: 'displayName' },
+      { ...parameterMetadata.replyToAddress, name: 'replyToAddress' },
+      { ...parameterMetadata.signature, name: 'signature' },
+      { ...parameterMetadata.isDefault, name: 'isDefault' },
+      { ...parameterMetadata.treatAsAlias, name: 'treatAsAlias' },
+      { ...parameterMetadata.smtpHost, name: 'host', group: 'smtpMsa' },
+      { ...parameterMetadata.smtpPort, name: 'port', group: 'smtpMsa' },
+      { ...parameterMetadata.smtpUsername, name: 'username', group: 'smtpMsa' },
+      { ...parameterMetadata.smtpPassword, name: 'password', group: 'smtpMsa' },
+      { ...parameterMetadata.securityMode, name: 'securityMode', group: 'smtpMsa' }
+    ],
+    docs: 'Creates a send-as alias. External addresses start with verificationStatus "pending" until verified.'
+  },
+
+  'patch-send-as': {
+    id: 'patch-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.patch',
+    name: 'Patch Send-As Alias',
+    resource: 'sendAs',
+    method: 'PATCH',
+    path: '/users/{userId}/settings/sendAs/{sendAsEmail}',
+    quotaCost: 100,
+    paramsConfig: [
+      { ...parameterMetadata.sendAsEmail, name: 'sendAsEmail' },
+      { ...parameterMetadata.displayName, name: 'displayName' },
+      { ...parameterMetadata.replyToAddress, name: 'replyToAddress' },
+      { ...parameterMetadata.signature, name: 'signature' },
+      { ...parameterMetadata.isDefault, name: 'isDefault' },
+      { ...parameterMetadata.treatAsAlias, name: 'treatAsAlias' }
+    ],
+    docs: 'Updates only the fields you fill in on a send-as alias, e.g., its signature or display name.'
+  },
+
+  'delete-send-as': {
+    id: 'delete-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.delete',
+    name: 'Delete Send-As Alias',
+    resource: 'sendAs',
+    method: 'DELETE',
+    path: '/users/{userId}/settings/sendAs/{sendAsEmail}',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.sendAsEmail, name: 'sendAsEmail' }
+    ],
+    docs: 'Deletes a send-as alias. The primary address cannot be deleted.'
+  },
+
+  'verify-send-as': {
+    id: 'verify-send-as',
+    discoveryId: 'gmail.users.settings.sendAs.verify',
+    name: 'Verify Send-As Alias',
+    resource: 'sendAs',
+    method: 'POST',
+    path: '/users/{userId}/settings/sendAs/{sendAsEmail}/verify',
+    quotaCost: 100,
+    paramsConfig: [
+      { ...parameterMetadata.sendAsEmail, name: 'sendAsEmail' }
+    ],
+    docs: 'Sends a verification email to the alias address. Only valid while verificationStatus is "pending".'
+  },
+
+  // SETTINGS
+  'get-vacation': {
+    id: 'get-vacation',
+    discoveryId: 'gmail.users.settings.getVacation',
+    name: 'Get Vacation Responder',
+    resource: 'settings',
+    method: 'GET',
+    path: '/users/{userId}/settings/vacation',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Gets the vacation responder (auto-reply) settings.'
+  },
+
+  'update-vacation': {
+    id: 'update-vacation',
+    discoveryId: 'gmail.users.settings.updateVacation',
+    name: 'Update Vacation Responder',
+    resource: 'settings',
+    method: 'PUT',
+    path: '/users/{userId}/settings/vacation',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.enableAutoReply, name: 'enableAutoReply' },
+      { ...parameterMetadata.responseSubject, name: 'responseSubject' },
+      { ...parameterMetadata.responseBodyPlainText, name: 'responseBodyPlainText' },
+      { ...parameterMetadata.responseBodyHtml, name: 'responseBodyHtml' },
+      { ...parameterMetadata.restrictToContacts, name: 'restrictToContacts' },
+      { ...parameterMetadata.restrictToDomain, name: 'restrictToDomain' },
+      { ...parameterMetadata.startTime, name: 'startTime' },
+      { ...parameterMetadata.endTime, name: 'endTime' }
+    ],
+    docs: 'Replaces the vacation responder settings. Fields left empty are reset to their defaults.'
+  },
+
+  'get-imap': {
+    id: 'get-imap',
+    discoveryId: 'gmail.users.settings.getImap',
+    name: 'Get IMAP Settings',
+    resource: 'settings',
+    method: 'GET',
+    path: '/users/{userId}/settings/imap',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Gets the IMAP access settings.'
+  },
+
+  'update-imap': {
+    id: 'update-imap',
+    discoveryId: 'gmail.users.settings.updateImap',
+    name: 'Update IMAP Settings',
+    resource: 'settings',
+    method: 'PUT',
+    path: '/users/{userId}/settings/imap',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.enabled, name: 'enabled', checkboxLabel: 'Enable IMAP access' },
+      { ...parameterMetadata.autoExpunge, name: 'autoExpunge' },
+      { ...parameterMetadata.expungeBehavior, name: 'expungeBehavior' },
+      { ...parameterMetadata.maxFolderSize, name: 'maxFolderSize' }
+    ],
+    docs: 'Replaces the IMAP access settings.'
+  },
+
+  'get-pop': {
+    id: 'get-pop',
+    discoveryId: 'gmail.users.settings.getPop',
+    name: 'Get POP Settings',
+    resource: 'settings',
+    method: 'GET',
+    path: '/users/{userId}/settings/pop',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Gets the POP access settings.'
+  },
+
+  'update-pop': {
+    id: 'update-pop',
+    discoveryId: 'gmail.users.settings.updatePop',
+    name: 'Update POP Settings',
+    resource: 'settings',
+    method: 'PUT',
+    path: '/users/{userId}/settings/pop',
+    quotaCost: 100,
+    paramsConfig: [
+      { ...parameterMetadata.accessWindow, name: 'accessWindow' },
+      { ...parameterMetadata.disposition, name: 'disposition', helpText: 'What happens to a message after it is downloaded over POP' }
+    ],
+    docs: 'Replaces the POP access settings.'
+  },
+
+  'get-auto-forwarding': {
+    id: 'get-auto-forwarding',
+    discoveryId: 'gmail.users.settings.getAutoForwarding',
+    name: 'Get Auto-Forwarding',
+    resource: 'settings',
+    method: 'GET',
+    path: '/users/{userId}/settings/autoForwarding',
+    quotaCost: 1,
+    paramsConfig: [],
+    docs: 'Gets the auto-forwarding setting.'
+  },
+
+  'update-auto-forwarding': {
+    id: 'update-auto-forwarding',
+    discoveryId: 'gmail.users.settings.updateAutoForwarding',
+    name: 'Update Auto-Forwarding',
+    resource: 'settings',
+    method: 'PUT',
+    path: '/users/{userId}/settings/autoForwarding',
+    quotaCost: 5,
+    paramsConfig: [
+      { ...parameterMetadata.enabled, name: 'enabled', checkboxLabel: 'Forward incoming mail' },
+      { ...parameterMetadata.emailAddress, name: 'emailAddress' },
+      { ...parameterMetadata.disposition, name: 'disposition', helpText: 'What happens to the original message after it is forwarded' }
+    ],
+    docs: 'Replaces the auto-forwarding setting. The forwarding address must already be verified.'
+  },
+
+  // HISTORY
+  'list-history': {
+    id: 'list-history',
+    discoveryId: 'gmail.users.history.list',
+    name: 'List History',
+    resource: 'history',
+    method: 'GET',
+    path: '/users/{userId}/history',
+    quotaCost: 2,
+    listKey: 'history',
+    paramsConfig: [
+      { ...parameterMetadata.startHistoryId, name: 'startHistoryId' },
+      { ...parameterMetadata.historyTypes, name: 'historyTypes' },
+      { ...parameterMetadata.labelId, name: 'labelId' },
+      { ...parameterMetadata.maxResults, name: 'maxResults' },
+      { ...parameterMetadata.pageToken, name: 'pageToken' }
+    ],
+    docs: 'Lists the changes to the mailbox since the given history ID: messages added or deleted, and labels added or removed. Run this after a mutation to check which history records it produced.'
   }
 };
+
+// Every Gmail method accepts the standard `fields` query parameter (partial response)
+Object.values(endpoints).forEach(endpoint => {
+  endpoint.paramsConfig.push({ ...parameterMetadata.fields, name: 'fields' });
+});
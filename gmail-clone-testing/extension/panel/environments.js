@@ -0,0 +1,274 @@
+/**
+ * Environments - Named API targets the extension runs against
+ * A profile ties a base URL and auth mode to the page hostnames it serves, so the same panel works
+ * against real Gmail, the production clone, a staging clone or a localhost build.
+ * Profiles are stored in chrome.storage.local and edited on the options page (options.html).
+ */
+
+/**
+ * chrome.storage.local key holding the profile list
+ */
+export const ENVIRONMENTS_STORAGE_KEY = 'environment_profiles';
+
+/**
+ * Auth modes a profile can use (mapped to auth strategies in api-client.js)
+ */
+export const AUTH_MODES = ['oauth', 'session-cookie', 'none'];
+
+/**
+ * Profiles the panel always needs: 'real' and 'clone' are the two sides of comparison mode
+ */
+export const BUILT_IN_ENVIRONMENTS = ['real', 'clone'];
+
+/**
+ * Per-request timeout for profiles that do not set timeoutMs
+ */
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Default profiles (used until the user saves their own)
+ * Each profile: {name, label, role, baseUrl, uploadBaseUrl, batchUrl, auth, hostPatterns, retry, timeoutMs, quotaBudget}
+ * role says which side of comparison mode the profile plays ('real' or 'clone');
+ * batchUrl is optional and defaults to the base path under /batch (e.g., /batch/gmail/v1);
+ * retry optionally overrides the retry policy (see retry-policy.js), e.g. { maxAttempts: 1 };
+ * timeoutMs optionally overrides DEFAULT_TIMEOUT_MS for each attempt;
+ * quotaBudget optionally overrides the quota budget (see quota-tracker.js), e.g. { perSession: 5000 }
+ */
+export const DEFAULT_ENVIRONMENTS = [
+  {
+    name: 'real',
+    label: 'Real Gmail',
+    role: 'real',
+    baseUrl: 'https://gmail.googleapis.com/gmail/v1',
+    uploadBaseUrl: 'https://gmail.googleapis.com/upload/gmail/v1',
+    auth: 'oauth',
+    hostPatterns: ['https://mail.google.com/*']
+  },
+  {
+    name: 'clone',
+    label: 'Clone',
+    role: 'clone',
+    baseUrl: 'https://gmail.matrices.ai/gmail/v1',
+    uploadBaseUrl: 'https://gmail.matrices.ai/upload/gmail/v1',
+    auth: 'session-cookie',
+    hostPatterns: ['https://gmail.matrices.ai/*']
+  },
+  {
+    name: 'local',
+    label: 'Local clone build',
+    role: 'clone',
+    baseUrl: 'http://localhost:3000/gmail/v1',
+    uploadBaseUrl: 'http://localhost:3000/upload/gmail/v1',
+    auth: 'session-cookie',
+    hostPatterns: ['http://localhost/*', 'http://127.0.0.1/*']
+  }
+];
+
+/**
+ * Parse a Chrome match pattern (e.g., 'https://*.example.com/*')
+ * Ports are optional; a pattern without a port matches any port, like Chrome's own matching
+ * @param {string} pattern - Match pattern
+ * @returns {Object|null} {scheme, host, port, path}, or null if the pattern is invalid
+ */
+function parseMatchPattern(pattern) {
+  if (pattern === '<all_urls>') {
+    return { scheme: '*', host: '*', port: null, path: '/*' };
+  }
+
+  const match = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*:]+)(?::(\d+))?(\/.*)$/.exec(pattern);
+  if (!match) {
+    return null;
+  }
+  return { scheme: match[1], host: match[2], port: match[3] || null, path: match[4] };
+}
+
+/**
+ * Check whether a string is a valid match pattern
+ * @param {string} pattern - Match pattern
+ * @returns {boolean} True if Chrome would accept it
+ */
+export function isValidMatchPattern(pattern) {
+  return parseMatchPattern(pattern) !== null;
+}
+
+/**
+ * Check whether a URL's scheme, host and port match a parsed pattern (its path is not checked)
+ * @param {URL} target - Parsed URL
+ * @param {Object} parsed - Result of parseMatchPattern
+ * @returns {boolean} True if the origin matches
+ */
+function matchesPatternOrigin(target, parsed) {
+  const scheme = target.protocol.slice(0, -1);
+  if (parsed.scheme === '*' ? !['http', 'https'].includes(scheme) : parsed.scheme !== scheme) {
+    return false;
+  }
+
+  if (parsed.host !== '*') {
+    const suffix = parsed.host.startsWith('*.') ? parsed.host.slice(2) : null;
+    const hostMatches = suffix
+      ? target.hostname === suffix || target.hostname.endsWith(`.${suffix}`)
+      : target.hostname === parsed.host;
+    if (!hostMatches) {
+      return false;
+    }
+  }
+
+  return !parsed.port || target.port === parsed.port;
+}
+
+/**
+ * Check whether a page URL matches a Chrome match pattern
+ * @param {string} url - Page URL
+ * @param {string} pattern - Match pattern (e.g., 'http://localhost/*')
+ * @returns {boolean} True if the pattern matches
+ */
+export function matchesHostPattern(url, pattern) {
+  const parsed = parseMatchPattern(pattern);
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (!parsed || !matchesPatternOrigin(target, parsed)) {
+    return false;
+  }
+
+  const pathPattern = new RegExp(`^${parsed.path.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return pathPattern.test(target.pathname + target.search);
+}
+
+/**
+ * Find the profile whose host patterns match a page URL (first match wins)
+ * @param {string} url - Page URL
+ * @param {Array<Object>} environments - Profiles
+ * @returns {Object|null} Matching profile
+ */
+export function findEnvironmentForUrl(url, environments) {
+  return environments.find(environment =>
+    (environment.hostPatterns || []).some(pattern => matchesHostPattern(url, pattern))
+  ) || null;
+}
+
+/**
+ * Find the profile with a host pattern on an origin (first match wins)
+ * Only scheme, host and port are compared: an origin has no path, so 'https://example.com/mail/*' matches it
+ * @param {string} origin - Origin (e.g., event.origin 'https://mail.google.com')
+ * @param {Array<Object>} environments - Profiles
+ * @returns {Object|null} Matching profile
+ */
+export function findEnvironmentForOrigin(origin, environments) {
+  let target;
+  try {
+    target = new URL(origin);
+  } catch (error) {
+    return null;
+  }
+  return environments.find(environment =>
+    (environment.hostPatterns || []).some(pattern => {
+      const parsed = parseMatchPattern(pattern);
+      return parsed !== null && matchesPatternOrigin(target, parsed);
+    })
+  ) || null;
+}
+
+/**
+ * Host permission patterns a profile needs: its page patterns plus the origins it calls
+ * Ports are dropped because Chrome host permissions ignore them
+ * @param {Object} environment - Profile
+ * @returns {Array<string>} Match patterns
+ */
+export function getRequiredOrigins(environment) {
+  const apiOrigins = [environment.baseUrl, environment.uploadBaseUrl, environment.batchUrl]
+    .filter(url => url)
+    .map(url => {
+      const { protocol, hostname } = new URL(url);
+      return `${protocol}//${hostname}/*`;
+    });
+  return [...new Set([...(environment.hostPatterns || []), ...apiOrigins])];
+}
+
+/**
+ * Check a profile for mistakes before saving
+ * @param {Object} environment - Profile
+ * @returns {Array<string>} Error messages (empty if valid)
+ */
+export function validateEnvironment(environment) {
+  const errors = [];
+  const name = environment.name || '(unnamed)';
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(environment.name || '')) {
+    errors.push(`${name}: name must be lowercase letters, digits and dashes`);
+  }
+  if (!['real', 'clone'].includes(environment.role)) {
+    errors.push(`${name}: role must be "real" or "clone"`);
+  }
+  if (!AUTH_MODES.includes(environment.auth)) {
+    errors.push(`${name}: auth must be one of ${AUTH_MODES.join(', ')}`);
+  }
+
+  [['baseUrl', true], ['uploadBaseUrl', false], ['batchUrl', false]].forEach(([key, required]) => {
+    const value = environment[key];
+    if (!value) {
+      if (required) {
+        errors.push(`${name}: ${key} is required`);
+      }
+      return;
+    }
+    if (!/^https?:\/\/[^/]+/.test(value) || value.endsWith('/')) {
+      errors.push(`${name}: ${key} must be an http(s) URL without a trailing slash`);
+    }
+  });
+
+  Object.entries(environment.retry || {}).forEach(([key, value]) => {
+    if (!['maxAttempts', 'baseDelayMs', 'maxDelayMs'].includes(key)) {
+      errors.push(`${name}: unknown retry setting "${key}"`);
+    } else if (!Number.isInteger(value) || value < (key === 'maxAttempts' ? 1 : 0)) {
+      errors.push(`${name}: retry ${key} must be a ${key === 'maxAttempts' ? 'positive' : 'non-negative'} integer`);
+    }
+  });
+
+  Object.entries(environment.quotaBudget || {}).forEach(([key, value]) => {
+    if (!['perMinute', 'perSession'].includes(key)) {
+      errors.push(`${name}: unknown quota budget setting "${key}"`);
+    } else if (!Number.isInteger(value) || value < 1) {
+      errors.push(`${name}: quota budget ${key} must be a positive integer`);
+    }
+  });
+
+  if (environment.timeoutMs !== undefined && (!Number.isInteger(environment.timeoutMs) || environment.timeoutMs < 1)) {
+    errors.push(`${name}: timeoutMs must be a positive integer`);
+  }
+
+  (environment.hostPatterns || []).forEach(pattern => {
+    if (!isValidMatchPattern(pattern)) {
+      errors.push(`${name}: invalid host pattern "${pattern}"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Load the saved profiles (defaults until the user saves their own)
+ * Built-in profiles are restored if a saved list lacks them
+ * @returns {Promise<Array<Object>>} Profiles
+ */
+export async function loadEnvironments() {
+  const stored = await chrome.storage.local.get(ENVIRONMENTS_STORAGE_KEY);
+  const environments = stored[ENVIRONMENTS_STORAGE_KEY] || DEFAULT_ENVIRONMENTS;
+
+  const missing = DEFAULT_ENVIRONMENTS
+    .filter(defaults => BUILT_IN_ENVIRONMENTS.includes(defaults.name))
+    .filter(defaults => !environments.some(environment => environment.name === defaults.name));
+  return [...missing, ...environments];
+}
+
+/**
+ * Save profiles (the background worker re-registers content scripts when they change)
+ * @param {Array<Object>} environments - Profiles
+ * @returns {Promise<void>}
+ */
+export async function saveEnvironments(environments) {
+  await chrome.storage.local.set({ [ENVIRONMENTS_STORAGE_KEY]: environments });
+}
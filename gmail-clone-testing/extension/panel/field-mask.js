@@ -0,0 +1,260 @@
+/**
+ * Field Mask - Parse, build and check Gmail `fields=` partial response masks
+ * Syntax: comma-separated fields, `a/b` for a sub-field, `a(b,c)` for several sub-fields, `*` for any key
+ */
+
+import { escapeHtml } from './ui-components.js';
+
+/**
+ * Max array elements sampled when collecting the keys of a list
+ */
+const PICKER_SAMPLE_SIZE = 20;
+
+/**
+ * Split a mask on top-level commas (commas inside parentheses stay)
+ * @param {string} mask - Field mask
+ * @returns {Array<string>} Top-level items
+ */
+function splitTopLevel(mask) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of mask) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth < 0) {
+      throw new Error('Unbalanced parentheses in field mask');
+    }
+    if (char === ',' && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (depth !== 0) {
+    throw new Error('Unbalanced parentheses in field mask');
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Expand a mask into slash-separated paths (e.g., 'a(b,c)' → ['a/b', 'a/c'])
+ * @param {string} mask - Field mask
+ * @param {string} prefix - Path of the enclosing selection
+ * @returns {Array<string>} Paths
+ */
+function expandMask(mask, prefix = '') {
+  const paths = [];
+
+  splitTopLevel(mask).forEach(item => {
+    const open = item.indexOf('(');
+    if (open === -1) {
+      paths.push(prefix + item);
+      return;
+    }
+    if (!item.endsWith(')')) {
+      throw new Error(`Unexpected text after ")" in field mask: ${item}`);
+    }
+    const name = item.substring(0, open);
+    paths.push(...expandMask(item.substring(open + 1, item.length - 1), `${prefix}${name}/`));
+  });
+
+  return paths;
+}
+
+/**
+ * Build a selection tree from paths
+ * Each node maps a key to true (whole value selected) or to a nested tree
+ * @param {Array<string>} paths - Slash-separated paths
+ * @returns {Object} Selection tree
+ */
+function pathsToTree(paths) {
+  const tree = {};
+
+  paths.forEach(path => {
+    const segments = path.split('/').filter(segment => segment);
+    let node = tree;
+
+    segments.forEach((segment, index) => {
+      if (node === true) {
+        return;
+      }
+      if (index === segments.length - 1) {
+        node[segment] = true;
+      } else {
+        node[segment] = node[segment] === true ? true : (node[segment] || {});
+        node = node[segment];
+      }
+    });
+  });
+
+  return tree;
+}
+
+/**
+ * Serialize a selection tree back into mask syntax
+ * @param {Object} tree - Selection tree
+ * @returns {string} Field mask
+ */
+function treeToMask(tree) {
+  return Object.entries(tree).map(([key, subtree]) => {
+    if (subtree === true) {
+      return key;
+    }
+    const inner = treeToMask(subtree);
+    return Object.keys(subtree).length === 1 ? `${key}/${inner}` : `${key}(${inner})`;
+  }).join(',');
+}
+
+/**
+ * Parse a field mask into a selection tree
+ * @param {string} mask - Field mask (e.g., 'messages(id,threadId),nextPageToken')
+ * @returns {Object} Selection tree
+ * @throws {Error} If parentheses are unbalanced
+ */
+export function parseFieldMask(mask) {
+  return pathsToTree(expandMask(mask));
+}
+
+/**
+ * Build a field mask from selected paths
+ * @param {Array<string>} paths - Slash-separated paths (e.g., ['messages/id', 'nextPageToken'])
+ * @returns {string} Field mask (e.g., 'messages/id,nextPageToken')
+ */
+export function buildFieldMask(paths) {
+  return treeToMask(pathsToTree(paths));
+}
+
+/**
+ * Find fields a response returned outside the requested mask
+ * Array elements are checked against the same sub-selection; paths use "[]" for any index
+ * @param {*} body - Response body
+ * @param {string} mask - Field mask that was sent
+ * @returns {Array<string>} Paths outside the mask (e.g., ['messages[].snippet'])
+ */
+export function findFieldsOutsideMask(body, mask) {
+  const outside = new Set();
+
+  const visit = (value, tree, path) => {
+    if (tree === true || value === null || typeof value !== 'object') {
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, tree, `${path}[]`));
+      return;
+    }
+
+    Object.keys(value).forEach(key => {
+      const subtree = key in tree ? tree[key] : tree['*'];
+      const currentPath = path ? `${path}.${key}` : key;
+      if (subtree === undefined) {
+        outside.add(currentPath);
+      } else {
+        visit(value[key], subtree, currentPath);
+      }
+    });
+  };
+
+  visit(body, parseFieldMask(mask), '');
+  return Array.from(outside);
+}
+
+/**
+ * Collect the key tree of a response (arrays merged across sampled elements)
+ * @param {*} value - Response body or nested value
+ * @returns {Object|true} Key tree, or true for leaf values
+ */
+function collectKeys(value) {
+  if (Array.isArray(value)) {
+    const merged = {};
+    value.slice(0, PICKER_SAMPLE_SIZE).forEach(item => {
+      const keys = collectKeys(item);
+      if (keys !== true) {
+        mergeKeys(merged, keys);
+      }
+    });
+    return Object.keys(merged).length > 0 ? merged : true;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = {};
+    Object.entries(value).forEach(([key, child]) => {
+      keys[key] = collectKeys(child);
+    });
+    return keys;
+  }
+  return true;
+}
+
+/**
+ * Merge one key tree into another
+ * @param {Object} target - Tree to merge into
+ * @param {Object} source - Tree to merge from
+ */
+function mergeKeys(target, source) {
+  Object.entries(source).forEach(([key, subtree]) => {
+    if (subtree === true) {
+      target[key] = target[key] || true;
+    } else if (target[key] === undefined || target[key] === true) {
+      target[key] = { ...subtree };
+    } else {
+      mergeKeys(target[key], subtree);
+    }
+  });
+}
+
+/**
+ * Render the keys of a previous response as clickable chips for building a mask
+ * @param {*} data - Previous response body
+ * @param {string} paramKey - Param key of the fields input the picker fills
+ * @returns {string} HTML string
+ */
+export function renderFieldPicker(data, paramKey) {
+  const keys = collectKeys(data);
+  if (keys === true) {
+    return '';
+  }
+
+  const renderTree = (tree, prefix) => `
+    <ul class="field-picker-tree">
+      ${Object.entries(tree).map(([key, subtree]) => `
+        <li>
+          <button class="field-key" data-param="${paramKey}" data-path="${escapeHtml(prefix + key)}">${escapeHtml(key)}</button>
+          ${subtree === true ? '' : renderTree(subtree, `${prefix}${key}/`)}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+
+  return `
+    <div class="field-picker">
+      <div class="param-help">🧩 Click keys from the last response to build the mask</div>
+      ${renderTree(keys, '')}
+    </div>
+  `;
+}
+
+/**
+ * Setup click handlers for a rendered field picker (call after it is inserted)
+ * Clicking a key toggles it and rewrites the fields input from every selected key
+ * @param {HTMLElement} container - Container with the picker
+ */
+export function setupFieldPickerListeners(container) {
+  const keys = container.querySelectorAll('.field-key');
+
+  keys.forEach(key => {
+    key.addEventListener('click', () => {
+      key.classList.toggle('selected');
+
+      const input = document.getElementById(`param-${key.dataset.param}`);
+      if (input) {
+        const selected = Array.from(container.querySelectorAll('.field-key.selected'))
+          .map(selectedKey => selectedKey.dataset.path);
+        input.value = buildFieldMask(selected);
+      }
+    });
+  });
+}
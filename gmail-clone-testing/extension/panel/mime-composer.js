@@ -0,0 +1,278 @@
+/**
+ * MIME Composer - Build RFC 5322 / MIME messages from the compose form
+ * Text and HTML bodies become multipart/alternative, inline images multipart/related
+ * (referenced from the HTML as cid:<Content-ID>) and attachments multipart/mixed.
+ * Output always uses CRLF line endings.
+ */
+
+import { bytesToBase64 } from './encoding.js';
+import { encodeHeaderValue, foldHeader, formatAddressList, formatParameter } from './mime-headers.js';
+
+/**
+ * Form fields that make up the message; everything else in a body is API metadata
+ */
+export const COMPOSE_FIELDS = [
+  'from',
+  'to',
+  'cc',
+  'bcc',
+  'replyTo',
+  'subject',
+  'body',
+  'htmlBody',
+  'customHeaders',
+  'attachments',
+  'inlineImages'
+];
+
+/**
+ * Address and subject headers, in the order they are written, with the form field for each
+ * (Subject is unstructured text; the rest are address lists)
+ */
+const FIELD_HEADERS = [
+  ['From', 'from'],
+  ['To', 'to'],
+  ['Cc', 'cc'],
+  ['Bcc', 'bcc'],
+  ['Reply-To', 'replyTo'],
+  ['Subject', 'subject']
+];
+
+/**
+ * Headers the composer writes itself, so custom headers cannot override them
+ */
+const STRUCTURAL_HEADERS = ['mime-version', 'content-type', 'content-transfer-encoding', 'content-disposition', 'content-id'];
+
+/**
+ * RFC 5322 line length limit (without CRLF); longer lines must be transfer-encoded
+ */
+const MAX_LINE_LENGTH = 998;
+
+/**
+ * Split a request body into compose fields and API metadata
+ * @param {Object} body - Body params collected from the form
+ * @returns {Object} {fields, rest}
+ */
+export function splitComposeFields(body) {
+  const fields = {};
+  const rest = {};
+  Object.entries(body).forEach(([key, value]) => {
+    (COMPOSE_FIELDS.includes(key) ? fields : rest)[key] = value;
+  });
+  return { fields, rest };
+}
+
+/**
+ * Create a multipart boundary
+ * "=_" cannot occur in quoted-printable or base64 output, so encoded parts never contain it
+ * @returns {string} Boundary
+ */
+function createBoundary() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `=_qa_${random}`;
+}
+
+/**
+ * Wrap base64 at 76 characters per line (RFC 2045 transfer encoding)
+ * @param {string} base64 - base64 string
+ * @returns {string} CRLF-wrapped base64
+ */
+function wrapBase64(base64) {
+  return base64.match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+/**
+ * Quoted-printable encode text as UTF-8 (RFC 2045 §6.7)
+ * CRLF line breaks stay hard breaks; long lines get "=" soft breaks at 76 characters
+ * @param {string} text - Text with CRLF line endings
+ * @returns {string} Encoded text
+ */
+export function encodeQuotedPrintable(text) {
+  const encoder = new TextEncoder();
+
+  return text.split('\r\n').map(line => {
+    const bytes = encoder.encode(line);
+    let encoded = '';
+    let current = '';
+
+    bytes.forEach((byte, index) => {
+      // Printable ASCII except "=" is literal; spaces and tabs too, unless they end the line
+      const isWhitespace = byte === 0x20 || byte === 0x09;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || (isWhitespace && index < bytes.length - 1);
+      const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+      if (current.length + token.length > 75) {
+        encoded += `${current}=\r\n`;
+        current = '';
+      }
+      current += token;
+    });
+
+    return encoded + current;
+  }).join('\r\n');
+}
+
+/**
+ * Build a text part, quoted-printable encoded only when 7bit would be invalid
+ * @param {string} text - Part content
+ * @param {string} subtype - 'plain' or 'html'
+ * @returns {Object} Part {headers, body}
+ */
+function textPart(text, subtype) {
+  const normalized = text.replace(/\r?\n/g, '\r\n');
+  const needsEncoding = /[^\x00-\x7F]/.test(normalized) ||
+    normalized.split('\r\n').some(line => line.length > MAX_LINE_LENGTH);
+
+  return {
+    headers: [
+      `Content-Type: text/${subtype}; charset=utf-8`,
+      `Content-Transfer-Encoding: ${needsEncoding ? 'quoted-printable' : '7bit'}`
+    ],
+    body: needsEncoding ? encodeQuotedPrintable(normalized) : normalized
+  };
+}
+
+/**
+ * Content-ID for an inline image: its file name with characters outside [A-Za-z0-9._-] replaced by "_"
+ * @param {string} fileName - File name (e.g., "logo.png")
+ * @returns {string} Content-ID without angle brackets, referenced as cid:<id> in HTML
+ */
+export function getContentId(fileName) {
+  return fileName.replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Build a base64 part for an attachment or inline image
+ * @param {File} file - File to attach
+ * @param {string} disposition - 'attachment' or 'inline'
+ * @returns {Promise<Object>} Part {headers, body}
+ */
+async function filePart(file, disposition) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+
+  const headers = [
+    foldHeader('Content-Type', `${file.type || 'application/octet-stream'}; ${formatParameter('name', file.name)}`),
+    foldHeader('Content-Disposition', `${disposition}; ${formatParameter('filename', file.name)}`),
+    'Content-Transfer-Encoding: base64'
+  ];
+  if (disposition === 'inline') {
+    headers.push(`Content-ID: <${getContentId(file.name)}>`);
+  }
+
+  return { headers, body: wrapBase64(bytesToBase64(bytes)) };
+}
+
+/**
+ * Wrap parts in a multipart container with a fresh boundary
+ * @param {string} subtype - 'alternative', 'related' or 'mixed'
+ * @param {Array<Object>} parts - Parts {headers, body}
+ * @param {string} parameters - Extra Content-Type parameters (e.g., '; type="text/html"')
+ * @returns {Object} Part {headers, body}
+ */
+function multipart(subtype, parts, parameters = '') {
+  const boundary = createBoundary();
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"${parameters}`],
+    body: [
+      ...parts.map(part => `--${boundary}\r\n${part.headers.join('\r\n')}\r\n\r\n${part.body}`),
+      `--${boundary}--`
+    ].join('\r\n')
+  };
+}
+
+/**
+ * Parse the custom headers textarea ("Name: value" per line)
+ * @param {string} text - Textarea value
+ * @returns {Array<Array<string>>} [name, value] pairs
+ * @throws {Error} If a line is malformed or names a header the composer sets
+ */
+export function parseCustomHeaders(text) {
+  if (!text) {
+    return [];
+  }
+
+  return text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+    const colon = line.indexOf(':');
+    const name = colon > 0 ? line.slice(0, colon).trim() : '';
+    if (!/^[!-9;-~]+$/.test(name)) {
+      throw new Error(`Custom header "${line}" must look like "Name: value"`);
+    }
+
+    const lowerName = name.toLowerCase();
+    if (STRUCTURAL_HEADERS.includes(lowerName)) {
+      throw new Error(`Custom header ${name} is set by the composer`);
+    }
+    const field = FIELD_HEADERS.find(([header]) => header.toLowerCase() === lowerName);
+    if (field) {
+      throw new Error(`Use the ${field[1]} field instead of a custom ${name} header`);
+    }
+
+    return [name, line.slice(colon + 1).trim()];
+  });
+}
+
+/**
+ * Build the top-level headers: addresses validated and formatted, text RFC 2047 encoded, lines folded
+ * @param {Object} fields - Compose fields
+ * @returns {Array<string>} Header lines
+ * @throws {Error} If an address is malformed or a value contains a line break (header injection)
+ */
+function buildHeaders(fields) {
+  const pairs = [
+    ...FIELD_HEADERS.map(([header, field]) => [header, fields[field]]),
+    ...parseCustomHeaders(fields.customHeaders)
+  ].filter(([, value]) => value);
+
+  return [
+    ...pairs.map(([name, value]) => {
+      if (/[\r\n]/.test(value)) {
+        throw new Error(`${name} header must be a single line`);
+      }
+      if (name === 'Subject' || !FIELD_HEADERS.some(([header]) => header === name)) {
+        return foldHeader(name, encodeHeaderValue(value));
+      }
+      try {
+        return foldHeader(name, formatAddressList(value));
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+    }),
+    'MIME-Version: 1.0'
+  ];
+}
+
+/**
+ * Compose an RFC 5322 message
+ * @param {Object} fields - {from, to, cc, bcc, replyTo, subject, body, htmlBody, customHeaders, attachments, inlineImages}
+ *   where attachments and inlineImages are File arrays and addresses are comma-separated strings
+ * @returns {Promise<Uint8Array>} Message bytes
+ * @throws {Error} On malformed addresses or custom headers, or multi-line header values
+ */
+export async function composeMessage(fields) {
+  const text = fields.body || '';
+  const html = fields.htmlBody || '';
+  const attachments = [].concat(fields.attachments || []);
+  const inlineImages = [].concat(fields.inlineImages || []);
+
+  let content;
+  if (text && html) {
+    content = multipart('alternative', [textPart(text, 'plain'), textPart(html, 'html')]);
+  } else {
+    content = html ? textPart(html, 'html') : textPart(text, 'plain');
+  }
+
+  if (inlineImages.length > 0) {
+    // RFC 2387: type names the root part (the body the images belong to)
+    const rootType = /^Content-Type: ([^;]+)/.exec(content.headers[0])[1];
+    const images = await Promise.all(inlineImages.map(file => filePart(file, 'inline')));
+    content = multipart('related', [content, ...images], `; type="${rootType}"`);
+  }
+
+  if (attachments.length > 0) {
+    const files = await Promise.all(attachments.map(file => filePart(file, 'attachment')));
+    content = multipart('mixed', [content, ...files]);
+  }
+
+  const message = `${[...buildHeaders(fields), ...content.headers].join('\r\n')}\r\n\r\n${content.body}\r\n`;
+  return new TextEncoder().encode(message);
+}
@@ -0,0 +1,133 @@
+/**
+ * MIME Decoder - Turn Gmail message payloads (payload.parts with base64url bodies) into a readable tree
+ * Used for messages.get, threads.get and drafts.get responses in format=full.
+ * Gmail has already undone the transfer encoding, so body.data is the part content itself.
+ */
+
+import { base64UrlDecode } from './encoding.js';
+
+/**
+ * Max characters of a decoded text body kept for display
+ */
+const TEXT_DISPLAY_LIMIT = 50000;
+
+/**
+ * Find the message payloads in a response body
+ * @param {*} data - Response body (message, thread or draft)
+ * @returns {Array<Object>} [{path (JSON path of the payload), messageId, payload}]
+ */
+export function findMessagePayloads(data) {
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+  if (data.payload && typeof data.payload === 'object') {
+    return [{ path: 'payload', messageId: data.id, payload: data.payload }];
+  }
+  if (data.message && data.message.payload) {
+    return [{ path: 'message.payload', messageId: data.message.id, payload: data.message.payload }];
+  }
+  if (Array.isArray(data.messages)) {
+    return data.messages
+      .map((message, index) => ({ path: `messages[${index}].payload`, messageId: message && message.id, payload: message && message.payload }))
+      .filter(entry => entry.payload && typeof entry.payload === 'object');
+  }
+  return [];
+}
+
+/**
+ * Read a header value from a part (names are case-insensitive)
+ * @param {Object} part - Message part
+ * @param {string} name - Header name
+ * @returns {string|null} First value, or null
+ */
+function getPartHeader(part, name) {
+  const header = (part.headers || []).find(entry => entry && typeof entry.name === 'string' && entry.name.toLowerCase() === name);
+  return header ? header.value : null;
+}
+
+/**
+ * Decode text bytes with the part's charset (UTF-8 if missing or unknown)
+ * @param {Uint8Array} bytes - Body bytes
+ * @param {Object} part - Message part
+ * @returns {string} Decoded text
+ */
+function decodeText(bytes, part) {
+  const charset = /charset="?([^";\s]+)"?/i.exec(getPartHeader(part, 'content-type') || '');
+  try {
+    return new TextDecoder(charset ? charset[1] : 'utf-8').decode(bytes);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Build the decoded tree for a payload
+ * Part numbers follow Gmail's partId scheme ("" for the root, then "0", "0.1", ...)
+ * @param {Object} part - Message part (payload or one of its parts)
+ * @param {string} path - JSON path of the part (e.g., "payload.parts[1]")
+ * @param {string} partNumber - Position in the tree
+ * @returns {Object} Node {path, partNumber, partId, mimeType, filename, headers, size, attachmentId, kind, text, truncated, byteLength, error, children}
+ */
+export function decodePart(part, path = 'payload', partNumber = '') {
+  const mimeType = (part.mimeType || 'application/octet-stream').toLowerCase();
+  const body = part.body || {};
+  const node = {
+    path,
+    partNumber,
+    partId: part.partId,
+    mimeType,
+    filename: part.filename || '',
+    headers: Array.isArray(part.headers) ? part.headers : [],
+    size: body.size,
+    attachmentId: body.attachmentId || null,
+    kind: mimeType.startsWith('multipart/') ? 'container' : 'binary',
+    text: null,
+    truncated: false,
+    byteLength: null,
+    error: null,
+    children: (Array.isArray(part.parts) ? part.parts : []).map((child, index) =>
+      decodePart(child || {}, `${path}.parts[${index}]`, partNumber ? `${partNumber}.${index}` : String(index)))
+  };
+
+  if (typeof body.data === 'string') {
+    try {
+      const bytes = base64UrlDecode(body.data);
+      node.byteLength = bytes.length;
+      if (mimeType.startsWith('text/') && !node.filename) {
+        const text = decodeText(bytes, part);
+        node.kind = mimeType === 'text/html' ? 'html' : 'text';
+        node.truncated = text.length > TEXT_DISPLAY_LIMIT;
+        node.text = text.slice(0, TEXT_DISPLAY_LIMIT);
+      }
+    } catch (error) {
+      node.error = `body.data is not valid base64url: ${error.message}`;
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Count the parts in a decoded tree
+ * @param {Object} node - Result of decodePart
+ * @returns {number} Number of nodes
+ */
+export function countParts(node) {
+  return 1 + node.children.reduce((sum, child) => sum + countParts(child), 0);
+}
+
+/**
+ * Compare two decoded bodies byte by byte
+ * @param {Uint8Array} realBytes - Real body
+ * @param {Uint8Array} cloneBytes - Clone body
+ * @returns {number} Offset of the first differing byte, or -1 if identical
+ */
+export function findFirstDifference(realBytes, cloneBytes) {
+  const length = Math.min(realBytes.length, cloneBytes.length);
+  for (let index = 0; index < length; index++) {
+    if (realBytes[index] !== cloneBytes[index]) {
+      return index;
+    }
+  }
+  return realBytes.length === cloneBytes.length ? -1 : length;
+}
@@ -0,0 +1,314 @@
+/**
+ * MIME Headers - Standards-compliant header values for composed messages
+ * Non-ASCII text becomes RFC 2047 encoded-words, non-ASCII file names RFC 2231 parameters,
+ * address lists are parsed and validated (RFC 5322 §3.4) and long lines are folded at 78 characters.
+ */
+
+import { bytesToBase64 } from './encoding.js';
+
+/**
+ * Recommended header line length (RFC 5322 §2.1.1); lines are folded at whitespace to stay within it
+ */
+const FOLD_LENGTH = 78;
+
+/**
+ * Longest encoded-word (RFC 2047 §2): "=?UTF-8?B?" + base64 + "?=" must fit in 75 characters
+ */
+const MAX_ENCODED_WORD_LENGTH = 75;
+
+/**
+ * Characters allowed in an atom (RFC 5322 §3.2.3)
+ */
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+
+const DOT_ATOM = new RegExp(`^[${ATEXT}]+(?:\\.[${ATEXT}]+)*$`);
+const PHRASE = new RegExp(`^[ ${ATEXT}]+$`);
+const QUOTED_LOCAL_PART = /^"(?:[^"\\\r\n]|\\.)*"$/;
+const DOMAIN_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+
+/**
+ * Check whether text is printable ASCII (plus tabs)
+ * @param {string} text - Text
+ * @returns {boolean} True if the text can go in a header as is
+ */
+function isPrintableAscii(text) {
+  return /^[\x20-\x7E\t]*$/.test(text);
+}
+
+/**
+ * Encode text as RFC 2047 "B" encoded-words, splitting between characters (never inside one)
+ * @param {string} text - Text to encode
+ * @returns {string} Space-separated encoded-words
+ */
+export function encodeWords(text) {
+  const encoder = new TextEncoder();
+  const maxBytes = Math.floor((MAX_ENCODED_WORD_LENGTH - '=?UTF-8?B??='.length) / 4) * 3;
+  const words = [];
+  let current = '';
+
+  const flush = () => {
+    words.push(`=?UTF-8?B?${bytesToBase64(encoder.encode(current))}?=`);
+    current = '';
+  };
+
+  for (const char of text) {
+    if (current && encoder.encode(current + char).length > maxBytes) {
+      flush();
+    }
+    current += char;
+  }
+  if (current) {
+    flush();
+  }
+  return words.join(' ');
+}
+
+/**
+ * Encode an unstructured header value (Subject, custom headers)
+ * Leading and trailing ASCII words stay readable; the span from the first to the last
+ * non-ASCII word is encoded, since whitespace between encoded-words is dropped when decoding.
+ * @param {string} value - Header value
+ * @returns {string} ASCII header value
+ */
+export function encodeHeaderValue(value) {
+  if (isPrintableAscii(value) && !value.includes('=?')) {
+    return value;
+  }
+
+  const tokens = value.split(/(\s+)/);
+  const needsEncoding = token => !isPrintableAscii(token) || token.includes('=?');
+  const first = tokens.findIndex(needsEncoding);
+  const last = tokens.length - 1 - [...tokens].reverse().findIndex(needsEncoding);
+
+  return [
+    tokens.slice(0, first).join(''),
+    encodeWords(tokens.slice(first, last + 1).join('')),
+    tokens.slice(last + 1).join('')
+  ].join('');
+}
+
+/**
+ * Format a display name: atoms as is, other ASCII quoted, non-ASCII encoded
+ * @param {string} name - Display name
+ * @returns {string} Phrase for a mailbox header
+ */
+function formatDisplayName(name) {
+  if (!isPrintableAscii(name)) {
+    return encodeWords(name);
+  }
+  if (PHRASE.test(name) && !name.includes('=?')) {
+    return name;
+  }
+  return `"${name.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Split an address list at commas outside quotes, angle brackets and comments
+ * @param {string} text - Address list
+ * @returns {Array<string>} Trimmed non-empty entries
+ */
+function splitAddressList(text) {
+  const entries = [];
+  let current = '';
+  let inQuote = false;
+  let angleDepth = 0;
+  let commentDepth = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\' && (inQuote || commentDepth > 0)) {
+      current += char + (text[index + 1] || '');
+      index++;
+      continue;
+    }
+    if (char === '"' && commentDepth === 0) {
+      inQuote = !inQuote;
+    } else if (!inQuote) {
+      if (char === '(') commentDepth++;
+      if (char === ')' && commentDepth > 0) commentDepth--;
+      if (char === '<' && commentDepth === 0) angleDepth++;
+      if (char === '>' && commentDepth === 0 && angleDepth > 0) angleDepth--;
+      if (char === ',' && angleDepth === 0 && commentDepth === 0) {
+        entries.push(current);
+        current = '';
+        continue;
+      }
+    }
+    current += char;
+  }
+  entries.push(current);
+
+  return entries.map(entry => entry.trim()).filter(entry => entry);
+}
+
+/**
+ * Validate an addr-spec and convert an internationalized domain to punycode
+ * Single-label domains (e.g., user@localhost) are valid syntax and work against local clone builds
+ * @param {string} address - Address (e.g., "user@example.com")
+ * @param {Object} options - {requireDottedDomain: reject single-label domains, which real Gmail cannot deliver to}
+ * @returns {Object} {address (normalized), error (null if valid)}
+ */
+function validateAddress(address, options = {}) {
+  const at = address.lastIndexOf('@');
+  if (at <= 0 || at === address.length - 1) {
+    return { address, error: 'missing local part or domain' };
+  }
+
+  const localPart = address.slice(0, at);
+  let domain = address.slice(at + 1);
+
+  if (!isPrintableAscii(localPart)) {
+    return { address, error: 'non-ASCII local part needs SMTPUTF8, which Gmail does not accept in headers' };
+  }
+  if (!DOT_ATOM.test(localPart) && !QUOTED_LOCAL_PART.test(localPart)) {
+    return { address, error: 'invalid local part' };
+  }
+  if (localPart.length > 64) {
+    return { address, error: 'local part is longer than 64 characters' };
+  }
+
+  if (!isPrintableAscii(domain)) {
+    // IDNA: the URL parser converts the domain to its punycode (xn--) form
+    try {
+      domain = new URL(`http://${domain}`).hostname;
+    } catch (error) {
+      return { address, error: 'invalid internationalized domain' };
+    }
+  }
+  const labels = domain.split('.');
+  if (!labels.every(label => DOMAIN_LABEL.test(label))) {
+    return { address, error: 'invalid domain' };
+  }
+  if (labels.length < 2 && options.requireDottedDomain) {
+    return { address, error: 'single-label domains (e.g., localhost) only work against clone targets' };
+  }
+
+  const normalized = `${localPart}@${domain}`;
+  if (normalized.length > 254) {
+    return { address, error: 'address is longer than 254 characters' };
+  }
+  return { address: normalized, error: null };
+}
+
+/**
+ * Parse and validate an address list ("a@example.com, Bob <bob@example.com>, "Doe, Jane" <jane@example.com>")
+ * Empty groups such as "undisclosed-recipients:;" (the usual To of Bcc-only mail) are kept as groups
+ * @param {string} text - Address list
+ * @param {Object} options - {requireDottedDomain} (see validateAddress)
+ * @returns {Object} {addresses: [{name, address}], groups: [name], errors: [message]}
+ */
+export function parseAddressList(text, options = {}) {
+  const addresses = [];
+  const groups = [];
+  const errors = [];
+
+  splitAddressList(text || '').forEach(entry => {
+    let name = '';
+    let address = entry;
+
+    const group = /^([^"<>@:;]+|"(?:[^"\\]|\\.)*")\s*:(.*)$/s.exec(entry);
+    if (group) {
+      if (group[2].trim() !== ';') {
+        errors.push(`"${entry}" starts a group with members; list the addresses without the group`);
+      } else {
+        groups.push(group[1].trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1'));
+      }
+      return;
+    }
+
+    const angle = /^(.*?)<([^<>]*)>$/s.exec(entry);
+    if (angle) {
+      name = angle[1].trim();
+      address = angle[2].trim();
+      if (/^".*"$/s.test(name)) {
+        name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+    } else if (/[<>]/.test(entry)) {
+      errors.push(`"${entry}" has unbalanced angle brackets`);
+      return;
+    } else {
+      // Old style "user@example.com (Name)": the comment becomes the display name
+      const comment = /^(.*?)\s*\((.*)\)$/s.exec(entry);
+      if (comment) {
+        address = comment[1];
+        name = comment[2].trim();
+      }
+    }
+
+    if (/[\r\n]/.test(name)) {
+      errors.push(`"${entry}" contains a line break`);
+      return;
+    }
+    const validated = validateAddress(address, options);
+    if (validated.error) {
+      errors.push(`"${entry}" is not a valid address: ${validated.error}`);
+      return;
+    }
+    addresses.push({ name, address: validated.address });
+  });
+
+  return { addresses, groups, errors };
+}
+
+/**
+ * Format an address list for a header
+ * @param {string} text - Address list as typed
+ * @returns {string} ASCII address list (mailboxes, then empty groups)
+ * @throws {Error} If any address is malformed
+ */
+export function formatAddressList(text) {
+  const { addresses, groups, errors } = parseAddressList(text);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return [
+    ...addresses.map(({ name, address }) => (name ? `${formatDisplayName(name)} <${address}>` : address)),
+    ...groups.map(name => `${formatDisplayName(name)}:;`)
+  ].join(', ');
+}
+
+/**
+ * Format a Content-Type / Content-Disposition parameter
+ * Non-ASCII values use RFC 2231 (name*=utf-8''...), split into numbered continuations when long
+ * @param {string} attribute - Parameter name (e.g., 'filename')
+ * @param {string} value - Parameter value
+ * @returns {string} Parameter (e.g., 'filename="report.pdf"')
+ */
+export function formatParameter(attribute, value) {
+  if (isPrintableAscii(value)) {
+    return `${attribute}="${value.replace(/[\\"]/g, '\\$&')}"`;
+  }
+
+  // attribute-char excludes * ' ( ), which encodeURIComponent leaves alone
+  const encoded = `utf-8''${encodeURIComponent(value).replace(/[*'()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+  const segments = encoded.match(/(?:%[0-9A-F]{2}|[^%]){1,60}/g);
+  if (segments.length === 1) {
+    return `${attribute}*=${encoded}`;
+  }
+  return segments.map((segment, index) => `${attribute}*${index}*=${segment}`).join('; ');
+}
+
+/**
+ * Fold a header line at whitespace so lines stay within 78 characters where possible
+ * A single word longer than that is left whole (RFC 5322 allows up to 998)
+ * @param {string} name - Header name
+ * @param {string} value - ASCII header value
+ * @returns {string} Header, continuation lines joined with CRLF
+ */
+export function foldHeader(name, value) {
+  const words = `${name}: ${value}`.match(/[ \t]*[^ \t]+/g);
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    if (current && current.length + word.length > FOLD_LENGTH) {
+      lines.push(current);
+      current = word;
+    } else {
+      current += word;
+    }
+  });
+  lines.push(current);
+
+  return lines.join('\r\n');
+}
@@ -0,0 +1,205 @@
+/**
+ * Options Page - Edit the environment profiles (see environments.js)
+ */
+
+import {
+  AUTH_MODES,
+  BUILT_IN_ENVIRONMENTS,
+  DEFAULT_ENVIRONMENTS,
+  DEFAULT_TIMEOUT_MS,
+  getRequiredOrigins,
+  loadEnvironments,
+  saveEnvironments,
+  validateEnvironment
+} from './environments.js';
+import { DEFAULT_RETRY_POLICY } from './retry-policy.js';
+import { DEFAULT_QUOTA_BUDGET } from './quota-tracker.js';
+import { escapeHtml } from './ui-components.js';
+
+class EnvironmentEditor {
+  constructor() {
+    this.environments = [];
+  }
+
+  /**
+   * Render one profile as an editable card
+   * @param {Object} environment - Profile
+   * @param {number} index - Position in the list
+   * @returns {string} HTML string
+   */
+  renderEnvironment(environment, index) {
+    // real and clone can be re-pointed but not renamed, re-roled or removed
+    const builtIn = BUILT_IN_ENVIRONMENTS.includes(environment.name);
+    const select = (field, options) => `
+      <select data-index="${index}" data-field="${field}" ${builtIn && field === 'role' ? 'disabled' : ''}>
+        ${options.map(option => `<option value="${option}" ${environment[field] === option ? 'selected' : ''}>${option}</option>`).join('')}
+      </select>
+    `;
+    const input = (field, placeholder) => `
+      <input type="text" data-index="${index}" data-field="${field}" value="${escapeHtml(environment[field] || '')}"
+             placeholder="${placeholder}" spellcheck="false" ${builtIn && field === 'name' ? 'readonly' : ''}>
+    `;
+    const timeoutInput = () => `
+      <input type="number" min="1" data-index="${index}" data-field="timeoutMs"
+             value="${environment.timeoutMs ?? ''}" placeholder="${DEFAULT_TIMEOUT_MS} (default)">
+    `;
+    const retryInput = (setting) => `
+      <input type="number" min="0" data-index="${index}" data-field="retry.${setting}"
+             value="${(environment.retry || {})[setting] ?? ''}" placeholder="${DEFAULT_RETRY_POLICY[setting]} (default)">
+    `;
+    const budgetInput = (setting) => `
+      <input type="number" min="1" data-index="${index}" data-field="quotaBudget.${setting}"
+             value="${(environment.quotaBudget || {})[setting] ?? ''}" placeholder="${DEFAULT_QUOTA_BUDGET[setting] ?? 'No limit'} (default)">
+    `;
+
+    return `
+      <div class="environment-card">
+        <label>Name</label>${input('name', 'e.g., staging')}
+        <label>Label</label>${input('label', 'Shown in the panel header')}
+        <label>Role</label>${select('role', ['real', 'clone'])}
+        <label>Auth</label>${select('auth', AUTH_MODES)}
+        <label>Base URL</label>${input('baseUrl', 'e.g., http://localhost:3000/gmail/v1')}
+        <label>Upload base URL</label>${input('uploadBaseUrl', 'Optional, e.g., http://localhost:3000/upload/gmail/v1')}
+        <label>Batch URL</label>${input('batchUrl', 'Optional, e.g., http://localhost:3000/batch/gmail/v1')}
+        <label>Timeout (ms)</label>${timeoutInput()}
+        <label>Retry max attempts</label>${retryInput('maxAttempts')}
+        <label>Retry base delay (ms)</label>${retryInput('baseDelayMs')}
+        <label>Quota units per minute</label>${budgetInput('perMinute')}
+        <label>Quota units per session</label>${budgetInput('perSession')}
+        <label>Host patterns</label>
+        <textarea data-index="${index}" data-field="hostPatterns" spellcheck="false"
+                  placeholder="One match pattern per line, e.g., http://localhost/*">${escapeHtml((environment.hostPatterns || []).join('\n'))}</textarea>
+        ${builtIn ? '' : `
+          <div class="environment-actions">
+            <button class="remove" data-remove="${index}">Remove</button>
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Render every profile and wire its inputs
+   */
+  render() {
+    const list = document.getElementById('environment-list');
+    list.innerHTML = this.environments.map((environment, index) => this.renderEnvironment(environment, index)).join('');
+
+    list.querySelectorAll('[data-field]').forEach(field => {
+      field.addEventListener('input', () => this.updateField(field));
+      field.addEventListener('change', () => this.updateField(field));
+    });
+    list.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.environments.splice(Number(button.dataset.remove), 1);
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Copy an input's value into its profile
+   * @param {HTMLElement} field - Input, select or textarea with data-index and data-field
+   */
+  updateField(field) {
+    const environment = this.environments[Number(field.dataset.index)];
+    if (field.dataset.field.includes('.')) {
+      // Empty retry and quota budget fields fall back to their defaults
+      const [group, setting] = field.dataset.field.split('.');
+      const settings = { ...environment[group] };
+      if (field.value === '') {
+        delete settings[setting];
+      } else {
+        settings[setting] = Number(field.value);
+      }
+      environment[group] = settings;
+    } else if (field.dataset.field === 'timeoutMs') {
+      // Empty falls back to DEFAULT_TIMEOUT_MS
+      if (field.value === '') {
+        delete environment.timeoutMs;
+      } else {
+        environment.timeoutMs = Number(field.value);
+      }
+    } else if (field.dataset.field === 'hostPatterns') {
+      environment.hostPatterns = field.value.split('\n').map(line => line.trim()).filter(line => line);
+    } else {
+      environment[field.dataset.field] = field.value.trim();
+    }
+  }
+
+  /**
+   * Show a status message under the toolbar
+   * @param {string} message - Message text
+   * @param {string} type - 'success' or 'error'
+   */
+  showStatus(message, type) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = type;
+  }
+
+  /**
+   * Validate, request host access and save
+   * permissions.request must run inside the click gesture, so nothing is awaited before it
+   */
+  handleSave() {
+    const errors = this.environments.flatMap(validateEnvironment);
+    const names = this.environments.map(environment => environment.name);
+    names.filter((name, index) => names.indexOf(name) !== index).forEach(name => {
+      errors.push(`${name}: name is used more than once`);
+    });
+    if (errors.length > 0) {
+      this.showStatus(`Not saved:\n${errors.join('\n')}`, 'error');
+      return;
+    }
+
+    const origins = [...new Set(this.environments.flatMap(getRequiredOrigins))];
+    chrome.permissions.request({ origins })
+      .catch(error => {
+        console.error('[Options] Host permission request failed:', error);
+        return false;
+      })
+      .then(async granted => {
+        await saveEnvironments(this.environments);
+        console.log('[Options] Saved environments:', names);
+        this.showStatus(granted
+          ? `Saved ${this.environments.length} environments. Reload open tabs to use them.`
+          : 'Saved, but host access was not granted: the panel will not open on new hosts until you save again and allow access.',
+        granted ? 'success' : 'error');
+      })
+      .catch(error => {
+        this.showStatus(`Save failed: ${error.message}`, 'error');
+      });
+  }
+
+  /**
+   * Load the profiles and set up the toolbar
+   */
+  async init() {
+    this.environments = await loadEnvironments();
+    this.render();
+
+    document.getElementById('add-environment').addEventListener('click', () => {
+      this.environments.push({
+        name: '',
+        label: '',
+        role: 'clone',
+        baseUrl: '',
+        uploadBaseUrl: '',
+        auth: 'session-cookie',
+        hostPatterns: []
+      });
+      this.render();
+    });
+
+    document.getElementById('reset-environments').addEventListener('click', () => {
+      this.environments = DEFAULT_ENVIRONMENTS.map(environment => ({ ...environment, hostPatterns: [...environment.hostPatterns] }));
+      this.render();
+      this.showStatus('Defaults restored. Save to apply.', 'success');
+    });
+
+    document.getElementById('save-environments').addEventListener('click', () => this.handleSave());
+  }
+}
+
+new EnvironmentEditor().init();
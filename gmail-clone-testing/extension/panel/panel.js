@@ -3,15 +3,53 @@
  * Handles panel initialization, endpoint selection, and API execution
  */
 
-import { getApiClient } from './api-client.js';
+import { getApiClient, registerEnvironment, MAX_FETCH_ALL_PAGES, DEFAULT_USER_ID } from './api-client.js';
+import { DEFAULT_ENVIRONMENTS, findEnvironmentForOrigin, loadEnvironments } from './environments.js';
+import { MAX_BATCH_SIZE } from './batch-request.js';
 import { endpoints } from './endpoints.js';
-import { generateParamsForm, setupExampleChipListeners, cacheResponseData } from './ui-components.js';
-import { ComparisonEngine } from './comparison-engine.js';
-import { renderComparisonView } from './diff-renderer.js';
+import {
+  generateParamsForm,
+  setupExampleChipListeners,
+  cacheResponseData,
+  clearResponseCache,
+  getCachedAttachment,
+  getParamKey,
+  stringifyForDisplay,
+  escapeHtml,
+  parseIdList
+} from './ui-components.js';
+import { ComparisonEngine, MAX_LABEL_VERIFY_IDS } from './comparison-engine.js';
+import { isPaletteColor } from './label-colors.js';
+import { parseAddressList } from './mime-headers.js';
+import { COMPOSE_FIELDS } from './mime-composer.js';
+import { getEndpointQuotaCost, quotaTracker } from './quota-tracker.js';
+import { renderFieldPicker, setupFieldPickerListeners, findFieldsOutsideMask } from './field-mask.js';
+import { loadDiscoveryDocument, extendEndpoints } from './discovery-importer.js';
+import {
+  renderComparisonView,
+  renderLabelStateVerification,
+  renderTrashLifecycle,
+  renderBatchComparison
+} from './diff-renderer.js';
+import {
+  renderHistoryRecords,
+  isAttachmentResponse,
+  buildAttachmentPreview,
+  renderAttachmentPreview,
+  renderAttemptHistory,
+  renderAttachmentComparison,
+  renderBatchResults,
+  renderResponseHeaders,
+  renderDecodedMessages,
+  renderDecodedComparison
+} from './response-views.js';
 
 class GmailQAPanelUI {
   constructor() {
     this.siteMode = null;
+    // Environment profile the page matched (e.g., 'clone' or a 'local' build)
+    this.environment = null;
+    this.environments = [];
     this.sessionId = null;
     this.apiClient = null;
     this.currentEndpoint = null;
@@ -20,33 +58,289 @@ class GmailQAPanelUI {
     this.comparisonModeEnabled = false;
     this.realApiClient = null;
     this.cloneApiClient = null;
+    // Mailbox profiles ({ real, clone }) shown in the header
+    this.profiles = { real: null, clone: null };
+    // Session-wide {userId} for every path, editable in the header
+    this.userId = DEFAULT_USER_ID;
+    // Last unmasked response body per endpoint ID, offered in the field mask picker
+    this.lastResponses = {};
+    // Requests queued in the batch builder, sent together as one multipart/mixed batch
+    this.batchQueue = [];
+    // Action a quota budget warning was shown for; running it again goes ahead
+    this.pendingQuotaWarning = null;
+  }
+
+  /**
+   * Register the saved environment profiles as API client targets
+   * Built-in defaults stay registered if storage is unavailable or a profile is broken
+   */
+  async registerEnvironments() {
+    try {
+      const environments = await loadEnvironments();
+      environments.forEach(environment => {
+        try {
+          registerEnvironment(environment);
+        } catch (error) {
+          console.error(`[Panel] Skipping environment ${environment.name}:`, error);
+        }
+      });
+      this.environments = environments;
+    } catch (error) {
+      console.error('[Panel] Failed to load environments, using defaults:', error);
+      this.environments = DEFAULT_ENVIRONMENTS;
+    }
+  }
+
+  /**
+   * Handle INIT from the page embedding the panel
+   * The environment comes from the parent's origin, never from the message: any site can frame
+   * the panel, and only pages matching a saved profile's host patterns may drive it.
+   * @param {string} origin - Origin of the parent page (event.origin)
+   * @param {string | null} sessionId - Session ID for clone mode
+   */
+  async handleInitMessage(origin, sessionId) {
+    await this.registerEnvironments();
+
+    const environment = findEnvironmentForOrigin(origin, this.environments);
+    if (!environment) {
+      console.warn('[Panel] Ignoring INIT from an origin no environment matches:', origin);
+      return;
+    }
+    this.initializePanel(environment.role, sessionId, environment.name);
   }
 
   /**
    * Initialize panel with site information
-   * @param {string} site - 'real' or 'clone'
+   * @param {string} site - Role of the page: 'real' or 'clone'
    * @param {string | null} sessionId - Session ID for clone mode
+   * @param {string} environment - Environment profile name (defaults to the role)
    */
-  initializePanel(site, sessionId) {
+  initializePanel(site, sessionId, environment = site) {
     this.siteMode = site;
+    this.environment = environment;
     this.sessionId = sessionId;
-    this.apiClient = getApiClient(site, sessionId);
+    this.apiClient = getApiClient(environment, sessionId);
 
     // Initialize dual API clients for comparison mode
+    // The clone side is the clone environment this page runs on (e.g., a localhost build)
     try {
       this.realApiClient = getApiClient('real', null);
-      this.cloneApiClient = getApiClient('clone', sessionId || 'placeholder');
+      this.cloneApiClient = getApiClient(site === 'clone' ? environment : 'clone', sessionId || 'placeholder');
       this.comparisonEngine = new ComparisonEngine(this.realApiClient, this.cloneApiClient);
       console.log('[Panel] Comparison engine initialized');
     } catch (error) {
       console.error('[Panel] Failed to initialize comparison engine:', error);
     }
 
-    console.log('[Panel] Initializing with:', { site, sessionId });
+    this.applyUserId();
+
+    // Resumable uploads report chunk progress per side
+    this.apiClient.onUploadProgress = (loaded, total) => this.updateUploadProgress(site, loaded, total);
+    if (this.realApiClient && this.cloneApiClient) {
+      this.realApiClient.onUploadProgress = (loaded, total) => this.updateUploadProgress('real', loaded, total);
+      this.cloneApiClient.onUploadProgress = (loaded, total) => this.updateUploadProgress('clone', loaded, total);
+    }
+
+    // Quota totals update after every charge; the per-minute figure also decays on its own
+    quotaTracker.onChange = () => this.updateQuotaSummary();
+    setInterval(() => this.updateQuotaSummary(), 10000);
+    this.updateQuotaSummary();
+
+    console.log('[Panel] Initializing with:', { site, environment, sessionId });
 
     this.updateModeIndicator();
     this.updateModeDisplay();
     this.notifyReady();
+
+    // Fetch both mailbox profiles in the background so the header shows which accounts we act on
+    this.loadProfiles();
+  }
+
+  /**
+   * Fetch users.getProfile from Real and Clone and show them in the header
+   */
+  async loadProfiles() {
+    const profileEndpoint = endpoints['get-profile'];
+    const summary = document.getElementById('profile-summary');
+    if (summary) {
+      summary.innerHTML = '<span class="profile-loading">Loading mailbox profiles...</span>';
+    }
+
+    const fetchProfile = async (client) => {
+      if (!client) {
+        return { error: 'Client not initialized' };
+      }
+      const result = await client.execute({ path: profileEndpoint.path, method: profileEndpoint.method });
+      if (result.error) {
+        return { error: result.error };
+      }
+      if (result.status < 200 || result.status >= 300) {
+        return { error: `HTTP ${result.status}` };
+      }
+      return result.body;
+    };
+
+    const [real, clone] = await Promise.all([
+      fetchProfile(this.realApiClient),
+      fetchProfile(this.cloneApiClient)
+    ]);
+
+    this.profiles = { real, clone };
+    console.log('[Panel] Mailbox profiles loaded:', this.profiles);
+    this.updateProfileSummary();
+  }
+
+  /**
+   * Render mailbox profiles (address, totals, historyId) next to the mode badge
+   * Values come from the servers under test, so they are escaped
+   */
+  updateProfileSummary() {
+    const summary = document.getElementById('profile-summary');
+    if (!summary) return;
+
+    const renderSide = (mode, profile) => {
+      const label = mode === 'real' ? 'Real' : 'Clone';
+      const activeClass = mode === this.siteMode ? 'active' : '';
+
+      if (!profile || profile.error) {
+        return `
+          <div class="profile-row ${mode} ${activeClass}">
+            <span class="profile-side">${label}</span>
+            <span class="profile-error">unavailable${profile ? ` (${escapeHtml(profile.error)})` : ''}</span>
+          </div>
+        `;
+      }
+
+      return `
+        <div class="profile-row ${mode} ${activeClass}" title="historyId ${escapeHtml(profile.historyId)}">
+          <span class="profile-side">${label}</span>
+          <span class="profile-email">${escapeHtml(profile.emailAddress)}</span>
+          <span class="profile-stats">
+            ${escapeHtml(profile.messagesTotal)} msgs · ${escapeHtml(profile.threadsTotal)} threads · history ${escapeHtml(profile.historyId)}
+          </span>
+        </div>
+      `;
+    };
+
+    summary.innerHTML = `
+      ${renderSide('real', this.profiles.real)}
+      ${renderSide('clone', this.profiles.clone)}
+      <button class="profile-refresh" id="profile-refresh" title="Refresh mailbox profiles">↻</button>
+    `;
+
+    document.getElementById('profile-refresh').addEventListener('click', () => this.loadProfiles());
+  }
+
+  /**
+   * Render quota units spent per target (session total and last minute) in the header
+   * Targets already over their budget are highlighted
+   */
+  updateQuotaSummary() {
+    const summary = document.getElementById('quota-summary');
+    if (!summary) return;
+
+    const clients = [this.apiClient, this.realApiClient, this.cloneApiClient].filter(client => client);
+    const names = [...new Set([...clients.map(client => client.name), ...quotaTracker.getTargets()])];
+
+    const targets = names.map(name => {
+      const usage = quotaTracker.getUsage(name);
+      const client = clients.find(candidate => candidate.name === name);
+      const over = client && client.checkQuotaBudget(0).length > 0;
+      return `
+        <span class="quota-target ${over ? 'over' : ''}">
+          ${name} <strong>${usage.session}</strong> · ${usage.lastMinute}/min
+        </span>
+      `;
+    }).join('');
+
+    summary.innerHTML = `
+      <span class="quota-label">Quota</span>
+      ${targets}
+      <button class="quota-reset" id="quota-reset" title="Start a new quota session">↺</button>
+    `;
+
+    document.getElementById('quota-reset').addEventListener('click', () => quotaTracker.reset());
+  }
+
+  /**
+   * Warn before an action that would take a target over its quota budget
+   * The first attempt shows the warning; running the same action again goes ahead
+   * @param {number} units - Units the action costs on each target
+   * @param {Array<GmailApiClient>} clients - Targets the action runs on
+   * @param {string} action - Identifies the action (e.g., the endpoint ID)
+   * @returns {boolean} True if the action may run
+   */
+  checkQuotaBudget(units, clients, action) {
+    const warnings = clients.flatMap(client => client.checkQuotaBudget(units));
+    if (warnings.length === 0 || this.pendingQuotaWarning === action) {
+      this.pendingQuotaWarning = null;
+      return true;
+    }
+
+    console.warn('[Panel] Quota budget warning:', warnings);
+    this.pendingQuotaWarning = action;
+    this.displayError(`${warnings.join('\n')}\n\nRun it again to go ahead anyway.`, '⚠️ Over Quota Budget');
+    return false;
+  }
+
+  /**
+   * Add every method from the local discovery document to the endpoint catalog
+   * panel/gmail-discovery.json is not committed (see SETUP in discovery-importer.js); without it the hand-written catalog is used as-is
+   */
+  async loadDiscoveryCatalog() {
+    const doc = await loadDiscoveryDocument();
+    if (!doc) {
+      return;
+    }
+
+    const { added } = extendEndpoints(endpoints, doc);
+    console.log(`[Panel] Discovery catalog loaded: ${Object.keys(endpoints).length} endpoints (${added.length} generated)`);
+
+    // Refresh the dropdown unless the user is already working on an endpoint
+    if (!this.currentEndpoint) {
+      this.filterEndpoints(document.getElementById('resource-filter').value);
+    }
+  }
+
+  /**
+   * Push the session userId to every API client
+   */
+  applyUserId() {
+    [this.apiClient, this.realApiClient, this.cloneApiClient].forEach(client => {
+      if (client) {
+        client.userId = this.userId;
+      }
+    });
+  }
+
+  /**
+   * Setup the userId editor in the header
+   * Changing mailbox clears cached IDs (they belong to the old mailbox) and reloads the profiles
+   */
+  setupUserIdEditor() {
+    const input = document.getElementById('user-id-input');
+    if (!input) {
+      console.warn('[Panel] userId input not found');
+      return;
+    }
+
+    input.addEventListener('change', () => {
+      // Only whitespace is trimmed so invalid userIds can still be tested
+      this.userId = input.value.trim() || DEFAULT_USER_ID;
+      input.value = this.userId;
+      console.log('[Panel] userId:', this.userId);
+
+      this.applyUserId();
+      clearResponseCache();
+      if (this.currentEndpoint) {
+        this.generateAndDisplayParamsForm();
+      }
+      if (this.realApiClient && this.cloneApiClient) {
+        this.loadProfiles();
+      }
+    });
+
+    console.log('[Panel] userId editor setup complete');
   }
 
   /**
@@ -132,6 +426,7 @@ class GmailQAPanelUI {
       methodSpan.className = `endpoint-method ${endpoint.method.toLowerCase()}`;
       nameSpan.textContent = endpoint.name;
       pathSpan.textContent = endpoint.path;
+      document.getElementById('endpoint-quota').textContent = `${getEndpointQuotaCost(endpoint)} units`;
       bar.style.display = 'flex';
     } else {
       bar.style.display = 'none';
@@ -152,6 +447,7 @@ class GmailQAPanelUI {
           <strong>${endpoint.name}</strong>
         </div>
         <div class="docs-description">${endpoint.docs}</div>
+        ${endpoint.imported ? `<div class="param-help">📄 Generated from the discovery document (${endpoint.discoveryId})</div>` : ''}
     `;
 
     if (endpoint.paramsConfig && endpoint.paramsConfig.length > 0) {
@@ -192,6 +488,38 @@ class GmailQAPanelUI {
 
     // Setup event listeners for auto-list hints
     this.setupAutoListHints(section);
+
+    // Offer keys from the last response for building a fields= mask
+    this.renderFieldMaskPicker();
+  }
+
+  /**
+   * Fill the field mask picker from the last response of the current endpoint
+   */
+  renderFieldMaskPicker() {
+    const picker = document.getElementById('field-mask-picker-fields');
+    const lastResponse = this.currentEndpoint && this.lastResponses[this.currentEndpoint.id];
+    if (!picker || !lastResponse) {
+      return;
+    }
+
+    picker.innerHTML = renderFieldPicker(lastResponse, 'fields');
+    setupFieldPickerListeners(picker);
+  }
+
+  /**
+   * Remember a successful response for the field mask picker
+   * Masked responses are skipped so the picker keeps offering every key
+   * @param {*} body - Response body
+   * @param {Object} params - Collected form params of the request
+   */
+  rememberResponse(body, params) {
+    if (!body || typeof body !== 'object' || params.fields) {
+      return;
+    }
+
+    this.lastResponses[this.currentEndpoint.id] = body;
+    this.renderFieldMaskPicker();
   }
 
   /**
@@ -200,6 +528,18 @@ class GmailQAPanelUI {
   showExecuteButton() {
     const btn = document.getElementById('execute-btn');
     btn.style.display = 'block';
+
+    // List endpoints can follow nextPageToken through every page
+    const pagination = document.getElementById('pagination-options');
+    pagination.style.display = this.currentEndpoint.listKey ? 'block' : 'none';
+    document.getElementById('fetch-all-pages').checked = false;
+    document.getElementById('fetch-all-cap').textContent = `(up to ${MAX_FETCH_ALL_PAGES} pages)`;
+
+    // Trash/untrash endpoints also offer the guided lifecycle run
+    const lifecycleBtn = document.getElementById('lifecycle-btn');
+    lifecycleBtn.style.display = this.currentEndpoint.lifecycle ? 'block' : 'none';
+
+    document.getElementById('batch-add-btn').style.display = 'block';
   }
 
   /**
@@ -245,9 +585,10 @@ class GmailQAPanelUI {
         // Save current endpoint
         const originalEndpoint = this.currentEndpoint;
 
-        // Find the corresponding list endpoint (format: list-{resource})
+        // Find the corresponding list endpoint (format: list-{resource}, else any list endpoint of the resource)
         const listEndpointId = `list-${resourceType}`;
-        const listEndpoint = endpoints[listEndpointId];
+        const listEndpoint = endpoints[listEndpointId] ||
+          Object.values(endpoints).find(e => e.resource === resourceType && e.id.startsWith('list-'));
 
         if (!listEndpoint) {
           console.error(`[Panel] List endpoint not found: ${listEndpointId}`);
@@ -266,12 +607,10 @@ class GmailQAPanelUI {
           responseSection.style.display = 'block';
 
           // Execute the List API call
-          const result = await this.apiClient.executeRequest(
-            listEndpoint.path,
-            listEndpoint.method,
-            {},
-            null
-          );
+          const result = await this.apiClient.execute({
+            path: listEndpoint.path,
+            method: listEndpoint.method
+          });
 
           if (result.error) {
             console.error(`[Panel] Auto-list error:`, result.error);
@@ -314,6 +653,279 @@ class GmailQAPanelUI {
     console.log('[Panel] Execute button setup complete');
   }
 
+  /**
+   * Setup cancel button handler
+   */
+  setupCancelButton() {
+    const btn = document.getElementById('cancel-btn');
+    btn.addEventListener('click', () => {
+      this.cancelRequests();
+    });
+    console.log('[Panel] Cancel button setup complete');
+  }
+
+  /**
+   * Abort in-flight requests on every API client (single and both comparison sides)
+   */
+  cancelRequests() {
+    const clients = new Set([this.apiClient, this.realApiClient, this.cloneApiClient].filter(client => client));
+    const count = [...clients].reduce((total, client) => total + client.cancel(), 0);
+    console.log('[Panel] Cancelled', count, 'in-flight request(s)');
+  }
+
+  /**
+   * Run a request with the Cancel button shown and the execute button disabled
+   * @param {Function} task - Async function making the request
+   * @returns {Promise<void>}
+   */
+  async runCancellable(task) {
+    const executeBtn = document.getElementById('execute-btn');
+    const cancelBtn = document.getElementById('cancel-btn');
+    executeBtn.disabled = true;
+    cancelBtn.style.display = 'block';
+
+    try {
+      await task();
+    } finally {
+      executeBtn.disabled = false;
+      cancelBtn.style.display = 'none';
+    }
+  }
+
+  /**
+   * Setup trash lifecycle button handler
+   */
+  setupLifecycleButton() {
+    const btn = document.getElementById('lifecycle-btn');
+    btn.addEventListener('click', () => {
+      this.runCancellable(() => this.runTrashLifecycle());
+    });
+    console.log('[Panel] Lifecycle button setup complete');
+  }
+
+  /**
+   * Setup batch builder handlers (add, remove, run, clear)
+   */
+  setupBatchBuilder() {
+    document.getElementById('batch-add-btn').addEventListener('click', () => {
+      this.addToBatch();
+    });
+
+    const section = document.getElementById('batch-section');
+    section.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.batchRemove !== undefined) {
+        this.batchQueue.splice(Number(button.dataset.batchRemove), 1);
+        this.renderBatchQueue();
+      } else if (button.id === 'batch-run-btn') {
+        this.runCancellable(() => this.runBatch());
+      } else if (button.id === 'batch-clear-btn') {
+        this.batchQueue = [];
+        this.renderBatchQueue();
+      }
+    });
+    console.log('[Panel] Batch builder setup complete');
+  }
+
+  /**
+   * Queue the current endpoint and form values as a batch sub-request
+   */
+  addToBatch() {
+    if (!this.currentEndpoint) {
+      console.error('[Panel] No endpoint selected');
+      return;
+    }
+    if (this.batchQueue.length >= MAX_BATCH_SIZE) {
+      this.displayError(`A batch holds at most ${MAX_BATCH_SIZE} requests`);
+      return;
+    }
+
+    const params = this.collectFormParams();
+    const validation = this.validateParams(params);
+    if (!validation.isValid) {
+      this.displayError(this.formatValidationError(validation));
+      return;
+    }
+    if (params.uploadType) {
+      this.displayError('Media uploads cannot be batched; clear uploadType to send the metadata-only request');
+      return;
+    }
+
+    const { pathParams, queryParams, bodyParams } = this.splitParams(params);
+    const method = this.currentEndpoint.method;
+    const fullParams = { ...pathParams, ...queryParams };
+
+    this.batchQueue.push({
+      label: this.currentEndpoint.name,
+      resource: this.currentEndpoint.resource,
+      path: this.currentEndpoint.path,
+      method,
+      params: fullParams,
+      body: (method === 'POST' || method === 'PATCH' || method === 'PUT') ? bodyParams : null,
+      quotaCost: getEndpointQuotaCost(this.currentEndpoint),
+      // Path and query as sent inside the batch (e.g., /gmail/v1/users/me/labels/Label_1)
+      display: this.apiClient.buildUrl(this.currentEndpoint.path, fullParams).replace(/^https?:\/\/[^/]+/, '')
+    });
+    console.log('[Panel] Added to batch:', this.currentEndpoint.name, `(${this.batchQueue.length} queued)`);
+    this.renderBatchQueue();
+  }
+
+  /**
+   * Render the queued batch requests with run and clear buttons
+   */
+  renderBatchQueue() {
+    const section = document.getElementById('batch-section');
+    if (this.batchQueue.length === 0) {
+      section.style.display = 'none';
+      section.innerHTML = '';
+      return;
+    }
+
+    const items = this.batchQueue.map((request, index) => `
+      <li>
+        <span class="method-badge ${request.method.toLowerCase()}">${request.method}</span>
+        <span class="batch-queue-label">${request.label}</span>
+        <code>${request.display}</code>
+        <button class="batch-remove-btn" data-batch-remove="${index}" title="Remove from batch">×</button>
+      </li>
+    `).join('');
+
+    section.innerHTML = `
+      <div class="batch-header">
+        <strong>📦 Batch (${this.batchQueue.length}/${MAX_BATCH_SIZE})</strong>
+        <span class="toggle-hint">
+          Sent as one multipart/mixed POST to the batch endpoint ·
+          ${this.batchQueue.reduce((sum, request) => sum + request.quotaCost, 0)} units
+        </span>
+      </div>
+      <ol class="batch-queue">${items}</ol>
+      <div class="batch-actions">
+        <button class="execute-btn" id="batch-run-btn">Run Batch (${this.batchQueue.length})</button>
+        <button class="lifecycle-btn" id="batch-clear-btn">Clear</button>
+      </div>
+    `;
+    section.style.display = 'block';
+  }
+
+  /**
+   * Send the queued requests as one batch (on both sides in comparison mode)
+   */
+  async runBatch() {
+    if (this.batchQueue.length === 0) {
+      return;
+    }
+
+    const requests = [...this.batchQueue];
+    const clients = this.comparisonModeEnabled ? [this.realApiClient, this.cloneApiClient] : [this.apiClient];
+    const units = requests.reduce((sum, request) => sum + request.quotaCost, 0);
+    if (!this.checkQuotaBudget(units, clients, `batch:${requests.map(request => request.display).join(',')}`)) {
+      return;
+    }
+    console.log('[Panel] Running batch:', requests.length, 'requests');
+
+    const responseSection = document.getElementById('response-section');
+    responseSection.innerHTML = `<div style="padding: 20px; text-align: center;">🔄 Sending batch of ${requests.length} requests...</div>`;
+    responseSection.style.display = 'block';
+    document.getElementById('request-section').style.display = 'none';
+
+    try {
+      if (this.comparisonModeEnabled) {
+        const dualResult = await this.comparisonEngine.executeDualBatch(requests);
+        const comparisons = this.comparisonEngine.compareBatchItems(requests, dualResult.real, dualResult.clone);
+        responseSection.innerHTML = renderBatchComparison(dualResult, comparisons);
+
+        // Cache successful sub-responses from both APIs (separately)
+        comparisons.forEach(({ real, clone }) => {
+          if (real && real.status >= 200 && real.status < 300) cacheResponseData(real.body, 'real');
+          if (clone && clone.status >= 200 && clone.status < 300) cacheResponseData(clone.body, 'clone');
+        });
+      } else {
+        const result = await this.apiClient.executeBatch(requests);
+        responseSection.innerHTML = renderBatchResults(result, requests);
+
+        result.items.forEach(item => {
+          if (item && item.status >= 200 && item.status < 300) cacheResponseData(item.body, this.siteMode);
+        });
+      }
+    } catch (error) {
+      console.error('[Panel] Batch execution error:', error);
+      this.displayError(error.message);
+    }
+  }
+
+  /**
+   * Run trash → get → untrash → get on Real and Clone for the chosen ID
+   */
+  async runTrashLifecycle() {
+    const lifecycle = this.currentEndpoint && this.currentEndpoint.lifecycle;
+    if (!lifecycle) {
+      console.error('[Panel] Current endpoint has no trash lifecycle');
+      return;
+    }
+
+    const params = this.collectFormParams();
+    if (!params.id) {
+      this.displayError('Missing required parameters: ID');
+      return;
+    }
+    if (!this.comparisonEngine) {
+      this.displayError('Comparison engine not initialized');
+      return;
+    }
+
+    // trash → get → untrash → get on each side
+    const units = getEndpointQuotaCost(endpoints[lifecycle.trash]) + getEndpointQuotaCost(endpoints[lifecycle.untrash]) +
+      2 * getEndpointQuotaCost(endpoints[lifecycle.get]);
+    if (!this.checkQuotaBudget(units, [this.realApiClient, this.cloneApiClient], `lifecycle:${params.id}`)) {
+      return;
+    }
+
+    console.log('[Panel] Running trash lifecycle:', params.id);
+
+    const responseSection = document.getElementById('response-section');
+    responseSection.innerHTML = '<div style="padding: 20px; text-align: center;">🔄 Running trash lifecycle on Real and Clone...</div>';
+    responseSection.style.display = 'block';
+    document.getElementById('request-section').style.display = 'none';
+
+    try {
+      const steps = await this.comparisonEngine.runTrashLifecycle({
+        trash: endpoints[lifecycle.trash].path,
+        get: endpoints[lifecycle.get].path,
+        untrash: endpoints[lifecycle.untrash].path
+      }, params.id);
+
+      responseSection.innerHTML = renderTrashLifecycle(steps);
+    } catch (error) {
+      console.error('[Panel] Trash lifecycle error:', error);
+      this.displayError(error.message);
+    }
+  }
+
+  /**
+   * Check whether the current request should follow every page
+   * @returns {boolean} True for list endpoints with "fetch all pages" checked
+   */
+  isFetchAllPages() {
+    return !!this.currentEndpoint.listKey && document.getElementById('fetch-all-pages').checked;
+  }
+
+  /**
+   * Load the next page: copy nextPageToken into the form and run the request again
+   * @param {string} pageToken - nextPageToken from the last response
+   */
+  loadNextPage(pageToken) {
+    const input = document.getElementById('param-pageToken');
+    if (!input) {
+      console.error('[Panel] Current endpoint has no pageToken parameter');
+      return;
+    }
+
+    input.value = pageToken;
+    this.executeApiCall();
+  }
+
   /**
    * Execute API call (routes to single or comparison mode)
    */
@@ -323,11 +935,23 @@ class GmailQAPanelUI {
       return;
     }
 
-    if (this.comparisonModeEnabled) {
-      await this.executeComparisonMode();
-    } else {
-      await this.executeSingleMode();
+    this.resetUploadProgress();
+
+    // Fetching all pages may cost up to one call per page
+    let units = getEndpointQuotaCost(this.currentEndpoint) * (this.isFetchAllPages() ? MAX_FETCH_ALL_PAGES : 1);
+    // Comparison mode re-reads the messages of a batch label change afterwards (see verifyLabelState)
+    const ids = this.collectFormParams().ids;
+    if (this.comparisonModeEnabled && this.currentEndpoint.verifyLabelState && Array.isArray(ids)) {
+      units += Math.min(ids.length, MAX_LABEL_VERIFY_IDS) * getEndpointQuotaCost(endpoints['get-message']);
+    }
+    const clients = this.comparisonModeEnabled ? [this.realApiClient, this.cloneApiClient] : [this.apiClient];
+    if (!this.checkQuotaBudget(units, clients, `endpoint:${this.currentEndpoint.id}`)) {
+      return;
     }
+
+    await this.runCancellable(() => this.comparisonModeEnabled
+      ? this.executeComparisonMode()
+      : this.executeSingleMode());
   }
 
   /**
@@ -343,36 +967,18 @@ class GmailQAPanelUI {
       // Validate required parameters
       const validation = this.validateParams(params);
       if (!validation.isValid) {
-        this.displayError(`Missing required parameters: ${validation.missing.join(', ')}`);
+        this.displayError(this.formatValidationError(validation));
         return;
       }
 
-      // Separate path params from body params
-      const pathParams = {};
-      const bodyParams = {};
-
-      if (this.currentEndpoint.paramsConfig) {
-        this.currentEndpoint.paramsConfig.forEach(paramConfig => {
-          const value = params[paramConfig.name];
-          if (value !== undefined && value !== null && value !== '') {
-            // Check if this param is in the path
-            if (this.currentEndpoint.path.includes(`{${paramConfig.name}}`)) {
-              pathParams[paramConfig.name] = value;
-            } else {
-              bodyParams[paramConfig.name] = value;
-            }
-          }
-        });
-      }
+      // Separate path, query and body params
+      const { pathParams, queryParams, bodyParams } = this.splitParams(params);
 
-      // For POST/PATCH/PUT, move all non-path params to body
+      // For POST/PATCH/PUT, non-path params go in the body
       const body = (this.currentEndpoint.method === 'POST' ||
                     this.currentEndpoint.method === 'PATCH' ||
                     this.currentEndpoint.method === 'PUT') ? bodyParams : null;
 
-      // For GET, all non-path params go in query string
-      const queryParams = this.currentEndpoint.method === 'GET' ? bodyParams : {};
-
       // Build full URL for display
       const fullParams = { ...pathParams, ...queryParams };
       const displayUrl = this.apiClient.buildUrl(this.currentEndpoint.path, fullParams);
@@ -380,25 +986,50 @@ class GmailQAPanelUI {
       // Display request
       this.displayRequest(this.currentEndpoint, displayUrl, body);
 
-      // Execute request
+      // Execute request (following every page if requested)
       const startTime = Date.now();
-      const result = await this.apiClient.executeRequest(
-        this.currentEndpoint.path,
-        this.currentEndpoint.method,
-        fullParams,
+      const request = {
+        path: this.currentEndpoint.path,
+        method: this.currentEndpoint.method,
+        params: fullParams,
         body
-      );
+      };
+      const result = this.isFetchAllPages()
+        ? await this.apiClient.executePaged(request, this.currentEndpoint.listKey)
+        : await this.apiClient.execute(request);
       const responseTime = Date.now() - startTime;
 
       // Display response
-      if (result.error) {
+      if (result.state === 'timeout' || result.state === 'cancelled') {
+        this.displayError(result.error, result.state === 'timeout' ? '⏱️ Timed Out' : '⛔ Cancelled');
+        this.showAttemptHistory(result.attempts);
+      } else if (result.error) {
         this.displayError(result.error);
+        this.showAttemptHistory(result.attempts);
       } else {
-        this.displayResponse(result.status, responseTime, result.body);
+        this.displayResponse(result.status, responseTime, result.body, result.pagesFetched, result.headers);
+        this.showAttemptHistory(result.attempts);
+
+        // Offer the next page when the list has more results
+        if (this.currentEndpoint.listKey && result.body && result.body.nextPageToken) {
+          this.showNextPageButton(result.body.nextPageToken);
+        }
+
+        // Partial response: flag anything returned outside the requested mask
+        if (params.fields && result.status >= 200 && result.status < 300) {
+          this.showFieldMaskCheck(result.body, params.fields);
+        }
+
+        // Decode attachment bodies so they can be inspected and hashed
+        if (isAttachmentResponse(result.body)) {
+          const preview = await buildAttachmentPreview(result.body, getCachedAttachment(params.id, this.siteMode));
+          document.getElementById('response-section').insertAdjacentHTML('beforeend', renderAttachmentPreview(preview));
+        }
 
         // Cache successful List responses
         if (result.status >= 200 && result.status < 300 && result.body) {
           cacheResponseData(result.body, this.siteMode);
+          this.rememberResponse(result.body, params);
         }
       }
 
@@ -421,45 +1052,58 @@ class GmailQAPanelUI {
       // Validate required parameters
       const validation = this.validateParams(params);
       if (!validation.isValid) {
-        this.displayError(`Missing required parameters: ${validation.missing.join(', ')}`);
+        this.displayError(this.formatValidationError(validation));
         return;
       }
 
       // Separate parameters
-      const pathParams = {};
-      const queryParams = {};
-      const bodyParams = {};
-
-      if (this.currentEndpoint.paramsConfig) {
-        this.currentEndpoint.paramsConfig.forEach(paramConfig => {
-          const value = params[paramConfig.name];
-          if (value !== undefined && value !== null && value !== '') {
-            // Check if this param is in the path
-            if (this.currentEndpoint.path.includes(`{${paramConfig.name}}`)) {
-              pathParams[paramConfig.name] = value;
-            } else if (this.currentEndpoint.method === 'GET') {
-              queryParams[paramConfig.name] = value;
-            } else {
-              bodyParams[paramConfig.name] = value;
-            }
-          }
-        });
+      const { pathParams, queryParams, bodyParams } = this.splitParams(params);
+
+      // Execute dual API call (page tokens differ per side, so paging only runs as "fetch all")
+      const dualResult = this.isFetchAllPages()
+        ? await this.comparisonEngine.executeDualPaged(
+          this.currentEndpoint.path,
+          this.currentEndpoint.method,
+          pathParams,
+          queryParams,
+          this.currentEndpoint.listKey
+        )
+        : await this.comparisonEngine.executeDual(
+          this.currentEndpoint.path,
+          this.currentEndpoint.method,
+          pathParams,
+          queryParams,
+          bodyParams
+        );
+
+      // Normalize bodies (e.g., sort send-as lists) so they line up for diff and display
+      const resource = this.currentEndpoint.resource;
+      dualResult.real.body = this.comparisonEngine.normalizeResponse(dualResult.real.body, resource);
+      dualResult.clone.body = this.comparisonEngine.normalizeResponse(dualResult.clone.body, resource);
+
+      // Generate diff with the resource's ignore list and options (plus the fields= mask, if sent)
+      const profile = this.comparisonEngine.getDiffProfile(resource);
+      const diffOptions = {
+        ...profile.options,
+        resultStates: { real: dualResult.real.state, clone: dualResult.clone.state }
+      };
+      if (queryParams.fields) {
+        diffOptions.fieldMask = queryParams.fields;
+        diffOptions.resultStatuses = { real: dualResult.real.status, clone: dualResult.clone.status };
       }
-
-      // Execute dual API call
-      const dualResult = await this.comparisonEngine.executeDual(
-        this.currentEndpoint.path,
-        this.currentEndpoint.method,
-        pathParams,
-        queryParams,
-        bodyParams
+      const diff = this.comparisonEngine.classifyTransientFailure(
+        this.comparisonEngine.generateDiff(
+          dualResult.real.body,
+          dualResult.clone.body,
+          profile.ignoreFields,
+          diffOptions
+        ),
+        dualResult.real,
+        dualResult.clone
       );
 
-      // Generate diff
-      const diff = this.comparisonEngine.generateDiff(
-        dualResult.real.body,
-        dualResult.clone.body
-      );
+      // Content type, caching and CORS headers are compared apart from the body
+      const headerDiff = this.comparisonEngine.compareHeaders(dualResult.real.headers, dualResult.clone.headers);
 
       // Build URLs for display
       const realUrl = this.realApiClient.buildUrl(this.currentEndpoint.path, { ...pathParams, ...queryParams });
@@ -481,13 +1125,42 @@ class GmailQAPanelUI {
       };
 
       // Render comparison view
-      const comparisonHtml = renderComparisonView(realResultEnhanced, cloneResultEnhanced, diff);
+      const comparisonHtml = renderComparisonView(realResultEnhanced, cloneResultEnhanced, diff, headerDiff);
 
       // Display in response section
       const responseSection = document.getElementById('response-section');
       responseSection.innerHTML = comparisonHtml;
       responseSection.style.display = 'block';
 
+      // Batch label changes: re-read every message on both sides and compare labels
+      if (this.currentEndpoint.verifyLabelState && bodyParams.ids) {
+        responseSection.insertAdjacentHTML('beforeend',
+          '<div class="comparison-container" id="label-verification">🔄 Verifying label state on both sides...</div>');
+        const verification = await this.comparisonEngine.verifyLabelState(endpoints['get-message'].path, bodyParams.ids);
+        document.getElementById('label-verification').innerHTML = renderLabelStateVerification(verification);
+      }
+
+      // Compare decoded attachment bytes (base64url text may differ while content matches)
+      if (isAttachmentResponse(dualResult.real.body) || isAttachmentResponse(dualResult.clone.body)) {
+        const missing = { error: 'No attachment data returned' };
+        const [realPreview, clonePreview] = await Promise.all([
+          isAttachmentResponse(dualResult.real.body)
+            ? buildAttachmentPreview(dualResult.real.body, getCachedAttachment(pathParams.id, 'real'))
+            : missing,
+          isAttachmentResponse(dualResult.clone.body)
+            ? buildAttachmentPreview(dualResult.clone.body, getCachedAttachment(pathParams.id, 'clone'))
+            : missing
+        ]);
+        responseSection.insertAdjacentHTML('beforeend',
+          `<div class="comparison-container">${renderAttachmentComparison(realPreview, clonePreview)}</div>`);
+      }
+
+      // Decoded MIME trees of both sides (message, thread and draft bodies)
+      const decodedHtml = renderDecodedComparison(dualResult.real.body, dualResult.clone.body, diff);
+      if (decodedHtml) {
+        responseSection.insertAdjacentHTML('beforeend', `<div class="comparison-container">${decodedHtml}</div>`);
+      }
+
       // Hide request section (comparison view includes requests)
       const requestSection = document.getElementById('request-section');
       requestSection.style.display = 'none';
@@ -495,6 +1168,7 @@ class GmailQAPanelUI {
       // Cache successful List responses from both APIs (separately)
       if (dualResult.real.status >= 200 && dualResult.real.status < 300 && dualResult.real.body) {
         cacheResponseData(dualResult.real.body, 'real');
+        this.rememberResponse(dualResult.real.body, params);
       }
       if (dualResult.clone.status >= 200 && dualResult.clone.status < 300 && dualResult.clone.body) {
         cacheResponseData(dualResult.clone.body, 'clone');
@@ -506,9 +1180,41 @@ class GmailQAPanelUI {
     }
   }
 
+  /**
+   * Split collected params into path, query and body params for the current endpoint
+   * Grouped params are nested into their body object (e.g., criteria.from)
+   * @param {Object} params - Parameters keyed by getParamKey
+   * @returns {Object} {pathParams, queryParams, bodyParams}
+   */
+  splitParams(params) {
+    const pathParams = {};
+    const queryParams = {};
+    const bodyParams = {};
+
+    (this.currentEndpoint.paramsConfig || []).forEach(paramConfig => {
+      const value = params[getParamKey(paramConfig)];
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      if (this.currentEndpoint.path.includes(`{${paramConfig.name}}`)) {
+        pathParams[paramConfig.name] = value;
+      } else if (this.currentEndpoint.method === 'GET' || paramConfig.location === 'query') {
+        queryParams[paramConfig.name] = value;
+      } else if (paramConfig.group) {
+        bodyParams[paramConfig.group] = bodyParams[paramConfig.group] || {};
+        bodyParams[paramConfig.group][paramConfig.name] = value;
+      } else {
+        bodyParams[paramConfig.name] = value;
+      }
+    });
+
+    return { pathParams, queryParams, bodyParams };
+  }
+
   /**
    * Collect form parameters
-   * @returns {Object} Parameters object
+   * @returns {Object} Parameters object keyed by getParamKey
    */
   collectFormParams() {
     const params = {};
@@ -518,9 +1224,45 @@ class GmailQAPanelUI {
     }
 
     this.currentEndpoint.paramsConfig.forEach(paramConfig => {
-      const input = document.getElementById(`param-${paramConfig.name}`);
-      if (input && input.value) {
-        params[paramConfig.name] = input.value;
+      const key = getParamKey(paramConfig);
+      const input = document.getElementById(`param-${key}`);
+      if (input && input.type === 'checkbox') {
+        // Unchecked boxes are omitted so the API default applies
+        if (input.checked) {
+          params[key] = true;
+        }
+      } else if (input && input.type === 'file') {
+        // File objects are read and encoded by the API client
+        if (input.files.length > 0) {
+          params[key] = paramConfig.multiple ? Array.from(input.files) : input.files[0];
+        }
+      } else if (input && input.value) {
+        if (paramConfig.type === 'multi-id') {
+          const ids = parseIdList(input.value);
+          if (ids.length > 0) {
+            params[key] = ids;
+          }
+        } else if (paramConfig.type === 'array') {
+          // Gmail expects real arrays (repeated query keys / JSON arrays), not comma strings
+          const values = input.value.split(',').map(v => v.trim()).filter(v => v);
+          if (values.length > 0) {
+            params[key] = values;
+          }
+        } else if (paramConfig.type === 'number') {
+          params[key] = Number(input.value);
+        } else if (paramConfig.type === 'json') {
+          // Invalid JSON is kept as text so validateParams can report it
+          try {
+            params[key] = JSON.parse(input.value);
+          } catch (error) {
+            params[key] = input.value;
+          }
+        } else if (paramConfig.type === 'datetime') {
+          // Gmail settings take timestamps as epoch milliseconds (int64 string)
+          params[key] = String(new Date(input.value).getTime());
+        } else {
+          params[key] = input.value;
+        }
       }
     });
 
@@ -530,25 +1272,103 @@ class GmailQAPanelUI {
   /**
    * Validate required parameters
    * @param {Object} params - Parameters object
-   * @returns {Object} Validation result {isValid, missing}
+   * @returns {Object} Validation result {isValid, missing, invalid, canOverride (an off-palette color can be sent anyway)}
    */
   validateParams(params) {
     const missing = [];
+    const invalid = [];
 
     if (this.currentEndpoint.paramsConfig) {
       this.currentEndpoint.paramsConfig.forEach(paramConfig => {
-        if (paramConfig.required && !params[paramConfig.name]) {
+        if (paramConfig.required && !params[getParamKey(paramConfig)]) {
           missing.push(paramConfig.label);
         }
       });
     }
 
+    // Endpoints that accept one of several inputs (e.g., pasted raw message or .eml file)
+    const oneOf = this.currentEndpoint.requireOneOf;
+    if (oneOf && !oneOf.some(name => params[name])) {
+      const labels = this.currentEndpoint.paramsConfig
+        .filter(p => oneOf.includes(p.name))
+        .map(p => p.label);
+      missing.push(`one of ${labels.join(' / ')}`);
+    }
+
+    // JSON fields (nested objects from the discovery document) must parse
+    (this.currentEndpoint.paramsConfig || [])
+      .filter(paramConfig => paramConfig.type === 'json')
+      .forEach(paramConfig => {
+        const input = document.getElementById(`param-${getParamKey(paramConfig)}`);
+        if (input && input.value) {
+          try {
+            JSON.parse(input.value);
+          } catch (error) {
+            invalid.push(`${paramConfig.label} is not valid JSON`);
+          }
+        }
+      });
+
+    // Compose address headers: malformed addresses would otherwise fail while composing the message
+    // Address fields sent as JSON (e.g., sendAsEmail, forward) go to the API as typed, so its validation can be tested
+    // Single-label domains (e.g., dev@localhost) are fine for clone builds but not for real Gmail
+    const addressOptions = { requireDottedDomain: this.comparisonModeEnabled || this.siteMode === 'real' };
+    (this.currentEndpoint.paramsConfig || [])
+      .filter(paramConfig => paramConfig.type === 'email' && !paramConfig.group && COMPOSE_FIELDS.includes(paramConfig.name))
+      .forEach(paramConfig => {
+        const value = params[getParamKey(paramConfig)];
+        if (value) {
+          parseAddressList(value, addressOptions).errors.forEach(error => invalid.push(`${paramConfig.label}: ${error}`));
+        }
+      });
+
+    // Label colors: Gmail only accepts palette colors, set as a background/text pair
+    // These can be sent anyway with the "Send anyway" checkbox next to each color
+    let canOverride = false;
+    (this.currentEndpoint.paramsConfig || [])
+      .filter(paramConfig => paramConfig.type === 'color')
+      .forEach(paramConfig => {
+        const key = getParamKey(paramConfig);
+        const override = document.getElementById(`param-${key}-allowOffPalette`);
+        if (override && override.checked) {
+          return;
+        }
+
+        const value = params[key];
+        const pairedKey = getParamKey({ ...paramConfig, name: paramConfig.pairedWith });
+        if (value && !isPaletteColor(value)) {
+          invalid.push(`${paramConfig.label} "${value}" is not in Gmail's label color palette`);
+          canOverride = true;
+        } else if (!value && paramConfig.pairedWith && params[pairedKey]) {
+          invalid.push(`${paramConfig.label} is required when setting a label color`);
+        }
+      });
+
     return {
-      isValid: missing.length === 0,
-      missing: missing
+      isValid: missing.length === 0 && invalid.length === 0,
+      missing: missing,
+      invalid: invalid,
+      canOverride
     };
   }
 
+  /**
+   * Build the error message for a failed validation
+   * @param {Object} validation - Result of validateParams
+   * @returns {string} Error message
+   */
+  formatValidationError(validation) {
+    const messages = [];
+    if (validation.missing.length > 0) {
+      messages.push(`Missing required parameters: ${validation.missing.join(', ')}`);
+    }
+    if (validation.invalid.length > 0) {
+      const hint = validation.canOverride ? ' (tick "Send anyway" to test how the API rejects it)' : '';
+      messages.push(`Invalid parameters: ${validation.invalid.join('; ')}${hint}`);
+    }
+    return messages.join('\n');
+  }
+
   /**
    * Display request details
    * @param {Object} endpoint - Endpoint configuration
@@ -577,7 +1397,7 @@ class GmailQAPanelUI {
         <div class="detail-row" style="margin-top: 10px;">
           <span class="label">Body:</span>
         </div>
-        <div class="code-block">${JSON.stringify(body, null, 2)}</div>
+        <div class="code-block">${stringifyForDisplay(body)}</div>
       `;
     }
 
@@ -590,8 +1410,10 @@ class GmailQAPanelUI {
    * @param {number} status - HTTP status code
    * @param {number} responseTime - Response time in ms
    * @param {*} data - Response data
+   * @param {number|undefined} pagesFetched - Pages merged by "fetch all pages"
+   * @param {Object|undefined} headers - Response headers (lower-cased names)
    */
-  displayResponse(status, responseTime, data) {
+  displayResponse(status, responseTime, data, pagesFetched, headers) {
     const section = document.getElementById('response-section');
 
     const statusClass = status >= 200 && status < 300 ? 'status-success' :
@@ -609,26 +1431,118 @@ class GmailQAPanelUI {
         <span class="label">Time:</span>
         <span class="value">${responseTime}ms</span>
       </div>
+      ${pagesFetched !== undefined ? `
+        <div class="detail-row">
+          <span class="label">Pages:</span>
+          <span class="value">${pagesFetched}${data && data.nextPageToken ? ` (stopped at the ${MAX_FETCH_ALL_PAGES}-page cap)` : ''}</span>
+        </div>
+      ` : ''}
+      ${renderResponseHeaders(headers)}
       <div class="detail-row">
         <span class="label">Body:</span>
       </div>
       <div class="code-block">${JSON.stringify(data, null, 2)}</div>
+      ${renderHistoryRecords(data)}
+      ${renderDecodedMessages(data)}
     `;
 
     section.innerHTML = html;
     section.style.display = 'block';
   }
 
+  /**
+   * Append the retry attempt history to the response section
+   * @param {Array<Object>} attempts - Result attempts (see GmailApiClient.execute)
+   */
+  showAttemptHistory(attempts) {
+    const html = renderAttemptHistory(attempts);
+    if (html) {
+      document.getElementById('response-section').insertAdjacentHTML('beforeend', html);
+    }
+  }
+
+  /**
+   * Show resumable upload progress for one side
+   * @param {string} side - 'real' or 'clone'
+   * @param {number} loaded - Bytes uploaded so far
+   * @param {number} total - Total bytes
+   */
+  updateUploadProgress(side, loaded, total) {
+    const container = document.getElementById('upload-progress');
+    container.style.display = 'block';
+
+    let row = document.getElementById(`upload-progress-${side}`);
+    if (!row) {
+      container.insertAdjacentHTML('beforeend', `
+        <div class="upload-progress-row" id="upload-progress-${side}">
+          <span class="mode-badge ${side}">${side === 'real' ? 'Real Gmail' : 'Clone'}</span>
+          <progress max="1" value="0"></progress>
+          <span class="upload-progress-text"></span>
+        </div>
+      `);
+      row = document.getElementById(`upload-progress-${side}`);
+    }
+
+    const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+    row.querySelector('progress').max = total;
+    row.querySelector('progress').value = loaded;
+    row.querySelector('.upload-progress-text').textContent = `${loaded} / ${total} bytes (${percent}%)`;
+  }
+
+  /**
+   * Clear and hide the upload progress bars
+   */
+  resetUploadProgress() {
+    const container = document.getElementById('upload-progress');
+    container.innerHTML = '';
+    container.style.display = 'none';
+  }
+
+  /**
+   * Append a "Next page" button below the response
+   * @param {string} pageToken - nextPageToken from the last response
+   */
+  showNextPageButton(pageToken) {
+    const section = document.getElementById('response-section');
+    section.insertAdjacentHTML('beforeend', `
+      <button class="next-page-btn" id="next-page-btn" title="pageToken=${pageToken}">Next page ▶</button>
+    `);
+    document.getElementById('next-page-btn').addEventListener('click', () => {
+      this.loadNextPage(pageToken);
+    });
+  }
+
+  /**
+   * Append the result of checking a response against its fields= mask
+   * @param {*} body - Response body
+   * @param {string} fieldMask - Mask that was sent
+   */
+  showFieldMaskCheck(body, fieldMask) {
+    let html;
+    try {
+      const outside = findFieldsOutsideMask(body, fieldMask);
+      html = outside.length === 0
+        ? '<span class="diff-status success">✓ Response only contains fields from the mask</span>'
+        : `<span class="diff-status warning">⚠️ Fields outside the mask: ${escapeHtml(outside.join(', '))}</span>`;
+    } catch (error) {
+      html = `<span class="diff-status warning">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+
+    document.getElementById('response-section').insertAdjacentHTML('beforeend',
+      `<div class="field-mask-check">${html}</div>`);
+  }
+
   /**
    * Display error message
    * @param {string} message - Error message
+   * @param {string} title - Heading (e.g., '⏱️ Timed Out')
    */
-  displayError(message) {
+  displayError(message, title = '❌ Error') {
     const section = document.getElementById('response-section');
 
     const html = `
       <div class="section-header error">
-        <h4>❌ Error</h4>
+        <h4>${title}</h4>
       </div>
       <div class="code-block" style="color: #d93025;">${message}</div>
     `;
@@ -654,6 +1568,10 @@ class GmailQAPanelUI {
     document.getElementById('docs-section').innerHTML = '';
     document.getElementById('params-section').innerHTML = '';
     document.getElementById('execute-btn').style.display = 'none';
+    document.getElementById('lifecycle-btn').style.display = 'none';
+    document.getElementById('batch-add-btn').style.display = 'none';
+    document.getElementById('pagination-options').style.display = 'none';
+    this.resetUploadProgress();
     this.resetResultSections();
   }
 
@@ -664,11 +1582,13 @@ class GmailQAPanelUI {
     const indicator = document.getElementById('mode-indicator');
     if (!indicator) return;
 
+    // Non-default environments (e.g., a localhost build) show their name
+    const isDefault = this.environment === this.siteMode;
     if (this.siteMode === 'real') {
-      indicator.textContent = 'Real Gmail';
+      indicator.textContent = isDefault ? 'Real Gmail' : `Real (${this.environment})`;
       indicator.className = 'mode-badge real';
     } else {
-      indicator.textContent = 'Clone';
+      indicator.textContent = isDefault ? 'Clone' : `Clone (${this.environment})`;
       indicator.className = 'mode-badge clone';
     }
   }
@@ -680,14 +1600,16 @@ class GmailQAPanelUI {
     const display = document.getElementById('mode-display');
     if (!display) return;
 
+    const profile = this.environments.find(environment => environment.name === this.environment);
+
     if (this.siteMode === 'real') {
-      display.textContent = 'Real Gmail (OAuth Authentication)';
+      display.textContent = `${profile ? profile.label : 'Real Gmail'} (OAuth Authentication)`;
       display.style.color = '#137333';
     } else {
       const sessionPreview = this.sessionId
         ? `${this.sessionId.substring(0, 12)}...`
         : 'Not found';
-      display.textContent = `Clone (Session: ${sessionPreview})`;
+      display.textContent = `${profile ? profile.label : 'Clone'} (Session: ${sessionPreview})`;
       display.style.color = '#1967d2';
     }
   }
@@ -716,10 +1638,10 @@ class GmailQAPanelUI {
       // Only accept messages from parent
       if (event.source !== window.parent) return;
 
-      const { type, site, sessionId } = event.data;
+      const { type, sessionId } = event.data;
 
       if (type === 'INIT') {
-        this.initializePanel(site, sessionId);
+        this.handleInitMessage(event.origin, sessionId);
       }
     });
 
@@ -735,6 +1657,12 @@ class GmailQAPanelUI {
       closeBtn.addEventListener('click', () => this.handleClose());
       console.log('[Panel] Close button handler setup complete');
     }
+
+    // Environment profiles are edited on the extension options page
+    const settingsBtn = document.querySelector('.settings-btn');
+    if (settingsBtn) {
+      settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
   }
 
   /**
@@ -747,7 +1675,12 @@ class GmailQAPanelUI {
     this.setupCloseButton();
     this.setupEndpointSelection();
     this.setupExecuteButton();
+    this.setupCancelButton();
+    this.setupLifecycleButton();
+    this.setupBatchBuilder();
     this.setupComparisonToggle();
+    this.setupUserIdEditor();
+    this.loadDiscoveryCatalog();
 
     console.log('[Panel] Ready and waiting for INIT message');
   }
@@ -0,0 +1,165 @@
+/**
+ * Quota Tracker - Gmail quota units spent per target, per minute and per panel session
+ * Gmail charges each method a fixed number of units (send = 100, messages.get = 5, ...);
+ * costs live on the endpoints as quotaCost. Each environment profile can set a `quotaBudget`.
+ */
+
+import { endpoints } from './endpoints.js';
+
+/**
+ * Sliding window for the per-minute total
+ */
+export const QUOTA_WINDOW_MS = 60000;
+
+/**
+ * Default budget: Gmail's per-user limit is 15,000 units per minute; sessions are unlimited
+ */
+export const DEFAULT_QUOTA_BUDGET = {
+  perMinute: 15000,
+  perSession: null
+};
+
+/**
+ * Cost of methods without a quotaCost (e.g., imported from the discovery document)
+ * The upper end of Gmail's read and write costs, so budgets err on the safe side
+ */
+const UNKNOWN_QUOTA_COST = { read: 10, write: 100 };
+
+/**
+ * Merge a target's budget overrides over the defaults
+ * @param {Object} overrides - Partial budget (e.g., { perSession: 5000 })
+ * @returns {Object} Complete budget {perMinute, perSession} (null means no limit)
+ */
+export function resolveQuotaBudget(overrides = {}) {
+  return { ...DEFAULT_QUOTA_BUDGET, ...overrides };
+}
+
+/**
+ * Quota cost of an endpoint
+ * @param {Object} endpoint - Endpoint definition
+ * @returns {number} Units per call
+ */
+export function getEndpointQuotaCost(endpoint) {
+  if (typeof endpoint.quotaCost === 'number') {
+    return endpoint.quotaCost;
+  }
+  return endpoint.method === 'GET' ? UNKNOWN_QUOTA_COST.read : UNKNOWN_QUOTA_COST.write;
+}
+
+/**
+ * Quota cost of a request, looked up by method and path template in the endpoint catalog
+ * @param {string} method - HTTP method
+ * @param {string} path - Path template (e.g., /users/{userId}/messages/{id})
+ * @returns {number} Units per call (0 for requests outside the catalog)
+ */
+export function getQuotaCost(method, path) {
+  const endpoint = Object.values(endpoints).find(candidate => candidate.method === method && candidate.path === path);
+  return endpoint ? getEndpointQuotaCost(endpoint) : 0;
+}
+
+/**
+ * Running quota totals for every target
+ */
+export class QuotaTracker {
+  constructor() {
+    // target name -> {session, recent: [{time, units}] within QUOTA_WINDOW_MS}
+    this.usage = new Map();
+    // Called after every recorded charge (the panel header re-renders its totals)
+    this.onChange = null;
+  }
+
+  /**
+   * Drop charges older than the per-minute window
+   * @param {Object} entry - Usage entry
+   * @param {number} now - Current time in ms
+   */
+  prune(entry, now) {
+    entry.recent = entry.recent.filter(charge => now - charge.time < QUOTA_WINDOW_MS);
+  }
+
+  /**
+   * Record units spent on a target
+   * @param {string} target - Target name (e.g., 'real')
+   * @param {number} units - Units charged
+   * @param {number} now - Current time in ms (injectable for tests)
+   */
+  record(target, units, now = Date.now()) {
+    if (!units) {
+      return;
+    }
+    if (!this.usage.has(target)) {
+      this.usage.set(target, { session: 0, recent: [] });
+    }
+
+    const entry = this.usage.get(target);
+    this.prune(entry, now);
+    entry.session += units;
+    entry.recent.push({ time: now, units });
+
+    if (this.onChange) {
+      this.onChange(target);
+    }
+  }
+
+  /**
+   * Units a target has spent
+   * @param {string} target - Target name
+   * @param {number} now - Current time in ms
+   * @returns {Object} {session, lastMinute}
+   */
+  getUsage(target, now = Date.now()) {
+    const entry = this.usage.get(target);
+    if (!entry) {
+      return { session: 0, lastMinute: 0 };
+    }
+    this.prune(entry, now);
+    return {
+      session: entry.session,
+      lastMinute: entry.recent.reduce((sum, charge) => sum + charge.units, 0)
+    };
+  }
+
+  /**
+   * Names of the targets that have spent units
+   * @returns {Array<string>} Target names in first-charge order
+   */
+  getTargets() {
+    return Array.from(this.usage.keys());
+  }
+
+  /**
+   * Check whether spending more units would take a target over its budget
+   * @param {string} target - Target name
+   * @param {number} units - Units the next action costs
+   * @param {Object} budget - {perMinute, perSession} (null means no limit)
+   * @param {number} now - Current time in ms
+   * @returns {Array<string>} Warnings (empty if within budget)
+   */
+  checkBudget(target, units, budget, now = Date.now()) {
+    const usage = this.getUsage(target, now);
+    const warnings = [];
+
+    if (budget.perMinute && usage.lastMinute + units > budget.perMinute) {
+      warnings.push(`${target}: ${usage.lastMinute} + ${units} units would exceed the ${budget.perMinute} units/minute budget`);
+    }
+    if (budget.perSession && usage.session + units > budget.perSession) {
+      warnings.push(`${target}: ${usage.session} + ${units} units would exceed the ${budget.perSession} units/session budget`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Forget all usage (start a new session)
+   */
+  reset() {
+    this.usage.clear();
+    if (this.onChange) {
+      this.onChange(null);
+    }
+  }
+}
+
+/**
+ * Shared tracker: clients for the same target add up, however many are created
+ */
+export const quotaTracker = new QuotaTracker();
@@ -0,0 +1,485 @@
+/**
+ * Response Views - Structured renderings of specific response types
+ * Shown below the raw JSON so results are readable at a glance
+ */
+
+import { base64UrlDecode, bytesToBase64, sha256Hex, sniffMimeType } from './encoding.js';
+import { countParts, decodePart, findMessagePayloads } from './mime-decoder.js';
+import { escapeHtml } from './ui-components.js';
+
+/**
+ * Max bytes of a text attachment shown inline
+ */
+const TEXT_PREVIEW_LIMIT = 20000;
+
+/**
+ * Prepended to decoded HTML bodies: the sandboxed frame may not load anything remote (no tracking pixels)
+ */
+const HTML_BODY_CSP = '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; img-src data:; style-src \'unsafe-inline\'">';
+
+/**
+ * History record types returned by users.history.list
+ */
+const HISTORY_RECORD_TYPES = [
+  { key: 'messagesAdded', label: 'Message added', icon: '➕' },
+  { key: 'messagesDeleted', label: 'Message deleted', icon: '🗑️' },
+  { key: 'labelsAdded', label: 'Labels added', icon: '🏷️' },
+  { key: 'labelsRemoved', label: 'Labels removed', icon: '✂️' }
+];
+
+/**
+ * Check whether a body looks like a users.history.list response
+ * An empty history page only carries historyId, so check the key set too
+ * @param {*} data - Response body
+ * @returns {boolean} True if this is a history list response
+ */
+function isHistoryListResponse(data) {
+  if (!data || typeof data !== 'object' || !('historyId' in data)) {
+    return false;
+  }
+  if (Array.isArray(data.history)) {
+    return true;
+  }
+  return Object.keys(data).every(key => ['historyId', 'nextPageToken'].includes(key));
+}
+
+/**
+ * Render history records grouped by change type
+ * @param {Object} data - Response body from users.history.list
+ * @returns {string} HTML string (empty if the body has no history records)
+ */
+export function renderHistoryRecords(data) {
+  if (!isHistoryListResponse(data)) {
+    return '';
+  }
+
+  const records = Array.isArray(data.history) ? data.history : [];
+
+  // Count records of each type across the whole page
+  const counts = HISTORY_RECORD_TYPES.map(type => ({
+    ...type,
+    count: records.reduce((sum, record) => sum + (record[type.key] ? record[type.key].length : 0), 0)
+  }));
+
+  const summaryHtml = counts
+    .map(type => `<span class="history-count">${type.icon} ${type.key}: <strong>${type.count}</strong></span>`)
+    .join('');
+
+  const recordsHtml = records.map(record => {
+    const changes = [];
+
+    HISTORY_RECORD_TYPES.forEach(type => {
+      (record[type.key] || []).forEach(change => {
+        const messageId = change.message ? change.message.id : '?';
+        const labels = change.labelIds || (change.message && change.message.labelIds) || [];
+        changes.push(`
+          <li class="history-change ${type.key}">
+            ${type.icon} ${type.label}: <code>${escapeHtml(messageId)}</code>
+            ${labels.length > 0 ? `<span class="history-labels">[${labels.map(label => escapeHtml(label)).join(', ')}]</span>` : ''}
+          </li>
+        `);
+      });
+    });
+
+    return `
+      <div class="history-record">
+        <div class="history-record-id">History ${escapeHtml(record.id)}</div>
+        ${changes.length > 0
+          ? `<ul>${changes.join('')}</ul>`
+          : `<div class="history-empty">${(record.messages || []).length} message(s), no typed changes</div>`}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="history-view">
+      <div class="history-header">
+        <strong>🕒 History Records (${records.length})</strong>
+        <span class="history-current">Current historyId: <code>${escapeHtml(data.historyId)}</code></span>
+      </div>
+      <div class="history-summary">${summaryHtml}</div>
+      ${records.length > 0 ? recordsHtml : '<div class="history-empty">No changes since the start history ID</div>'}
+    </div>
+  `;
+}
+
+/**
+ * Render the attempt history of a retried request
+ * @param {Array<Object>} attempts - Result attempts [{attempt, status, error, responseTime, delayMs, reason}]
+ * @returns {string} HTML string (empty unless the request was retried or failed transiently)
+ */
+export function renderAttemptHistory(attempts) {
+  if (!Array.isArray(attempts) || (attempts.length < 2 && !attempts.some(attempt => attempt.reason))) {
+    return '';
+  }
+
+  const rows = attempts.map(attempt => `
+    <tr class="${attempt.reason ? 'attempt-failed' : 'attempt-ok'}">
+      <td>#${attempt.attempt}</td>
+      <td>${attempt.status || escapeHtml(attempt.error || 'Error')}</td>
+      <td>${attempt.responseTime}ms</td>
+      <td>${attempt.reason ? escapeHtml(attempt.reason) : 'final'}</td>
+      <td>${attempt.delayMs > 0 ? `waited ${attempt.delayMs}ms` : ''}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="attempt-history">
+      <strong>🔁 Attempts (${attempts.length})</strong>
+      <table>${rows}</table>
+    </div>
+  `;
+}
+
+/**
+ * Render response headers as a collapsible name/value table
+ * @param {Object|undefined} headers - Result headers (lower-cased names)
+ * @param {Array<string>} differing - Header names that differ from the other side (highlighted)
+ * @returns {string} HTML string (empty if the result has no headers)
+ */
+export function renderResponseHeaders(headers, differing = []) {
+  if (!headers) {
+    return '';
+  }
+
+  const names = Object.keys(headers);
+  const rows = names.map(name => `
+    <tr class="${differing.includes(name) ? 'header-diff' : ''}">
+      <td>${escapeHtml(name)}</td>
+      <td>${escapeHtml(headers[name])}</td>
+    </tr>
+  `).join('');
+  const missing = differing.filter(name => !(name in headers)).map(name => `
+    <tr class="header-diff header-missing">
+      <td>${escapeHtml(name)}</td>
+      <td><em>(not sent)</em></td>
+    </tr>
+  `).join('');
+
+  return `
+    <details class="response-headers" ${differing.length > 0 ? 'open' : ''}>
+      <summary>📋 Headers (${names.length})${differing.length > 0 ? ` — ${differing.length} differ` : ''}</summary>
+      <table>${rows}${missing}</table>
+    </details>
+  `;
+}
+
+/**
+ * Check whether a body is a users.messages.attachments.get response
+ * @param {*} data - Response body
+ * @returns {boolean} True if this is an attachment body
+ */
+export function isAttachmentResponse(data) {
+  return !!data && typeof data === 'object' && typeof data.data === 'string' && 'size' in data && !data.payload;
+}
+
+/**
+ * Decode an attachment body and gather preview information
+ * @param {Object} data - Attachment response body {size, data}
+ * @param {Object|null} meta - Cached attachment metadata {name, mimeType} from the message part
+ * @returns {Promise<Object>} Preview {size, reportedSize, mimeType, mimeSource, filename, sha256, kind, content, truncated}
+ */
+export async function buildAttachmentPreview(data, meta = null) {
+  let bytes;
+  try {
+    bytes = base64UrlDecode(data.data);
+  } catch (error) {
+    return { error: `Attachment data is not valid base64url: ${error.message}` };
+  }
+
+  const sniffed = sniffMimeType(bytes);
+  const mimeType = (meta && meta.mimeType) || sniffed || 'application/octet-stream';
+
+  const preview = {
+    size: bytes.length,
+    reportedSize: data.size,
+    mimeType,
+    mimeSource: meta && meta.mimeType ? 'message part' : (sniffed ? 'sniffed' : 'unknown'),
+    filename: meta ? meta.name : null,
+    sha256: await sha256Hex(bytes),
+    kind: 'binary',
+    content: null,
+    truncated: false
+  };
+
+  if (mimeType.startsWith('image/')) {
+    preview.kind = 'image';
+    preview.content = `data:${mimeType};base64,${bytesToBase64(bytes)}`;
+  } else if (mimeType.startsWith('text/') || /json|xml|javascript/.test(mimeType)) {
+    preview.kind = 'text';
+    preview.truncated = bytes.length > TEXT_PREVIEW_LIMIT;
+    preview.content = new TextDecoder('utf-8').decode(bytes.subarray(0, TEXT_PREVIEW_LIMIT));
+  }
+
+  return preview;
+}
+
+/**
+ * Render a decoded attachment preview
+ * @param {Object} preview - Result of buildAttachmentPreview
+ * @returns {string} HTML string
+ */
+export function renderAttachmentPreview(preview) {
+  if (preview.error) {
+    return `<div class="attachment-preview"><div class="error-message">${escapeHtml(preview.error)}</div></div>`;
+  }
+
+  const sizeMismatch = preview.reportedSize !== undefined && preview.reportedSize !== preview.size;
+
+  let inlineHtml = '';
+  if (preview.kind === 'image') {
+    inlineHtml = `<img class="attachment-image" src="${preview.content}" alt="${escapeHtml(preview.filename || 'attachment')}">`;
+  } else if (preview.kind === 'text') {
+    inlineHtml = `
+      <div class="code-block">${escapeHtml(preview.content)}</div>
+      ${preview.truncated ? `<div class="param-help">Showing first ${TEXT_PREVIEW_LIMIT} bytes</div>` : ''}
+    `;
+  } else {
+    inlineHtml = '<div class="param-help">No inline preview for this type</div>';
+  }
+
+  return `
+    <div class="attachment-preview">
+      <strong>📎 Decoded Attachment${preview.filename ? `: ${escapeHtml(preview.filename)}` : ''}</strong>
+      <div class="detail-row">
+        <span class="label">Size:</span>
+        <span class="value ${sizeMismatch ? 'status-warning' : ''}">${preview.size} bytes${sizeMismatch ? ` (response says ${preview.reportedSize})` : ''}</span>
+      </div>
+      <div class="detail-row">
+        <span class="label">MIME type:</span>
+        <span class="value">${escapeHtml(preview.mimeType)} <span class="attachment-source">(${preview.mimeSource})</span></span>
+      </div>
+      <div class="detail-row">
+        <span class="label">SHA-256:</span>
+        <span class="value attachment-hash">${preview.sha256}</span>
+      </div>
+      ${inlineHtml}
+    </div>
+  `;
+}
+
+/**
+ * Render a byte-level comparison of two decoded attachments
+ * @param {Object} realPreview - Preview of the Real Gmail attachment
+ * @param {Object} clonePreview - Preview of the Clone attachment
+ * @returns {string} HTML string
+ */
+export function renderAttachmentComparison(realPreview, clonePreview) {
+  const identical = !realPreview.error && !clonePreview.error && realPreview.sha256 === clonePreview.sha256;
+
+  return `
+    <div class="diff-summary ${identical ? 'match' : 'mismatch'}">
+      <span class="diff-status ${identical ? 'success' : 'warning'}">
+        ${identical ? '✓ Attachments are byte-identical' : '⚠️ Attachment bytes differ'}
+      </span>
+      ${!identical && !realPreview.error && !clonePreview.error ? `
+        <div class="diff-details">
+          <ul>
+            <li>Size: Real[${realPreview.size}] vs Clone[${clonePreview.size}]</li>
+            <li>MIME type: Real="${escapeHtml(realPreview.mimeType)}" vs Clone="${escapeHtml(clonePreview.mimeType)}"</li>
+          </ul>
+        </div>
+      ` : ''}
+    </div>
+    <div class="comparison-section real">
+      <div class="comparison-header"><span class="mode-badge real">Real Gmail</span></div>
+      ${renderAttachmentPreview(realPreview)}
+    </div>
+    <div class="comparison-section clone">
+      <div class="comparison-header"><span class="mode-badge clone">Clone</span></div>
+      ${renderAttachmentPreview(clonePreview)}
+    </div>
+  `;
+}
+
+/**
+ * Check whether a diff path belongs to a part itself (not to one of its child parts)
+ * @param {string} diffPath - Diff path (e.g., "payload.parts[0].body.data")
+ * @param {string} partPath - Part path (e.g., "payload.parts[0]")
+ * @returns {boolean} True if the difference is in this part
+ */
+function isPathInPart(diffPath, partPath) {
+  return diffPath.startsWith(`${partPath}.`) && !diffPath.slice(partPath.length + 1).startsWith('parts');
+}
+
+/**
+ * Render one decoded part and its children
+ * @param {Object} node - Result of decodePart
+ * @param {Array<string>} differing - Diff paths to highlight
+ * @returns {string} HTML string
+ */
+function renderMimePart(node, differing) {
+  const differs = differing.some(path => isPathInPart(path, node.path));
+  const size = node.byteLength ?? node.size;
+
+  let bodyHtml = '';
+  if (node.error) {
+    bodyHtml = `<div class="error-message">${escapeHtml(node.error)}</div>`;
+  } else if (node.kind === 'html') {
+    // Empty sandbox: no scripts, forms, popups or same-origin access
+    bodyHtml = `
+      <iframe class="mime-html" sandbox="" srcdoc="${escapeHtml(HTML_BODY_CSP + node.text)}"></iframe>
+      <details class="mime-html-source">
+        <summary>HTML source</summary>
+        <div class="code-block">${escapeHtml(node.text)}</div>
+      </details>
+    `;
+  } else if (node.kind === 'text') {
+    bodyHtml = `<div class="code-block">${escapeHtml(node.text)}</div>`;
+  } else if (node.attachmentId) {
+    bodyHtml = '<div class="param-help">Body not inline; fetch it with Get Attachment</div>';
+  }
+
+  return `
+    <li class="mime-part ${differs ? 'part-diff' : ''}">
+      <div class="mime-part-line">
+        <span class="mime-type">${escapeHtml(node.mimeType)}</span>
+        ${node.partNumber !== '' ? `<span class="mime-part-number">part ${node.partNumber}</span>` : ''}
+        ${node.filename ? `<span class="mime-filename">📎 ${escapeHtml(node.filename)}</span>` : ''}
+        ${size !== undefined && size !== null ? `<span class="mime-size">${size} bytes</span>` : ''}
+        ${differs ? '<span class="mime-part-diff">differs</span>' : ''}
+      </div>
+      ${node.headers.length > 0 ? `
+        <details class="mime-part-headers">
+          <summary>Headers (${node.headers.length})</summary>
+          <table>
+            ${node.headers.map(header => `<tr><td>${escapeHtml(header.name)}</td><td>${escapeHtml(header.value)}</td></tr>`).join('')}
+          </table>
+        </details>
+      ` : ''}
+      ${bodyHtml}
+      ${node.truncated ? '<div class="param-help">Body truncated for display</div>' : ''}
+      ${node.children.length > 0 ? `<ul class="mime-tree">${node.children.map(child => renderMimePart(child, differing)).join('')}</ul>` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Render the decoded MIME tree of every message in a response (message, thread or draft)
+ * @param {*} data - Response body
+ * @param {Array<string>} differing - Diff paths to highlight (comparison mode)
+ * @returns {string} HTML string (empty if the body has no message payloads)
+ */
+export function renderDecodedMessages(data, differing = []) {
+  const payloads = findMessagePayloads(data);
+  if (payloads.length === 0) {
+    return '';
+  }
+
+  const trees = payloads.map(({ path, messageId, payload }) => ({ messageId, tree: decodePart(payload, path) }));
+  const partCount = trees.reduce((sum, { tree }) => sum + countParts(tree), 0);
+
+  return `
+    <details class="decoded-message" open>
+      <summary>✉️ Decoded MIME (${payloads.length} message${payloads.length === 1 ? '' : 's'}, ${partCount} part${partCount === 1 ? '' : 's'})</summary>
+      ${trees.map(({ messageId, tree }) => `
+        ${payloads.length > 1 ? `<div class="decoded-message-title">Message ${escapeHtml(messageId || '(no id)')}</div>` : ''}
+        <ul class="mime-tree">${renderMimePart(tree, differing)}</ul>
+      `).join('')}
+    </details>
+  `;
+}
+
+/**
+ * Render the decoded MIME trees of both sides, highlighting the parts that differ
+ * Body differences come from the diff, which compares body.data decoded (see ComparisonEngine.compareBodyData)
+ * @param {*} realBody - Real response body
+ * @param {*} cloneBody - Clone response body
+ * @param {Object} diff - Result of generateDiff
+ * @returns {string} HTML string (empty if neither body has message payloads)
+ */
+export function renderDecodedComparison(realBody, cloneBody, diff) {
+  if (findMessagePayloads(realBody).length === 0 && findMessagePayloads(cloneBody).length === 0) {
+    return '';
+  }
+
+  const differing = diff.details.map(detail => detail.path).filter(path => /(^|\.)payload\./.test(path));
+  const bodies = diff.details.filter(detail => detail.type === 'decoded_mismatch');
+  const identical = differing.length === 0;
+
+  return `
+    <div class="diff-summary ${identical ? 'match' : 'mismatch'}">
+      <span class="diff-status ${identical ? 'success' : 'warning'}">
+        ${identical ? '✓ Decoded MIME parts match' : `⚠️ ${differing.length} difference(s) in MIME parts`}
+      </span>
+      ${bodies.length > 0 ? `
+        <div class="diff-details">
+          <ul>
+            ${bodies.map(detail => `<li>${escapeHtml(detail.path)}: ${escapeHtml(detail.message)}</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+    </div>
+    <div class="comparison-section real">
+      <div class="comparison-header"><span class="mode-badge real">Real Gmail</span></div>
+      ${renderDecodedMessages(realBody, differing) || '<div class="param-help">No message payload</div>'}
+    </div>
+    <div class="comparison-section clone">
+      <div class="comparison-header"><span class="mode-badge clone">Clone</span></div>
+      ${renderDecodedMessages(cloneBody, differing) || '<div class="param-help">No message payload</div>'}
+    </div>
+  `;
+}
+
+/**
+ * Describe how a whole batch call went on one side
+ * @param {Object} result - Result of GmailApiClient.executeBatch
+ * @param {number} count - Number of requests in the batch
+ * @returns {Object} {supported, text} where supported is false if no sub-responses came back
+ */
+export function describeBatchOutcome(result, count) {
+  if (result.error) {
+    return { supported: false, text: `Error: ${result.error}` };
+  }
+  if (result.batchError) {
+    return { supported: false, text: `HTTP ${result.status}, but ${result.batchError}` };
+  }
+  if (result.status < 200 || result.status >= 300) {
+    return { supported: false, text: `HTTP ${result.status} for the batch request` };
+  }
+  const returned = result.items.filter(item => item).length;
+  return {
+    supported: returned > 0,
+    text: `HTTP ${result.status}, ${returned} of ${count} sub-responses`
+  };
+}
+
+/**
+ * Render the sub-responses of a batch call (single mode)
+ * @param {Object} result - Result of GmailApiClient.executeBatch
+ * @param {Array<Object>} requests - Batch requests ({label, display, method})
+ * @returns {string} HTML string
+ */
+export function renderBatchResults(result, requests) {
+  const outcome = describeBatchOutcome(result, requests.length);
+
+  const items = requests.map((request, index) => {
+    const item = result.items[index];
+    const failed = !item || item.status >= 400;
+    return `
+      <details class="batch-item ${failed ? 'mismatch' : 'match'}" ${failed ? 'open' : ''}>
+        <summary>
+          #${index + 1} <strong>${request.method}</strong> ${escapeHtml(request.display)}
+          — ${item ? item.status : 'no sub-response'}
+        </summary>
+        ${item ? `<div class="code-block">${escapeHtml(JSON.stringify(item.body, null, 2))}</div>` : ''}
+      </details>
+    `;
+  }).join('');
+
+  return `
+    <div class="section-header ${outcome.supported ? '' : 'error'}">
+      <h4>📦 Batch Response (${requests.length} requests)</h4>
+    </div>
+    <div class="detail-row">
+      <span class="label">Status:</span>
+      <span class="value ${outcome.supported ? 'status-success' : 'status-error'}">${escapeHtml(outcome.text)}</span>
+    </div>
+    <div class="detail-row">
+      <span class="label">Time:</span>
+      <span class="value">${result.responseTime || 0}ms</span>
+    </div>
+    ${renderAttemptHistory(result.attempts)}
+    <div class="batch-results">${items}</div>
+  `;
+}
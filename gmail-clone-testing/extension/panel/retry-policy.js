@@ -0,0 +1,133 @@
+/**
+ * Retry Policy - Backoff for rate limits and transient server errors
+ * Exponential backoff with full jitter, honoring Retry-After, capped at maxAttempts.
+ * Each environment profile can override the defaults with a `retry` object.
+ */
+
+/**
+ * Default policy (per target overrides are merged over it)
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  retryStatuses: [429, 500, 502, 503, 504]
+};
+
+/**
+ * Methods that are safe to repeat after a 5xx or a network error
+ * A 429 means the request was not processed, so it is retried for every method
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Gmail reports per-user and per-project rate limits as 403 with these reasons
+ */
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Merge a target's retry overrides over the defaults
+ * @param {Object} overrides - Partial policy (e.g., { maxAttempts: 1 } to disable retries)
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(overrides = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...overrides };
+}
+
+/**
+ * Check whether a response is a rate-limit rejection (429, or Gmail's 403 rate-limit reasons)
+ * @param {Object} result - API result {status, body}
+ * @returns {boolean} True if the request was rejected for rate
+ */
+function isRateLimited(result) {
+  if (result.status === 429) {
+    return true;
+  }
+  const errors = result.status === 403 && result.body && result.body.error && result.body.error.errors;
+  return Array.isArray(errors) && errors.some(error => RATE_LIMIT_REASONS.includes(error.reason));
+}
+
+/**
+ * Check whether a result is a transient failure worth retrying (rate limit, retryable 5xx or network error)
+ * @param {Object} result - API result {status, body, error, networkError}
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} True if another attempt may succeed
+ */
+export function isTransientFailure(result, policy = DEFAULT_RETRY_POLICY) {
+  if (result.networkError) {
+    return true;
+  }
+  return isRateLimited(result) || policy.retryStatuses.includes(result.status);
+}
+
+/**
+ * Check whether a failure says nothing about the target's behavior: a rate limit or a network error
+ * A 5xx is the server's own answer, so one that survives the retries is a real result
+ * @param {Object} result - API result {status, body, error, networkError}
+ * @returns {boolean} True for rate limits and network errors
+ */
+export function isRateLimitOrNetworkFailure(result) {
+  return !!result.networkError || isRateLimited(result);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms (for HTTP dates)
+ * @returns {number|null} Delay in ms, or null if absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Backoff delay before the next attempt: random between 0 and base * 2^(attempt - 1), capped
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Random source in [0, 1) (injectable for tests)
+ * @returns {number} Delay in ms
+ */
+export function computeBackoffDelay(attempt, policy, random = Math.random) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Decide whether to retry a result, and after how long
+ * A Retry-After longer than maxDelayMs is not waited out; the result is returned instead
+ * @param {Object} result - API result {status, body, error, networkError}
+ * @param {Object} context - {attempt, method, retryAfter (header value), policy, random}
+ * @returns {Object} {retry: boolean, delayMs, reason}
+ */
+export function getRetryDecision(result, context) {
+  const { attempt, method, retryAfter, policy, random } = context;
+
+  if (!isTransientFailure(result, policy)) {
+    return { retry: false, delayMs: 0, reason: null };
+  }
+  const reason = result.networkError ? 'network error' : `HTTP ${result.status}`;
+
+  if (attempt >= policy.maxAttempts) {
+    return { retry: false, delayMs: 0, reason: `${reason}, attempts exhausted` };
+  }
+  if (!isRateLimited(result) && !IDEMPOTENT_METHODS.includes(method)) {
+    return { retry: false, delayMs: 0, reason: `${reason}, ${method} is not safe to repeat` };
+  }
+
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) {
+    if (retryAfterMs > policy.maxDelayMs) {
+      return { retry: false, delayMs: retryAfterMs, reason: `${reason}, Retry-After ${retryAfterMs}ms exceeds ${policy.maxDelayMs}ms` };
+    }
+    return { retry: true, delayMs: retryAfterMs, reason: `${reason}, Retry-After` };
+  }
+
+  return { retry: true, delayMs: computeBackoffDelay(attempt, policy, random), reason: `${reason}, backoff` };
+}
@@ -0,0 +1,108 @@
+/**
+ * Test Suite for batch request encoding and parsing
+ * Run: test-suite.html?suite=batch-request
+ */
+
+import {
+  MAX_BATCH_SIZE,
+  encodeBatch,
+  matchBatchResponses,
+  parseBatchResponse
+} from './batch-request.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+// ===== TEST SUITE =====
+
+const BATCH_RESPONSE = [
+  '--batch_abc',
+  'Content-Type: application/http',
+  'Content-ID: <response-item2>',
+  '',
+  'HTTP/1.1 404 Not Found',
+  'Content-Type: application/json; charset=UTF-8',
+  '',
+  '{"error":{"code":404,"message":"Requested entity was not found."}}',
+  '--batch_abc',
+  'Content-Type: application/http',
+  'Content-ID: <response-item1>',
+  '',
+  'HTTP/1.1 200 OK',
+  'Content-Type: application/json; charset=UTF-8',
+  '',
+  '{"id":"Label_1","name":"Work"}',
+  '--batch_abc--',
+  ''
+].join('\r\n');
+
+// Test 1: Each part is an application/http sub-request with a numbered Content-ID
+test('Batch should encode sub-requests as multipart/mixed parts', () => {
+  const body = encodeBatch([
+    { method: 'GET', url: '/gmail/v1/users/me/labels/Label_1', body: null },
+    { method: 'POST', url: '/gmail/v1/users/me/labels', body: { name: 'Work' } }
+  ], 'batch_abc');
+
+  assert(body.startsWith('--batch_abc\r\nContent-Type: application/http\r\nContent-ID: <item1>'), 'First part header');
+  assert(body.includes('GET /gmail/v1/users/me/labels/Label_1 HTTP/1.1'), 'GET request line');
+  assert(body.includes('Content-ID: <item2>\r\n\r\nPOST /gmail/v1/users/me/labels HTTP/1.1'), 'POST request line');
+  assert(body.includes('Content-Type: application/json; charset=UTF-8\r\n\r\n{"name":"Work"}'), 'JSON body');
+  assert(body.endsWith('--batch_abc--\r\n'), 'Closing boundary');
+});
+
+// Test 2: Gmail caps a batch at 100 calls
+test('Batch should reject empty and oversized batches', () => {
+  let error = null;
+  try {
+    encodeBatch([], 'b');
+  } catch (e) {
+    error = e;
+  }
+  assert(error, 'Empty batch throws');
+
+  const parts = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => ({ method: 'GET', url: '/gmail/v1/users/me/profile' }));
+  error = null;
+  try {
+    encodeBatch(parts, 'b');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes(`${MAX_BATCH_SIZE}`), 'Oversized batch throws');
+});
+
+// Test 3: Sub-responses carry status, headers and parsed JSON
+test('Batch response should parse into sub-responses', () => {
+  const responses = parseBatchResponse(BATCH_RESPONSE);
+  assertEquals(responses.length, 2);
+  assertEquals(responses[0].contentId, 'response-item2');
+  assertEquals(responses[0].index, 1);
+  assertEquals(responses[0].status, 404);
+  assertEquals(responses[1].body, { id: 'Label_1', name: 'Work' });
+  assertEquals(responses[1].headers['content-type'], 'application/json; charset=UTF-8');
+});
+
+// Test 4: Out-of-order sub-responses are matched back by Content-ID
+test('Batch responses should line up with their requests', () => {
+  const requests = [{ path: 'a' }, { path: 'b' }, { path: 'c' }];
+  const matched = matchBatchResponses(requests, parseBatchResponse(BATCH_RESPONSE));
+  assertEquals(matched[0].status, 200);
+  assertEquals(matched[1].status, 404);
+  assertEquals(matched[2], null, 'Dropped sub-request is null');
+});
+
+// Test 5: A JSON or HTML body means the server did not handle the batch
+test('Non-multipart responses should be rejected', () => {
+  let error = null;
+  try {
+    parseBatchResponse({ error: { code: 404 } });
+  } catch (e) {
+    error = e;
+  }
+  assert(error, 'Parsed JSON body throws');
+
+  error = null;
+  try {
+    parseBatchResponse('<!DOCTYPE html><html></html>');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('not multipart'), 'HTML body throws');
+});
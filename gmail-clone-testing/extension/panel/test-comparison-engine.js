@@ -1,13 +1,14 @@
 /**
  * Test Suite for ComparisonEngine
- * Extracted to external file to comply with CSP
+ * Run: test-suite.html?suite=comparison-engine
  */
 
 import { ComparisonEngine } from './comparison-engine.js';
+import { test, assert, assertEquals } from './test-runner.js';
 
 // Mock API clients
 class MockRealApiClient {
-  async executeRequest(endpoint, method, pathParams, queryParams, bodyParams) {
+  async execute(request) {
     return {
       status: 200,
       body: { id: 'real_123', name: 'Test', type: 'user' },
@@ -18,7 +19,7 @@ class MockRealApiClient {
 }
 
 class MockCloneApiClient {
-  async executeRequest(endpoint, method, pathParams, queryParams, bodyParams) {
+  async execute(request) {
     return {
       status: 200,
       body: { id: 'clone_456', name: 'Test', type: 'user' },
@@ -28,32 +29,6 @@ class MockCloneApiClient {
   }
 }
 
-// Test runner
-const results = [];
-
-function test(name, fn) {
-  try {
-    fn();
-    results.push({ name, status: 'pass', error: null });
-    console.log(`✓ ${name}`);
-  } catch (error) {
-    results.push({ name, status: 'fail', error: error.message });
-    console.error(`✗ ${name}:`, error.message);
-  }
-}
-
-function assert(condition, message) {
-  if (!condition) {
-    throw new Error(message || 'Assertion failed');
-  }
-}
-
-function assertEquals(actual, expected, message) {
-  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-    throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
-  }
-}
-
 // Initialize engine
 const realClient = new MockRealApiClient();
 const cloneClient = new MockCloneApiClient();
@@ -221,35 +196,186 @@ test('Wildcard ignore patterns should work', () => {
   assert(!diff.hasDifferences, 'Should ignore all id fields with wildcard');
 });
 
-// ===== RENDER RESULTS =====
-
-const container = document.getElementById('test-results');
-const passCount = results.filter(r => r.status === 'pass').length;
-const failCount = results.filter(r => r.status === 'fail').length;
-
-container.innerHTML = `
-  <div class="test-section ${failCount === 0 ? 'pass' : 'fail'}">
-    <div class="test-title">
-      Test Summary: ${passCount}/${results.length} Passed
-    </div>
-    <div class="test-result">
-      <span class="pass">✓ Passed: ${passCount}</span> |
-      <span class="fail">✗ Failed: ${failCount}</span>
-    </div>
-  </div>
-
-  ${results.map(r => `
-    <div class="test-section ${r.status}">
-      <div class="test-title">
-        ${r.status === 'pass' ? '✓' : '✗'} ${r.name}
-      </div>
-      ${r.error ? `<div class="test-result fail">Error: ${r.error}</div>` : ''}
-    </div>
-  `).join('')}
-`;
-
-console.log('\n===== TEST SUMMARY =====');
-console.log(`Total: ${results.length}`);
-console.log(`Passed: ${passCount}`);
-console.log(`Failed: ${failCount}`);
-console.log('=======================\n');
+// Test 16: Omitted proto defaults (settings resources)
+test('Missing key should equal a default value when missingEqualsDefault is set', () => {
+  const real = { enableAutoReply: true, restrictToContacts: false };
+  const clone = { enableAutoReply: true };
+  const diff = engine.generateDiff(real, clone, [], { missingEqualsDefault: true });
+  assert(!diff.hasDifferences, 'false vs missing should match');
+
+  const strictDiff = engine.generateDiff(real, clone, []);
+  assert(strictDiff.hasDifferences, 'Without the option the missing key is reported');
+});
+
+// Test 17: missingEqualsDefault still reports non-default values
+test('Missing key with a non-default value should still be detected', () => {
+  const real = { enabled: true };
+  const clone = {};
+  const diff = engine.generateDiff(real, clone, [], { missingEqualsDefault: true });
+  assertEquals(diff.details[0].type, 'missing_in_clone', 'Should be missing in clone');
+});
+
+// Test 18: Send-as list normalization and profile
+test('Send-as lists should be aligned and primary identity ignored', () => {
+  const real = { sendAs: [
+    { sendAsEmail: 'zeta@example.com', isPrimary: false, verificationStatus: 'accepted' },
+    { sendAsEmail: 'me@gmail.com', displayName: 'Me', isPrimary: true }
+  ] };
+  const clone = { sendAs: [
+    { sendAsEmail: 'user@clone.test', displayName: 'Clone User', isPrimary: true },
+    { sendAsEmail: 'zeta@example.com', isPrimary: false, verificationStatus: 'accepted' }
+  ] };
+  const profile = engine.getDiffProfile('sendAs');
+  const diff = engine.generateDiff(
+    engine.normalizeResponse(real, 'sendAs'),
+    engine.normalizeResponse(clone, 'sendAs'),
+    profile.ignoreFields,
+    profile.options
+  );
+  assert(!diff.hasDifferences, `Should match, got: ${diff.summary.paths.join(', ')}`);
+});
+
+// Test 19: Fields outside a fields= mask are reported per side
+test('Fields outside the field mask should be reported', () => {
+  const real = { messages: [{ id: 'a', threadId: 't1' }], nextPageToken: 'p1' };
+  const clone = { messages: [{ id: 'b', threadId: 't2', snippet: 'hi' }], resultSizeEstimate: 1 };
+  const diff = engine.generateDiff(real, clone, ['id', 'threadId', 'nextPageToken'], {
+    fieldMask: 'messages(id,threadId),nextPageToken'
+  });
+  const outside = diff.details.filter(d => d.type === 'outside_field_mask');
+  assertEquals(outside.length, 2, 'Should report snippet and resultSizeEstimate');
+  assert(outside.every(d => d.clone && !d.real), 'Only the clone returned extra fields');
+  assert(outside.some(d => d.path === 'messages[].snippet'), 'Array paths should use []');
+});
+
+// Test 20: Responses inside the mask produce no mask differences
+test('Responses inside the field mask should not be flagged', () => {
+  const body = { payload: { headers: [{ name: 'From', value: 'a@b.c' }] } };
+  const diff = engine.generateDiff(body, body, [], { fieldMask: 'payload/headers' });
+  assert(!diff.hasDifferences, 'Should match');
+});
+
+// Test 21: A rate-limited side labels the diff as transient, not as a mismatch
+test('Transient failures should be labelled separately from mismatches', () => {
+  const real = { status: 429, body: { error: { code: 429 } }, transient: true, attempts: [{}, {}, {}] };
+  const clone = { status: 200, body: { labels: [] } };
+  const diff = engine.classifyTransientFailure(engine.generateDiff(real.body, clone.body), real, clone);
+  assertEquals(diff.transient, [{ side: 'real', status: 429, error: undefined, attempts: 3 }]);
+  assert(diff.details.every(d => d.transient), 'Details should be marked transient');
+});
+
+// Test 22: Ordinary mismatches are left alone
+test('Diffs without transient failures should be unchanged', () => {
+  const diff = engine.generateDiff({ name: 'A' }, { name: 'B' });
+  const classified = engine.classifyTransientFailure(diff, { status: 200 }, { status: 200 });
+  assert(!classified.transient, 'Should not be transient');
+  assertEquals(classified, diff);
+});
+
+// Test 23: Batch sub-responses are diffed one by one; a clone without batch support misses every item
+test('Batch sub-responses should be diffed individually', () => {
+  const requests = [
+    { path: '/users/{userId}/labels/{id}', method: 'GET', params: { id: 'Label_1' }, resource: 'labels' },
+    { path: '/users/{userId}/labels/{id}', method: 'GET', params: { id: 'Label_2' }, resource: 'labels' }
+  ];
+  const realBatch = {
+    status: 200,
+    items: [{ status: 200, body: { id: 'Label_1', name: 'Work' } }, { status: 200, body: { id: 'Label_2', name: 'Home' } }]
+  };
+
+  const compared = engine.compareBatchItems(requests, realBatch, {
+    status: 200,
+    items: [{ status: 200, body: { id: 'Label_1', name: 'Work' } }, { status: 200, body: { id: 'Label_2', name: 'House' } }]
+  });
+  assert(!compared[0].diff.hasDifferences, 'First item should match');
+  assert(compared[1].diff.hasDifferences, 'Second item should differ');
+
+  const unsupported = engine.compareBatchItems(requests, realBatch, { status: 404, items: [] });
+  assert(unsupported.every(item => item.clone === null && item.diff.hasDifferences), 'Every item should be missing on Clone');
+});
+
+// Test 24: A timed-out side is reported as a timeout, not as a missing response
+test('Timed-out sides should be reported as timeouts', () => {
+  const diff = engine.generateDiff({ id: '1' }, null, [], { resultStates: { real: undefined, clone: 'timeout' } });
+  assert(diff.hasDifferences, 'Should have differences');
+  assertEquals(diff.interrupted, [{ side: 'clone', state: 'timeout' }]);
+  assertEquals(diff.details[0].type, 'timeout');
+  assertEquals(engine.generateDiff({ id: '1' }, null).details[0].type, 'missing_response');
+});
+
+// Test 25: Content type, caching and CORS differences are caught; per-response headers are ignored
+test('Header differences should be detected outside the ignore list', () => {
+  const diff = engine.compareHeaders(
+    {
+      'content-type': 'application/json; charset=UTF-8',
+      'cache-control': 'private',
+      'access-control-allow-origin': '*',
+      'date': 'Mon, 19 Oct 2026 10:00:00 GMT',
+      'server': 'ESF'
+    },
+    {
+      'content-type': 'text/html; charset=utf-8',
+      'cache-control': 'private',
+      'date': 'Mon, 19 Oct 2026 10:00:01 GMT',
+      'server': 'nginx'
+    }
+  );
+  assertEquals(diff.summary.paths, ['access-control-allow-origin', 'content-type']);
+  assertEquals(diff.details[0].type, 'missing_in_clone');
+  assertEquals(diff.details[1].severity, 'high');
+});
+
+// Test 26: Case and spacing in values, and differing ETags, are not differences
+test('Equivalent header values should match', () => {
+  const diff = engine.compareHeaders(
+    { 'content-type': 'application/json; charset=UTF-8', 'etag': '"abc"' },
+    { 'content-type': 'application/json;charset=utf-8', 'etag': '"xyz"' }
+  );
+  assert(!diff.hasDifferences, 'Should match');
+  assert(!engine.compareHeaders({ 'content-type': 'a' }, null).hasDifferences, 'Missing side is not compared');
+});
+
+// Test 27: Message bodies are compared decoded: alphabet and padding alone are not differences
+test('Message bodies should be compared by decoded content', () => {
+  const { options } = engine.getDiffProfile('messages');
+  const message = (data, text) => ({
+    payload: {
+      mimeType: 'multipart/alternative',
+      parts: [
+        { mimeType: 'text/plain', body: { size: 5, data: text } },
+        { mimeType: 'text/html', body: { size: 9, data } }
+      ]
+    }
+  });
+
+  // "<p>é</p>" as base64url and as padded standard base64
+  const same = engine.generateDiff(message('PHA-w6k8L3A-', 'SGVsbG8'), message('PHA+w6k8L3A+', 'SGVsbG8='), [], options);
+  assert(!same.hasDifferences, 'Encoding differences should not count');
+
+  const changed = engine.generateDiff(message('PHA-w6k8L3A-', 'SGVsbG8'), message('PHA-w6k8L3A-', 'SGVscG8'), [], options);
+  assertEquals(changed.summary.paths, ['payload.parts[0].body.data']);
+  assertEquals(changed.details[0].type, 'decoded_mismatch');
+  assert(changed.details[0].message.includes('byte 3'), changed.details[0].message);
+});
+
+// Test 28: Error bodies are not checked against the field mask
+test('Error responses should not be reported as outside the field mask', () => {
+  const real = { messages: [{ id: 'a' }] };
+  const clone = { error: { code: 404, message: 'Not Found' } };
+  const diff = engine.generateDiff(real, clone, [], {
+    fieldMask: 'messages(id)',
+    resultStatuses: { real: 200, clone: 404 }
+  });
+  assertEquals(diff.details.filter(d => d.type === 'outside_field_mask'), []);
+});
+
+// Test 29: Page tokens are compared by presence, so a missing page still shows
+test('Page tokens should be compared by presence only', () => {
+  const real = { messages: [{ id: 'a' }], nextPageToken: '0912345' };
+  const sameShape = engine.generateDiff(real, { messages: [{ id: 'b' }], nextPageToken: 'clone-p2' });
+  assert(!sameShape.hasDifferences, 'Different token values should match');
+
+  const lastPage = engine.generateDiff(real, { messages: [{ id: 'b' }] });
+  assertEquals(lastPage.summary.paths, ['nextPageToken']);
+  assertEquals(lastPage.details[0].type, 'missing_in_clone');
+});
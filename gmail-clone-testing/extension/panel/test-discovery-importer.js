@@ -0,0 +1,202 @@
+/**
+ * Test Suite for the discovery importer
+ * Run: test-suite.html?suite=discovery-importer
+ */
+
+import { importDiscovery, extendEndpoints } from './discovery-importer.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+// Trimmed-down Gmail discovery document: one overridden method, two new ones
+const FIXTURE = {
+  name: 'gmail',
+  version: 'v1',
+  resources: {
+    users: {
+      methods: {
+        getProfile: {
+          id: 'gmail.users.getProfile',
+          path: 'gmail/v1/users/{userId}/profile',
+          httpMethod: 'GET',
+          parameters: {
+            userId: { type: 'string', location: 'path', required: true, default: 'me' }
+          },
+          description: 'Gets the current user\'s Gmail profile.'
+        }
+      },
+      resources: {
+        messages: {
+          methods: {
+            list: {
+              id: 'gmail.users.messages.list',
+              path: 'gmail/v1/users/{userId}/messages',
+              httpMethod: 'GET',
+              parameters: {
+                userId: { type: 'string', location: 'path', required: true },
+                q: { type: 'string', location: 'query' },
+                maxResults: { type: 'integer', location: 'query', default: '100' }
+              },
+              description: 'Lists the messages in the user\'s mailbox.'
+            }
+          }
+        },
+        settings: {
+          resources: {
+            delegates: {
+              methods: {
+                get: {
+                  id: 'gmail.users.settings.delegates.get',
+                  path: 'gmail/v1/users/{userId}/settings/delegates/{delegateEmail}',
+                  httpMethod: 'GET',
+                  parameters: {
+                    userId: { type: 'string', location: 'path', required: true },
+                    delegateEmail: { type: 'string', location: 'path', required: true }
+                  },
+                  description: 'Gets the specified delegate.'
+                }
+              }
+            },
+            forwardingAddresses: {
+              methods: {
+                create: {
+                  id: 'gmail.users.settings.forwardingAddresses.create',
+                  path: 'gmail/v1/users/{userId}/settings/forwardingAddresses',
+                  httpMethod: 'POST',
+                  parameters: {
+                    userId: { type: 'string', location: 'path', required: true }
+                  },
+                  request: { $ref: 'ForwardingAddress' },
+                  description: 'Creates a forwarding address.'
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  schemas: {
+    ForwardingAddress: {
+      id: 'ForwardingAddress',
+      type: 'object',
+      properties: {
+        forwardingEmail: { type: 'string', description: 'An email address to which messages can be forwarded.' },
+        verificationStatus: {
+          type: 'string',
+          description: 'Indicates whether this address has been verified.',
+          readOnly: true,
+          enum: ['verificationStatusUnspecified', 'accepted', 'pending']
+        }
+      }
+    }
+  }
+};
+
+// ===== TEST SUITE =====
+
+// Test 1: Every method is imported
+test('All discovery methods should be imported', () => {
+  const imported = importDiscovery(FIXTURE);
+  assertEquals(imported.map(e => e.discoveryId), [
+    'gmail.users.getProfile',
+    'gmail.users.messages.list',
+    'gmail.users.settings.delegates.get',
+    'gmail.users.settings.forwardingAddresses.create'
+  ]);
+});
+
+// Test 2: Paths drop the service prefix and keep {userId} for the session default
+test('Paths should be relative to the client base URL', () => {
+  const delegate = importDiscovery(FIXTURE).find(e => e.discoveryId === 'gmail.users.settings.delegates.get');
+  assertEquals(delegate.path, '/users/{userId}/settings/delegates/{delegateEmail}');
+  assertEquals(delegate.id, 'settings-delegates-get');
+  assertEquals(delegate.resource, 'settings');
+  assertEquals(delegate.name, 'Get Delegate');
+});
+
+// Test 3: Parameters carry location, type, default and required
+test('Query and path parameters should be mapped', () => {
+  const list = importDiscovery(FIXTURE).find(e => e.discoveryId === 'gmail.users.messages.list');
+  const maxResults = list.paramsConfig.find(p => p.name === 'maxResults');
+  assertEquals(maxResults.type, 'number');
+  assertEquals(maxResults.location, 'query');
+  assertEquals(maxResults.defaultValue, '100');
+  assert(!list.paramsConfig.some(p => p.name === 'userId'), 'userId should be dropped');
+
+  const delegate = importDiscovery(FIXTURE).find(e => e.discoveryId === 'gmail.users.settings.delegates.get');
+  assert(delegate.paramsConfig[0].required, 'Path params should be required');
+});
+
+// Test 4: Request body schema becomes body params, skipping read-only fields
+test('Request body properties should become params', () => {
+  const create = importDiscovery(FIXTURE).find(e => e.discoveryId === 'gmail.users.settings.forwardingAddresses.create');
+  assertEquals(create.paramsConfig.map(p => p.name), ['forwardingEmail']);
+  assert(!create.paramsConfig[0].location, 'Body params should have no query location');
+});
+
+// Test 5: Hand-written endpoints stay as overrides; new methods are added
+test('Hand-written endpoints should be kept and new methods added', () => {
+  const catalog = {
+    'list-messages': {
+      id: 'list-messages',
+      discoveryId: 'gmail.users.messages.list',
+      name: 'List Messages',
+      resource: 'messages',
+      method: 'GET',
+      path: '/users/{userId}/messages',
+      paramsConfig: [
+        { name: 'q', type: 'search', helpText: 'Use Gmail search syntax', examples: [] },
+        { name: 'fields', type: 'fields', location: 'query' }
+      ]
+    }
+  };
+
+  const { added, extended } = extendEndpoints(catalog, FIXTURE);
+  const list = catalog['list-messages'];
+  assertEquals(list.paramsConfig.map(p => p.name), ['q', 'maxResults', 'fields']);
+  assertEquals(list.paramsConfig[0].type, 'search', 'Hand-written param should win');
+  assertEquals(extended, ['list-messages']);
+  assertEquals(added.length, 3);
+  assert(catalog['settings-delegates-get'].paramsConfig.some(p => p.name === 'fields'), 'New endpoints get the fields param');
+});
+
+// Test 6: A body property named like a path param is not asked for twice
+test('Body properties duplicating a path param should be dropped', () => {
+  const doc = {
+    name: 'gmail',
+    version: 'v1',
+    resources: {
+      users: {
+        resources: {
+          labels: {
+            methods: {
+              update: {
+                id: 'gmail.users.labels.update',
+                path: 'gmail/v1/users/{userId}/labels/{id}',
+                httpMethod: 'PUT',
+                parameters: {
+                  userId: { type: 'string', location: 'path', required: true },
+                  id: { type: 'string', location: 'path', required: true }
+                },
+                request: { $ref: 'Label' }
+              }
+            }
+          }
+        }
+      }
+    },
+    schemas: {
+      Label: {
+        id: 'Label',
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'The immutable ID of the label.' },
+          name: { type: 'string', description: 'The display name of the label.' }
+        }
+      }
+    }
+  };
+
+  const [update] = importDiscovery(doc);
+  assertEquals(update.paramsConfig.map(p => p.name), ['id', 'name']);
+  assertEquals(update.paramsConfig[0].type, 'id', 'The remaining id should be the path param');
+});
@@ -0,0 +1,83 @@
+/**
+ * Test Suite for environment profiles
+ * Run: test-suite.html?suite=environments
+ */
+
+import {
+  DEFAULT_ENVIRONMENTS,
+  findEnvironmentForOrigin,
+  findEnvironmentForUrl,
+  getRequiredOrigins,
+  matchesHostPattern,
+  validateEnvironment
+} from './environments.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+// ===== TEST SUITE =====
+
+// Test 1: Patterns without a port match any port, like Chrome's matching
+test('Host patterns should match scheme, host and any port', () => {
+  assert(matchesHostPattern('http://localhost:3000/inbox', 'http://localhost/*'), 'localhost:3000 should match');
+  assert(!matchesHostPattern('https://localhost:3000/', 'http://localhost/*'), 'Scheme must match');
+  assert(matchesHostPattern('http://localhost:3000/', 'http://localhost:3000/*'), 'Explicit port should match');
+  assert(!matchesHostPattern('http://localhost:4000/', 'http://localhost:3000/*'), 'Other port should not match');
+});
+
+// Test 2: Wildcard subdomains, wildcard scheme and paths
+test('Wildcard patterns should follow Chrome match pattern rules', () => {
+  assert(matchesHostPattern('https://staging.matrices.ai/mail', 'https://*.matrices.ai/*'), 'Subdomain should match');
+  assert(matchesHostPattern('https://matrices.ai/', 'https://*.matrices.ai/*'), 'Bare domain should match *.');
+  assert(!matchesHostPattern('https://evilmatrices.ai/', 'https://*.matrices.ai/*'), 'Suffix without dot should not match');
+  assert(matchesHostPattern('http://qa.example.com/', '*://qa.example.com/*'), '* scheme should match http');
+  assert(!matchesHostPattern('https://qa.example.com/other', 'https://qa.example.com/mail/*'), 'Path must match');
+});
+
+// Test 3: Default profiles map the known hostnames
+test('Default profiles should detect real, clone and localhost', () => {
+  const detect = url => (findEnvironmentForUrl(url, DEFAULT_ENVIRONMENTS) || {}).name;
+  assertEquals(detect('https://mail.google.com/mail/u/0/#inbox'), 'real');
+  assertEquals(detect('https://gmail.matrices.ai/'), 'clone');
+  assertEquals(detect('http://127.0.0.1:5173/'), 'local');
+  assertEquals(detect('https://example.com/'), undefined);
+  // The panel matches its parent's origin (see Test 7)
+  assertEquals(detect('http://localhost:3000/'), 'local');
+  assertEquals(detect('https://mail.google.com.evil.example/'), undefined);
+});
+
+// Test 4: Permissions cover page patterns and API origins, without ports
+test('Required origins should include API hosts without ports', () => {
+  const local = DEFAULT_ENVIRONMENTS.find(e => e.name === 'local');
+  assertEquals(getRequiredOrigins(local), ['http://localhost/*', 'http://127.0.0.1/*']);
+});
+
+// Test 5: Broken profiles are rejected before saving
+test('Invalid profiles should report every problem', () => {
+  assertEquals(validateEnvironment(DEFAULT_ENVIRONMENTS[2]), []);
+  const errors = validateEnvironment({
+    name: 'Staging',
+    role: 'other',
+    auth: 'basic',
+    baseUrl: 'staging.example.com/gmail/v1/',
+    hostPatterns: ['staging.example.com']
+  });
+  assertEquals(errors.length, 5);
+});
+
+// Test 6: Quota budgets accept positive integers for known settings only
+test('Quota budgets should be validated', () => {
+  const withBudget = quotaBudget => validateEnvironment({ ...DEFAULT_ENVIRONMENTS[2], quotaBudget });
+  assertEquals(withBudget({ perMinute: 5000, perSession: 20000 }), []);
+  assertEquals(withBudget({ perMinute: 0, perHour: 10 }).length, 2);
+});
+
+// Test 7: INIT is matched on the parent's origin, which carries no path
+test('Origins should match patterns on scheme, host and port only', () => {
+  const staging = { name: 'staging', hostPatterns: ['https://staging.example.com/mail/*'] };
+  const environments = [...DEFAULT_ENVIRONMENTS, staging];
+  const detect = origin => (findEnvironmentForOrigin(origin, environments) || {}).name;
+  assertEquals(detect('https://staging.example.com'), 'staging');
+  assertEquals(detect('http://staging.example.com'), undefined);
+  assertEquals(detect('http://localhost:3000'), 'local');
+  assertEquals(detect('https://mail.google.com.evil.example'), undefined);
+  assertEquals(detect('null'), undefined);
+});
@@ -0,0 +1,145 @@
+/**
+ * Test Suite for the MIME composer
+ * Run: test-suite.html?suite=mime-composer
+ */
+
+import { composeMessage, encodeQuotedPrintable, getContentId, parseCustomHeaders } from './mime-composer.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+async function compose(fields) {
+  return new TextDecoder().decode(await composeMessage(fields));
+}
+
+function getBoundary(message, subtype) {
+  const match = new RegExp(`multipart/${subtype}; boundary="([^"]+)"`).exec(message);
+  assert(match, `No multipart/${subtype} boundary`);
+  return match[1];
+}
+
+// ===== TEST SUITE =====
+
+// Test 1: A plain ASCII message is 7bit text/plain with every address header
+await test('Plain text message should carry all headers', async () => {
+  const message = await compose({
+    from: 'me@example.com',
+    to: 'you@example.com',
+    cc: 'a@example.com, b@example.com',
+    bcc: 'hidden@example.com',
+    replyTo: 'replies@example.com',
+    subject: 'Hello',
+    body: 'Line one\nLine two'
+  });
+
+  const [head, body] = message.split('\r\n\r\n');
+  assertEquals(head.split('\r\n'), [
+    'From: me@example.com',
+    'To: you@example.com',
+    'Cc: a@example.com, b@example.com',
+    'Bcc: hidden@example.com',
+    'Reply-To: replies@example.com',
+    'Subject: Hello',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 7bit'
+  ]);
+  assertEquals(body, 'Line one\r\nLine two\r\n');
+});
+
+// Test 2: Text and HTML become multipart/alternative, plain text first
+await test('Text and HTML should be sent as multipart/alternative', async () => {
+  const message = await compose({ to: 'you@example.com', subject: 'Hi', body: 'Hi', htmlBody: '<p>Hi</p>' });
+  const boundary = getBoundary(message, 'alternative');
+  const parts = message.split(`--${boundary}`);
+
+  assertEquals(parts.length, 4, 'Preamble, two parts and the closing marker');
+  assert(parts[1].includes('Content-Type: text/plain'), 'Plain text first');
+  assert(parts[2].includes('Content-Type: text/html'), 'HTML second');
+  assert(parts[3].startsWith('--'), 'Closing boundary');
+});
+
+// Test 3: Non-ASCII and overlong lines are quoted-printable with lines of at most 76 characters
+await test('Quoted-printable should encode UTF-8, trailing spaces and long lines', () => {
+  assertEquals(encodeQuotedPrintable('Café = ok '), 'Caf=C3=A9 =3D ok=20');
+
+  const encoded = encodeQuotedPrintable('x'.repeat(200));
+  assert(encoded.split('\r\n').every(line => line.length <= 76), 'Lines within 76 characters');
+  assertEquals(encoded.replace(/=\r\n/g, ''), 'x'.repeat(200), 'Soft breaks removed give the original');
+});
+
+// Test 4: Attachments wrap inline images, which wrap the alternative bodies
+await test('Attachments and inline images should nest mixed > related > alternative', async () => {
+  const message = await compose({
+    to: 'you@example.com',
+    subject: 'Report',
+    body: 'See attached',
+    htmlBody: '<img src="cid:logo.png">',
+    inlineImages: [new File([new Uint8Array([137, 80, 78, 71])], 'logo.png', { type: 'image/png' })],
+    attachments: [new File(['a'.repeat(100)], 'report.txt', { type: 'text/plain' })]
+  });
+
+  const mixed = message.indexOf('multipart/mixed');
+  const related = message.indexOf('multipart/related');
+  const alternative = message.indexOf('multipart/alternative');
+  assert(mixed !== -1 && mixed < related && related < alternative, 'Nesting order');
+  assert(message.includes('type="multipart/alternative"'), 'Related names its root type');
+  assert(message.includes('Content-ID: <logo.png>'), 'Inline image Content-ID');
+  assert(message.includes('Content-Disposition: attachment; filename="report.txt"'), 'Attachment disposition');
+  assert(message.split('\r\n').every(line => line.length <= 76 || line.startsWith('Content-Type: multipart/')), 'Base64 wrapped');
+  assertEquals(getContentId('my logo (1).png'), 'my_logo__1_.png');
+});
+
+// Test 5: Custom headers are added; structural headers and line breaks are refused
+await test('Custom headers should be validated', async () => {
+  assertEquals(parseCustomHeaders('X-Campaign: spring\n\nIn-Reply-To: <a@b>'), [['X-Campaign', 'spring'], ['In-Reply-To', '<a@b>']]);
+
+  const refused = [
+    () => parseCustomHeaders('Content-Type: text/html'),
+    () => parseCustomHeaders('Subject: twice'),
+    () => parseCustomHeaders('not a header')
+  ].filter(fn => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      return true;
+    }
+  });
+  assertEquals(refused.length, 3, 'All three should throw');
+
+  let injection = null;
+  try {
+    await compose({ to: 'you@example.com', subject: 'Hi\r\nBcc: evil@example.com', body: 'x' });
+  } catch (error) {
+    injection = error;
+  }
+  assert(injection, 'Multi-line subject should throw');
+});
+
+// Test 6: Internationalized headers are encoded, folded and validated before anything is sent
+await test('Non-ASCII headers should be encoded and long ones folded', async () => {
+  const message = await compose({
+    from: 'Zoë <zoe@example.com>',
+    to: 'Jürgen <juergen@bücher.example>',
+    cc: Array.from({ length: 6 }, (_, index) => `person${index}@example.com`).join(', '),
+    subject: 'Réunion du comité',
+    body: 'x',
+    attachments: [new File(['x'], 'résumé.pdf', { type: 'application/pdf' })]
+  });
+  const head = message.slice(0, message.indexOf('\r\n\r\n'));
+
+  assert(/^[\x00-\x7F]*$/.test(message), 'Message is ASCII');
+  assert(/^From: =\?UTF-8\?B\?\S+\?= <zoe@example\.com>$/m.test(head), 'Encoded display name');
+  assert(head.includes('<juergen@xn--bcher-kva.example>'), 'Punycode domain');
+  assert(/^Subject: =\?UTF-8\?B\?/m.test(head), 'Encoded subject');
+  assert(head.split('\r\n').every(line => line.length <= 78), 'Header lines folded');
+  assert(/^ person/m.test(head), 'Cc continues on a folded line');
+  assert(message.includes("filename*=utf-8''r%C3%A9sum%C3%A9.pdf"), 'RFC 2231 file name');
+
+  let rejected = null;
+  try {
+    await compose({ to: 'Bob <bob@example.com>, not-an-address', subject: 'Hi', body: 'x' });
+  } catch (error) {
+    rejected = error;
+  }
+  assert(rejected && rejected.message.startsWith('To:'), 'Malformed address rejected with its header');
+});
@@ -0,0 +1,85 @@
+/**
+ * Test Suite for the MIME payload decoder
+ * Run: test-suite.html?suite=mime-decoder
+ */
+
+import { countParts, decodePart, findFirstDifference, findMessagePayloads } from './mime-decoder.js';
+import { renderDecodedMessages } from './response-views.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+/**
+ * A format=full message: text and HTML alternatives plus a PDF attachment
+ */
+const MESSAGE = {
+  id: 'm1',
+  payload: {
+    partId: '',
+    mimeType: 'multipart/mixed',
+    headers: [{ name: 'Subject', value: 'Report' }],
+    body: { size: 0 },
+    parts: [
+      {
+        partId: '0',
+        mimeType: 'multipart/alternative',
+        body: { size: 0 },
+        parts: [
+          // "Café" in ISO-8859-1
+          { partId: '0.0', mimeType: 'text/plain', headers: [{ name: 'Content-Type', value: 'text/plain; charset="ISO-8859-1"' }], body: { size: 4, data: 'Q2Fm6Q' } },
+          // "<p>é</p><script>x</script>"
+          { partId: '0.1', mimeType: 'text/html', body: { size: 27, data: 'PHA-w6k8L3A-PHNjcmlwdD54PC9zY3JpcHQ-' } }
+        ]
+      },
+      { partId: '1', mimeType: 'application/pdf', filename: 'report.pdf', body: { size: 52000, attachmentId: 'att-1' } }
+    ]
+  }
+};
+
+// ===== TEST SUITE =====
+
+// Test 1: Payloads are found in messages, drafts and threads, with their JSON paths
+test('Message payloads should be found in every response shape', () => {
+  assertEquals(findMessagePayloads(MESSAGE).map(entry => entry.path), ['payload']);
+  assertEquals(findMessagePayloads({ id: 'd1', message: MESSAGE }).map(entry => entry.path), ['message.payload']);
+  assertEquals(findMessagePayloads({ messages: [MESSAGE, { id: 'm2' }, MESSAGE] }).map(entry => entry.path),
+    ['messages[0].payload', 'messages[2].payload']);
+  assertEquals(findMessagePayloads({ labels: [] }), []);
+});
+
+// Test 2: The tree keeps structure, numbers parts like Gmail and decodes text with its charset
+test('Payload should decode into a part tree', () => {
+  const tree = decodePart(MESSAGE.payload);
+  const [alternative, attachment] = tree.children;
+  const [plain, html] = alternative.children;
+
+  assertEquals(countParts(tree), 5);
+  assertEquals([alternative.partNumber, plain.partNumber, html.partNumber, attachment.partNumber], ['0', '0.0', '0.1', '1']);
+  assertEquals(plain.path, 'payload.parts[0].parts[0]');
+  assertEquals([plain.kind, plain.text], ['text', 'Café']);
+  assertEquals([html.kind, html.text], ['html', '<p>é</p><script>x</script>']);
+  assertEquals([attachment.kind, attachment.attachmentId, attachment.filename], ['binary', 'att-1', 'report.pdf']);
+});
+
+// Test 3: Undecodable bodies are reported on the part
+test('Invalid body data should be reported', () => {
+  const node = decodePart({ mimeType: 'text/plain', body: { data: '%%%' } });
+  assert(node.error && node.error.includes('base64url'), 'Error set');
+  assertEquals(node.text, null);
+});
+
+// Test 4: Byte comparison reports the first differing offset
+test('First difference should be located', () => {
+  assertEquals(findFirstDifference(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2, 3])), -1);
+  assertEquals(findFirstDifference(new Uint8Array([1, 2, 3]), new Uint8Array([1, 9, 3])), 1);
+  assertEquals(findFirstDifference(new Uint8Array([1, 2]), new Uint8Array([1, 2, 3])), 2);
+});
+
+// Test 5: HTML renders only inside an empty sandbox, escaped into srcdoc; differing parts are marked
+test('Decoded view should sandbox HTML and mark differing parts', () => {
+  const html = renderDecodedMessages(MESSAGE, ['payload.parts[0].parts[1].body.data']);
+
+  assert(html.includes('sandbox=""'), 'Empty sandbox');
+  assert(!html.includes('<script>'), 'Script never appears unescaped');
+  assert(html.includes('&lt;script&gt;x&lt;/script&gt;'), 'Escaped into srcdoc and source view');
+  assertEquals((html.match(/mime-part part-diff/g) || []).length, 1, 'Only the HTML part is marked');
+  assertEquals(renderDecodedMessages({ labels: [] }), '');
+});
@@ -0,0 +1,113 @@
+/**
+ * Test Suite for MIME header encoding
+ * Run: test-suite.html?suite=mime-headers
+ */
+
+import {
+  encodeHeaderValue,
+  encodeWords,
+  foldHeader,
+  formatAddressList,
+  formatParameter,
+  parseAddressList
+} from './mime-headers.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+/**
+ * Decode RFC 2047 "B" encoded-words (whitespace between adjacent words is dropped, as a reader would)
+ */
+function decodeWords(value) {
+  return value
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?UTF-8\?B\?([^?]*)\?=/g, (match, base64) =>
+      new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0))));
+}
+
+// ===== TEST SUITE =====
+
+// Test 1: ASCII passes through; non-ASCII becomes encoded-words of at most 75 characters
+test('Non-ASCII header text should become RFC 2047 encoded-words', () => {
+  assertEquals(encodeHeaderValue('Plain subject'), 'Plain subject');
+
+  const subject = 'Re: Réunion 会議 demain';
+  const encoded = encodeHeaderValue(subject);
+  assert(encoded.startsWith('Re: =?UTF-8?B?'), 'Leading ASCII stays readable');
+  assert(/^[\x20-\x7E]*$/.test(encoded), 'Output is ASCII');
+  assertEquals(decodeWords(encoded), subject);
+
+  const long = '日本語のテキスト'.repeat(10);
+  const words = encodeWords(long).split(' ');
+  assert(words.length > 1, 'Long text splits into several words');
+  assert(words.every(word => word.length <= 75), 'Each word fits in 75 characters');
+  assertEquals(decodeWords(words.join(' ')), long, 'Characters are never split across words');
+});
+
+// Test 2: Long lines fold at whitespace into continuation lines
+test('Long headers should fold at 78 characters', () => {
+  const folded = foldHeader('Subject', 'word '.repeat(40).trim());
+  const lines = folded.split('\r\n');
+
+  assert(lines.length > 1, 'Folded');
+  assert(lines.every(line => line.length <= 78), 'Lines within 78 characters');
+  assert(lines.slice(1).every(line => line.startsWith(' ')), 'Continuations start with whitespace');
+  assertEquals(folded.replace(/\r\n/g, ''), `Subject: ${'word '.repeat(40).trim()}`, 'Unfolding restores the header');
+  assertEquals(foldHeader('To', 'a@example.com'), 'To: a@example.com');
+});
+
+// Test 3: Address lists respect quotes, and display names are quoted or encoded as needed
+test('Address lists should be parsed and formatted', () => {
+  const { addresses, errors } = parseAddressList('a@example.com, "Doe, Jane" <jane@example.com>, bob@example.com (Bob)');
+  assertEquals(errors, []);
+  assertEquals(addresses, [
+    { name: '', address: 'a@example.com' },
+    { name: 'Doe, Jane', address: 'jane@example.com' },
+    { name: 'Bob', address: 'bob@example.com' }
+  ]);
+
+  assertEquals(formatAddressList('Bob Smith <bob@example.com>, J. Doe <j@example.com>'),
+    'Bob Smith <bob@example.com>, "J. Doe" <j@example.com>');
+  const encoded = formatAddressList('Zoë Ünal <zoe@example.com>');
+  assert(/^=\?UTF-8\?B\?\S+\?= <zoe@example\.com>$/.test(encoded), `Encoded display name: ${encoded}`);
+  assertEquals(formatAddressList('user@bücher.example'), 'user@xn--bcher-kva.example', 'IDN domain to punycode');
+});
+
+// Test 4: Malformed addresses are reported, not sent
+test('Malformed addresses should be flagged', () => {
+  const { addresses, errors } = parseAddressList(
+    'good@example.com, no-at-sign, a@b, ü@example.com, two..dots@example.com, Bob <bob@example.com',
+    { requireDottedDomain: true }
+  );
+  assertEquals(addresses.map(entry => entry.address), ['good@example.com']);
+  assertEquals(errors.length, 5, errors.join(' | '));
+
+  let thrown = null;
+  try {
+    formatAddressList('not an address');
+  } catch (error) {
+    thrown = error;
+  }
+  assert(thrown && thrown.message.includes('not an address'), 'formatAddressList throws with the entry');
+});
+
+// Test 5: File name parameters use RFC 2231 when non-ASCII, with continuations when long
+test('Non-ASCII parameters should use RFC 2231', () => {
+  assertEquals(formatParameter('filename', 'report "final".pdf'), 'filename="report \\"final\\".pdf"');
+  assertEquals(formatParameter('filename', 'résumé.pdf'), "filename*=utf-8''r%C3%A9sum%C3%A9.pdf");
+
+  const long = formatParameter('filename', `${'ü'.repeat(30)}.txt`);
+  assert(long.startsWith("filename*0*=utf-8''"), 'Continuations start at 0 with the charset');
+  assert(long.includes('; filename*1*='), 'Second continuation');
+  assert(!/%[0-9A-F]?;/.test(long), 'Percent escapes are never split');
+});
+
+// Test 6: Empty groups and single-label domains are accepted; groups with members are not
+test('Empty groups and localhost addresses should be accepted', () => {
+  const { addresses, groups, errors } = parseAddressList('undisclosed-recipients:;, dev@localhost');
+  assertEquals(errors, []);
+  assertEquals(groups, ['undisclosed-recipients']);
+  assertEquals(addresses, [{ name: '', address: 'dev@localhost' }]);
+  assertEquals(formatAddressList('undisclosed-recipients:;'), 'undisclosed-recipients:;');
+
+  assertEquals(parseAddressList('dev@localhost', { requireDottedDomain: true }).errors.length, 1, 'Real targets need a dotted domain');
+  assert(parseAddressList('Team: a@example.com').errors[0].includes('group with members'), 'Groups with members are reported');
+});
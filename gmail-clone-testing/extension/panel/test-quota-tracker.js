@@ -0,0 +1,76 @@
+/**
+ * Test Suite for quota accounting
+ * Run: test-suite.html?suite=quota-tracker
+ */
+
+import { endpoints } from './endpoints.js';
+import {
+  DEFAULT_QUOTA_BUDGET,
+  QUOTA_WINDOW_MS,
+  QuotaTracker,
+  getEndpointQuotaCost,
+  getQuotaCost,
+  resolveQuotaBudget
+} from './quota-tracker.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+// ===== TEST SUITE =====
+
+// Test 1: Every hand-written endpoint declares its cost
+test('Every endpoint should have a quota cost', () => {
+  const missing = Object.values(endpoints).filter(endpoint => !Number.isInteger(endpoint.quotaCost) || endpoint.quotaCost < 1);
+  assertEquals(missing.map(endpoint => endpoint.id), []);
+  assertEquals(endpoints['send-message'].quotaCost, 100);
+  assertEquals(endpoints['get-message'].quotaCost, 5);
+});
+
+// Test 2: Requests are costed by method and path template; unknown methods err high
+test('Request costs should be looked up from the catalog', () => {
+  assertEquals(getQuotaCost('POST', '/users/{userId}/messages/send'), 100);
+  assertEquals(getQuotaCost('GET', '/users/{userId}/threads/{id}'), 10);
+  assertEquals(getQuotaCost('GET', '/not/in/catalog'), 0);
+  assertEquals(getEndpointQuotaCost({ method: 'GET', path: '/x' }), 10);
+  assertEquals(getEndpointQuotaCost({ method: 'POST', path: '/x' }), 100);
+});
+
+// Test 3: Session totals grow; the per-minute total only counts the last minute
+test('Usage should be tracked per target, per minute and per session', () => {
+  const tracker = new QuotaTracker();
+  tracker.record('real', 100, 0);
+  tracker.record('real', 5, 30000);
+  tracker.record('clone', 5, 30000);
+
+  assertEquals(tracker.getUsage('real', 30000), { session: 105, lastMinute: 105 });
+  assertEquals(tracker.getUsage('real', QUOTA_WINDOW_MS + 1), { session: 105, lastMinute: 5 });
+  assertEquals(tracker.getUsage('clone', 30000), { session: 5, lastMinute: 5 });
+  assertEquals(tracker.getUsage('local'), { session: 0, lastMinute: 0 });
+  assertEquals(tracker.getTargets(), ['real', 'clone']);
+});
+
+// Test 4: Budgets warn before the next action would go over, per minute and per session
+test('Budget checks should warn before going over', () => {
+  const tracker = new QuotaTracker();
+  const budget = resolveQuotaBudget({ perMinute: 200, perSession: 1000 });
+  tracker.record('real', 150, 0);
+
+  assertEquals(tracker.checkBudget('real', 50, budget, 1000), []);
+  assertEquals(tracker.checkBudget('real', 100, budget, 1000).length, 1, 'Per-minute budget');
+  assertEquals(tracker.checkBudget('real', 100, budget, QUOTA_WINDOW_MS + 1), [], 'Window has passed');
+  assert(tracker.checkBudget('real', 900, budget, QUOTA_WINDOW_MS + 1).some(warning => warning.includes('units/session')), 'Session budget');
+  assertEquals(tracker.checkBudget('real', 100000, resolveQuotaBudget({ perMinute: null }), 0), [], 'No limits');
+});
+
+// Test 5: Defaults and reset
+test('Defaults should apply and reset should start a new session', () => {
+  assertEquals(resolveQuotaBudget(), DEFAULT_QUOTA_BUDGET);
+  assertEquals(resolveQuotaBudget({ perSession: 500 }), { perMinute: 15000, perSession: 500 });
+
+  const tracker = new QuotaTracker();
+  const changes = [];
+  tracker.onChange = target => changes.push(target);
+  tracker.record('real', 5, 0);
+  tracker.record('real', 0, 0);
+  tracker.reset();
+  assertEquals(changes, ['real', null], 'Zero-cost records do not notify');
+  assertEquals(tracker.getTargets(), []);
+});
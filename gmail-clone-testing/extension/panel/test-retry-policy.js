@@ -0,0 +1,78 @@
+/**
+ * Test Suite for the retry policy
+ * Run: test-suite.html?suite=retry-policy
+ */
+
+import {
+  DEFAULT_RETRY_POLICY,
+  computeBackoffDelay,
+  getRetryDecision,
+  isRateLimitOrNetworkFailure,
+  isTransientFailure,
+  parseRetryAfter,
+  resolveRetryPolicy
+} from './retry-policy.js';
+import { test, assert, assertEquals } from './test-runner.js';
+
+// ===== TEST SUITE =====
+
+// Test 1: Rate limits, 5xx and network errors are transient; client errors are not
+test('Transient failures should be classified', () => {
+  assert(isTransientFailure({ status: 429 }), '429 is transient');
+  assert(isTransientFailure({ status: 503 }), '503 is transient');
+  assert(isTransientFailure({ status: null, networkError: true }), 'Network error is transient');
+  assert(isTransientFailure({
+    status: 403,
+    body: { error: { errors: [{ reason: 'userRateLimitExceeded' }] } }
+  }), 'Gmail 403 rate limit is transient');
+  assert(!isTransientFailure({ status: 403, body: { error: { errors: [{ reason: 'forbidden' }] } } }), '403 forbidden is not');
+  assert(!isTransientFailure({ status: 404 }), '404 is not transient');
+});
+
+// Test 2: Retry-After as seconds or HTTP date
+test('Retry-After should parse seconds and dates', () => {
+  assertEquals(parseRetryAfter('2'), 2000);
+  assertEquals(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 5000);
+  assertEquals(parseRetryAfter(null), null);
+  assertEquals(parseRetryAfter('soon'), null);
+});
+
+// Test 3: Backoff doubles per attempt up to the cap, scaled by jitter
+test('Backoff should grow exponentially with full jitter', () => {
+  const policy = resolveRetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+  assertEquals(computeBackoffDelay(1, policy, () => 0.5), 50);
+  assertEquals(computeBackoffDelay(3, policy, () => 0.5), 200);
+  assertEquals(computeBackoffDelay(10, policy, () => 0.999), 999);
+  assertEquals(computeBackoffDelay(2, policy, () => 0), 0);
+});
+
+// Test 4: Retry-After wins over backoff, but is not waited out past maxDelayMs
+test('Retry decision should honor Retry-After and the attempt cap', () => {
+  const policy = DEFAULT_RETRY_POLICY;
+  const rateLimited = { status: 429 };
+  assertEquals(getRetryDecision(rateLimited, { attempt: 1, method: 'POST', retryAfter: '1', policy }).delayMs, 1000);
+  assert(!getRetryDecision(rateLimited, { attempt: 1, method: 'GET', retryAfter: '60', policy }).retry, 'Long Retry-After stops');
+  assert(!getRetryDecision(rateLimited, { attempt: policy.maxAttempts, method: 'GET', policy }).retry, 'Cap stops');
+  assertEquals(getRetryDecision({ status: 200 }, { attempt: 1, method: 'GET', policy }).reason, null);
+});
+
+// Test 5: 5xx is only retried for methods that are safe to repeat
+test('Non-idempotent methods should not be retried after 5xx', () => {
+  const policy = DEFAULT_RETRY_POLICY;
+  assert(getRetryDecision({ status: 503 }, { attempt: 1, method: 'GET', policy, random: () => 0 }).retry, 'GET retried');
+  const post = getRetryDecision({ status: 503 }, { attempt: 1, method: 'POST', policy });
+  assert(!post.retry, 'POST not retried');
+  assert(post.reason.includes('not safe to repeat'), 'Reason explains why');
+});
+
+// Test 6: Only rate limits and network errors say nothing about the target; a lasting 5xx is its answer
+test('Persistent 5xx should not count as a rate limit or network failure', () => {
+  assert(isRateLimitOrNetworkFailure({ status: 429 }), '429 is a rate limit');
+  assert(isRateLimitOrNetworkFailure({ status: null, networkError: true }), 'Network error');
+  assert(isRateLimitOrNetworkFailure({
+    status: 403,
+    body: { error: { errors: [{ reason: 'userRateLimitExceeded' }] } }
+  }), 'Gmail 403 rate limit');
+  assert(!isRateLimitOrNetworkFailure({ status: 500 }), '500 is the server\'s answer');
+  assert(!isRateLimitOrNetworkFailure({ status: 503 }), '503 is the server\'s answer');
+});
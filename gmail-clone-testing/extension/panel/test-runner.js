@@ -0,0 +1,106 @@
+/**
+ * Test Runner - Shared helpers for the panel test suites
+ * Open test-suite.html?suite=<name> to run test-<name>.js (e.g., ?suite=quota-tracker);
+ * suites import test/assert/assertEquals from here and the results are rendered once they finish.
+ */
+
+const results = [];
+const pending = [];
+
+/**
+ * Run a test and record the result
+ * Async tests can be awaited when later tests depend on them
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body (may return a promise)
+ * @returns {Promise<void>} Resolves once the test has finished
+ */
+export function test(name, fn) {
+  const run = (async () => {
+    try {
+      await fn();
+      results.push({ name, status: 'pass', error: null });
+      console.log(`✓ ${name}`);
+    } catch (error) {
+      results.push({ name, status: 'fail', error: error.message });
+      console.error(`✗ ${name}:`, error.message);
+    }
+  })();
+  pending.push(run);
+  return run;
+}
+
+export function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message || 'Assertion failed');
+  }
+}
+
+export function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Wait for every test and render the summary into #test-results
+ * @returns {Promise<Array<Object>>} Results [{name, status, error}]
+ */
+export async function renderResults() {
+  await Promise.all(pending);
+
+  const container = document.getElementById('test-results');
+  const passCount = results.filter(r => r.status === 'pass').length;
+  const failCount = results.filter(r => r.status === 'fail').length;
+
+  container.innerHTML = `
+    <div class="test-section ${failCount === 0 ? 'pass' : 'fail'}">
+      <div class="test-title">
+        Test Summary: ${passCount}/${results.length} Passed
+      </div>
+      <div class="test-result">
+        <span class="pass">✓ Passed: ${passCount}</span> |
+        <span class="fail">✗ Failed: ${failCount}</span>
+      </div>
+    </div>
+
+    ${results.map(r => `
+      <div class="test-section ${r.status}">
+        <div class="test-title">
+          ${r.status === 'pass' ? '✓' : '✗'} ${r.name}
+        </div>
+        ${r.error ? `<div class="test-result fail">Error: ${r.error}</div>` : ''}
+      </div>
+    `).join('')}
+  `;
+
+  console.log('\n===== TEST SUMMARY =====');
+  console.log(`Total: ${results.length}`);
+  console.log(`Passed: ${passCount}`);
+  console.log(`Failed: ${failCount}`);
+  console.log('=======================\n');
+
+  return results;
+}
+
+// ===== LOAD SUITE =====
+
+const suite = new URLSearchParams(window.location.search).get('suite');
+const heading = document.getElementById('suite-name');
+
+if (suite && /^[a-z-]+$/.test(suite)) {
+  heading.textContent = `test-${suite}.js`;
+  document.title = `${suite} tests`;
+  import(`./test-${suite}.js`)
+    .then(() => renderResults())
+    .catch(error => {
+      console.error(`[Tests] Could not run test-${suite}.js:`, error);
+      document.getElementById('test-results').innerHTML = `
+        <div class="test-section fail">
+          <div class="test-title">✗ Could not load test-${suite}.js</div>
+          <div class="test-result fail">Error: ${error.message}</div>
+        </div>
+      `;
+    });
+} else {
+  heading.textContent = 'No suite selected (add ?suite=<name>, e.g., ?suite=quota-tracker)';
+}
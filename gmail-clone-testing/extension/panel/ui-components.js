@@ -2,6 +2,8 @@
  * UI Components - Form rendering with autocomplete support
  */
 
+import { GMAIL_LABEL_COLORS } from './label-colors.js';
+
 // ===== RESPONSE CACHE (Separate for Real and Clone) =====
 export const responseCache = {
   real: {
@@ -9,6 +11,9 @@ export const responseCache = {
     threads: [],
     messages: [],
     drafts: [],
+    attachments: [],
+    filters: [],
+    sendAs: [],
     lastUpdated: null
   },
   clone: {
@@ -16,10 +21,25 @@ export const responseCache = {
     threads: [],
     messages: [],
     drafts: [],
+    attachments: [],
+    filters: [],
+    sendAs: [],
     lastUpdated: null
   }
 };
 
+/**
+ * Empty the autocomplete cache (e.g., after switching to another mailbox)
+ */
+export function clearResponseCache() {
+  Object.values(responseCache).forEach(cache => {
+    Object.keys(cache).forEach(key => {
+      cache[key] = key === 'lastUpdated' ? null : [];
+    });
+  });
+  console.log('[Cache] Cleared response cache');
+}
+
 /**
  * Cache response data from List operations for autocomplete
  * @param {Object} data - API response data
@@ -51,6 +71,69 @@ export function cacheResponseData(data, mode = 'real') {
     responseCache[mode].lastUpdated = Date.now();
     console.log(`[Cache] Cached ${data.drafts.length} drafts for ${mode}`);
   }
+
+  // Filters list uses the singular "filter" key
+  if (data.filter) {
+    responseCache[mode].filters = data.filter;
+    responseCache[mode].lastUpdated = Date.now();
+    console.log(`[Cache] Cached ${data.filter.length} filters for ${mode}`);
+  }
+
+  if (data.sendAs) {
+    responseCache[mode].sendAs = data.sendAs;
+    responseCache[mode].lastUpdated = Date.now();
+    console.log(`[Cache] Cached ${data.sendAs.length} send-as aliases for ${mode}`);
+  }
+
+  // Full messages (Get Message, or the messages inside Get Thread) carry attachment IDs
+  const fullMessages = data.payload ? [data] : (data.messages || []).filter(m => m.payload);
+  fullMessages.forEach(message => {
+    const attachments = extractAttachments(message);
+    responseCache[mode].attachments = responseCache[mode].attachments
+      .filter(a => a.messageId !== message.id)
+      .concat(attachments);
+    responseCache[mode].lastUpdated = Date.now();
+    if (attachments.length > 0) {
+      console.log(`[Cache] Cached ${attachments.length} attachments of message ${message.id} for ${mode}`);
+    }
+  });
+}
+
+/**
+ * Collect attachment references from a message's payload.parts tree
+ * @param {Object} message - Full message resource
+ * @returns {Array<Object>} Attachment entries {id, name, messageId, mimeType, size}
+ */
+function extractAttachments(message) {
+  const attachments = [];
+
+  const walk = (part) => {
+    if (!part) return;
+    if (part.body && part.body.attachmentId) {
+      attachments.push({
+        id: part.body.attachmentId,
+        name: part.filename || `(part ${part.partId || '?'})`,
+        messageId: message.id,
+        mimeType: part.mimeType,
+        size: part.body.size
+      });
+    }
+    (part.parts || []).forEach(walk);
+  };
+
+  walk(message.payload);
+  return attachments;
+}
+
+/**
+ * Look up cached metadata for an attachment (filename, MIME type)
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} mode - 'real' or 'clone'
+ * @returns {Object|null} Cached attachment entry or null
+ */
+export function getCachedAttachment(attachmentId, mode = 'real') {
+  const cache = responseCache[mode] || responseCache.real;
+  return cache.attachments.find(a => a.id === attachmentId) || null;
 }
 
 /**
@@ -66,11 +149,36 @@ export function getCachedSuggestions(resourceType, mode = 'real') {
   }
 
   const cached = responseCache[mode][resourceType] || [];
-  return cached.map(item => ({
-    id: item.id,
-    name: item.name || item.snippet || (item.id.substring(0, 30) + '...'),
-    rawItem: item
-  }));
+  return cached.map(item => {
+    // Send-as aliases are keyed by address instead of an id
+    const id = item.id || item.sendAsEmail;
+    return {
+      id,
+      name: item.name || item.snippet || item.sendAsEmail || (item.criteria && summarizeCriteria(item.criteria)) || (id.substring(0, 30) + '...'),
+      rawItem: item
+    };
+  });
+}
+
+/**
+ * Get the unique form key for a parameter
+ * Grouped params (e.g., filter criteria) are prefixed so names can repeat across groups
+ * @param {Object} param - Parameter configuration
+ * @returns {string} Key used for input IDs and collected params
+ */
+export function getParamKey(param) {
+  return param.group ? `${param.group}-${param.name}` : param.name;
+}
+
+/**
+ * Summarize a filter's criteria for display in suggestion chips
+ * @param {Object} criteria - Filter criteria object
+ * @returns {string} Short description (e.g., "from:boss@example.com")
+ */
+function summarizeCriteria(criteria) {
+  return Object.entries(criteria)
+    .map(([field, value]) => `${field}:${value}`)
+    .join(' ');
 }
 
 /**
@@ -90,6 +198,7 @@ function capitalize(str) {
  * @returns {string} HTML string
  */
 export function renderIdFieldWithAutocomplete(param, resourceType, mode = 'real') {
+  const key = getParamKey(param);
   const suggestions = getCachedSuggestions(resourceType, mode);
   const hasCache = suggestions.length > 0;
 
@@ -99,22 +208,23 @@ export function renderIdFieldWithAutocomplete(param, resourceType, mode = 'real'
 
   return `
     <div class="form-group">
-      <label for="param-${param.name}">
+      <label for="param-${key}">
         ${param.label}
         ${requiredBadge}
       </label>
 
       <input type="text"
-             id="param-${param.name}"
+             id="param-${key}"
              class="param-input"
              placeholder="${param.placeholder}">
 
       ${hasCache ? `
         <div class="param-examples autocomplete-suggestions">
           <strong>💡 Available ${resourceType}:</strong>
-          <div class="example-chips" id="chips-${param.name}">
+          <div class="example-chips" id="chips-${key}">
             ${suggestions.map(s => `
-              <button class="example-chip" data-param="${param.name}" data-value="${s.id}" title="${s.id}">
+              <button class="example-chip" data-param="${key}" data-value="${s.id}" title="${s.id}"
+                ${param.relatedParam && s.rawItem[param.relatedParam] ? `data-related-param="${param.relatedParam}" data-related-value="${s.rawItem[param.relatedParam]}"` : ''}>
                 ${s.name}
               </button>
             `).join('')}
@@ -124,16 +234,77 @@ export function renderIdFieldWithAutocomplete(param, resourceType, mode = 'real'
         <div class="param-help">
           ℹ️ ${param.helpText}
         </div>
+        <div class="no-cache-hint">
+          ${param.cacheHint ? `
+            <p>💡 ${param.cacheHint}</p>
+          ` : `
+            <button class="auto-list-hint" data-resource="${resourceType}">
+              💡 Run "List ${capitalize(resourceType)}" first to see available options
+            </button>
+          `}
+        </div>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Render multi-select ID field: toggleable chips from the cache plus a paste box
+ * @param {Object} param - Parameter configuration
+ * @param {string} resourceType - Resource type for suggestions
+ * @param {string} mode - 'real' or 'clone' to determine which cache to use
+ * @returns {string} HTML string
+ */
+export function renderMultiIdField(param, resourceType, mode = 'real') {
+  const key = getParamKey(param);
+  const suggestions = getCachedSuggestions(resourceType, mode);
+
+  const requiredBadge = param.required
+    ? '<span class="badge required">Required</span>'
+    : '<span class="badge optional">Optional</span>';
+
+  return `
+    <div class="form-group">
+      <label for="param-${key}">
+        ${param.label}
+        ${requiredBadge}
+      </label>
+
+      <textarea id="param-${key}" class="param-input" rows="3" placeholder="${param.placeholder}"></textarea>
+
+      ${suggestions.length > 0 ? `
+        <div class="param-examples autocomplete-suggestions">
+          <strong>💡 Available ${resourceType} (click to toggle):</strong>
+          <div class="example-chips" id="chips-${key}">
+            <button class="example-chip multi-id-select-all" data-param="${key}">Select all ${suggestions.length}</button>
+            ${suggestions.map(s => `
+              <button class="example-chip" data-param="${key}" data-value="${s.id}" data-toggle="true" title="${s.id}">
+                ${s.name}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+      ` : `
         <div class="no-cache-hint">
           <button class="auto-list-hint" data-resource="${resourceType}">
-            💡 Run "List ${capitalize(resourceType)}" first to see available options
+            💡 Run "List ${capitalize(resourceType)}" first to pick from available ${resourceType}
           </button>
         </div>
       `}
+      ${param.helpText ? `<div class="param-help">ℹ️ ${param.helpText}</div>` : ''}
     </div>
   `;
 }
 
+/**
+ * Split a pasted list of IDs (commas, spaces or new lines)
+ * @param {string} value - Raw input value
+ * @returns {Array<string>} Unique non-empty IDs
+ */
+export function parseIdList(value) {
+  return [...new Set(value.split(/[\s,]+/).filter(id => id))];
+}
+
 /**
  * Render a single parameter input field
  * @param {Object} param - Parameter configuration
@@ -143,9 +314,14 @@ export function renderIdFieldWithAutocomplete(param, resourceType, mode = 'real'
  */
 export function renderParam(param, resourceType = null, mode = 'real') {
   if (param.type === 'id') {
-    return renderIdFieldWithAutocomplete(param, resourceType, mode);
+    // Params can point at another resource's cache (e.g., messageId on an attachment endpoint)
+    return renderIdFieldWithAutocomplete(param, param.resource || resourceType, mode);
+  }
+  if (param.type === 'multi-id') {
+    return renderMultiIdField(param, param.resource || resourceType, mode);
   }
 
+  const key = getParamKey(param);
   const isRequired = param.required;
   const requiredBadge = isRequired
     ? '<span class="badge required">Required</span>'
@@ -164,7 +340,7 @@ export function renderParam(param, resourceType = null, mode = 'real') {
   switch (param.type) {
     case 'enum':
       inputHtml = `
-        <select id="param-${param.name}" class="param-input">
+        <select id="param-${key}" class="param-input">
           <option value="">Choose ${param.label.toLowerCase()}...</option>
           ${param.options.map(opt => `
             <option value="${opt.value}" ${param.defaultValue === opt.value ? 'selected' : ''}>
@@ -184,13 +360,13 @@ export function renderParam(param, resourceType = null, mode = 'real') {
 
     case 'search':
       inputHtml = `
-        <input type="text" id="param-${param.name}" class="param-input" placeholder="${param.placeholder}">
+        <input type="text" id="param-${key}" class="param-input" placeholder="${param.placeholder}">
         ${param.examples ? `
           <div class="param-examples">
             <strong>📌 Common Examples:</strong>
             <div class="example-chips">
               ${param.examples.map(ex => `
-                <button class="example-chip" data-param="${param.name}" data-value="${ex.query}" title="${ex.description}">
+                <button class="example-chip" data-param="${key}" data-value="${ex.query}" title="${ex.description}">
                   ${ex.query}
                 </button>
               `).join('')}
@@ -202,13 +378,13 @@ export function renderParam(param, resourceType = null, mode = 'real') {
 
     case 'array':
       inputHtml = `
-        <input type="text" id="param-${param.name}" class="param-input" placeholder="${param.placeholder}">
+        <input type="text" id="param-${key}" class="param-input" placeholder="${param.placeholder}">
         ${param.examples ? `
           <div class="param-examples">
-            <strong>💡 Common Label IDs:</strong>
+            <strong>💡 Common ${param.examplesTitle || 'Label IDs'}:</strong>
             <div class="example-chips">
               ${param.examples.map(ex => `
-                <button class="example-chip" data-param="${param.name}" data-value="${ex.value}" data-append="true" title="${ex.description}">
+                <button class="example-chip" data-param="${key}" data-value="${ex.value}" data-append="true" title="${ex.description}">
                   ${ex.value}
                 </button>
               `).join('')}
@@ -218,15 +394,69 @@ export function renderParam(param, resourceType = null, mode = 'real') {
       `;
       break;
 
+    case 'json':
+      inputHtml = `
+        <textarea id="param-${key}" class="param-input param-json" rows="${param.rows || 3}" placeholder="${param.placeholder}"></textarea>
+      `;
+      break;
+
     case 'textarea':
       inputHtml = `
-        <textarea id="param-${param.name}" class="param-input" rows="${param.rows || 4}" placeholder="${param.placeholder}"></textarea>
+        <textarea id="param-${key}" class="param-input" rows="${param.rows || 4}" placeholder="${param.placeholder}"></textarea>
+      `;
+      break;
+
+    case 'boolean':
+      inputHtml = `
+        <label class="checkbox-label">
+          <input type="checkbox" id="param-${key}" class="param-checkbox">
+          ${param.checkboxLabel || param.label}
+        </label>
+      `;
+      break;
+
+    case 'file':
+      inputHtml = `
+        <input type="file" id="param-${key}" class="param-input param-file"
+               ${param.accept ? `accept="${param.accept}"` : ''}
+               ${param.multiple ? 'multiple' : ''}>
+      `;
+      break;
+
+    case 'color':
+      // Palette swatches reuse the example chip handler; the override allows negative tests
+      inputHtml = `
+        <input type="text" id="param-${key}" class="param-input" placeholder="${param.placeholder}">
+        <div class="color-swatches">
+          ${GMAIL_LABEL_COLORS.map(color => `
+            <button class="example-chip color-swatch" data-param="${key}" data-value="${color}"
+                    title="${color}" style="background: ${color};"></button>
+          `).join('')}
+        </div>
+        <label class="checkbox-label">
+          <input type="checkbox" id="param-${key}-allowOffPalette" class="param-checkbox">
+          Send anyway if outside the palette (negative test)
+        </label>
+      `;
+      break;
+
+    case 'fields':
+      // The panel fills the picker from the last response of this endpoint
+      inputHtml = `
+        <input type="text" id="param-${key}" class="param-input" placeholder="${param.placeholder}">
+        <div class="field-mask-picker" id="field-mask-picker-${key}"></div>
+      `;
+      break;
+
+    case 'datetime':
+      inputHtml = `
+        <input type="datetime-local" id="param-${key}" class="param-input">
       `;
       break;
 
     case 'number':
       inputHtml = `
-        <input type="number" id="param-${param.name}" class="param-input" placeholder="${param.placeholder}"
+        <input type="number" id="param-${key}" class="param-input" placeholder="${param.placeholder}"
                ${param.min ? `min="${param.min}"` : ''}
                ${param.max ? `max="${param.max}"` : ''}
                ${param.defaultValue ? `value="${param.defaultValue}"` : ''}>
@@ -235,13 +465,13 @@ export function renderParam(param, resourceType = null, mode = 'real') {
 
     default:
       inputHtml = `
-        <input type="text" id="param-${param.name}" class="param-input" placeholder="${param.placeholder}">
+        <input type="text" id="param-${key}" class="param-input" placeholder="${param.placeholder}">
       `;
   }
 
   return `
     <div class="form-group">
-      <label for="param-${param.name}">
+      <label for="param-${key}">
         ${param.label}
         ${requiredBadge}
         ${defaultBadge}
@@ -264,9 +494,30 @@ export function generateParamsForm(endpoint, mode = 'real') {
   }
 
   let html = '<div class="params-form">';
+  let currentGroup = null;
+
   endpoint.paramsConfig.forEach(param => {
+    // Wrap consecutive params of the same group (nested body object) in a fieldset
+    if ((param.group || null) !== currentGroup) {
+      if (currentGroup) {
+        html += '</fieldset>';
+      }
+      currentGroup = param.group || null;
+      if (currentGroup) {
+        const group = (endpoint.paramGroups && endpoint.paramGroups[currentGroup]) || {};
+        html += `
+          <fieldset class="param-group">
+            <legend>${group.label || currentGroup}</legend>
+            ${group.helpText ? `<div class="param-help param-group-help">ℹ️ ${group.helpText}</div>` : ''}
+        `;
+      }
+    }
     html += renderParam(param, endpoint.resource, mode);
   });
+
+  if (currentGroup) {
+    html += '</fieldset>';
+  }
   html += '</div>';
 
   return html;
@@ -286,6 +537,22 @@ export function setupExampleChipListeners(container) {
       const shouldAppend = chip.dataset.append === 'true';
 
       const input = document.getElementById(`param-${paramName}`);
+
+      // Multi-select ID fields: toggle one ID, or select every cached ID
+      if (input && chip.classList.contains('multi-id-select-all')) {
+        const allIds = Array.from(container.querySelectorAll(`.example-chip[data-param="${paramName}"][data-toggle="true"]`));
+        allIds.forEach(c => c.classList.add('selected'));
+        input.value = parseIdList([input.value, ...allIds.map(c => c.dataset.value)].join('\n')).join('\n');
+        return;
+      }
+      if (input && chip.dataset.toggle === 'true') {
+        const ids = parseIdList(input.value);
+        const selected = !ids.includes(value);
+        input.value = (selected ? [...ids, value] : ids.filter(id => id !== value)).join('\n');
+        chip.classList.toggle('selected', selected);
+        return;
+      }
+
       if (input) {
         if (shouldAppend && input.value) {
           // For array params, append with comma
@@ -295,6 +562,42 @@ export function setupExampleChipListeners(container) {
           input.value = value;
         }
       }
+
+      // Fill the parent ID too (e.g., picking an attachment also picks its message)
+      if (chip.dataset.relatedParam) {
+        const relatedInput = document.getElementById(`param-${chip.dataset.relatedParam}`);
+        if (relatedInput) {
+          relatedInput.value = chip.dataset.relatedValue;
+        }
+      }
     });
   });
 }
+
+/**
+ * Escape text for safe insertion into HTML (text nodes and quoted attributes)
+ * @param {*} text - Raw text (converted with String)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Stringify a request body for display
+ * Files are shown by name and size instead of as empty objects (in square brackets: the result goes into innerHTML)
+ * @param {*} value - Request body
+ * @returns {string} Pretty-printed JSON
+ */
+export function stringifyForDisplay(value) {
+  return JSON.stringify(value, (key, val) => {
+    if (typeof File !== 'undefined' && val instanceof File) {
+      return `[file ${val.name}, ${val.size} bytes, ${val.type || 'unknown type'}]`;
+    }
+    return val;
+  }, 2);
+}